@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+/**
+ * kosmos-gen command-line interface
+ *
+ * Headless batch generation for build servers and CI. Runs the stage
+ * pipeline for one seed or a seed range and writes each island's grids
+ * and feature data to a directory. Uses only Node built-ins (no DOM).
+ *
+ * @example
+ * kosmos-gen 42
+ * kosmos-gen 100-199 --archetype ring --resolution 256 --out ./islands
+ */
+
+import { parseArgs } from 'node:util';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+
+import { generate, STAGES } from '../src/generation/pipeline.js';
+import { IslandData } from '../src/api/islanddata.js';
+import { exportHeightmapTiles } from '../src/api/tileexport.js';
+import { listArchetypes } from '../src/generation/archetypes/index.js';
+import { DEFAULT_BIOMES } from '../src/config/defaultBiomes.js';
+import { DEFAULTS } from '../src/api/defaults.js';
+
+const USAGE = `Usage: kosmos-gen <seed | start-end> [options]
+
+Options:
+  -o, --out <dir>           Output directory (default: ./islands)
+  -a, --archetype <name>    Force archetype (${listArchetypes().join(', ')})
+  -r, --resolution <n>      Elevation grid size (default: ${DEFAULTS.resolution})
+  -s, --up-to-stage <name>  Stop after this stage (${STAGES.join(', ')})
+  -e, --erosion             Run hydraulic and thermal erosion (default settings)
+  -t, --tiles <size>        Also export heightmap tiles of <size> blocks per side
+      --blocks-per-unit <n> Tile export scale in blocks per world unit (default: 256)
+      --uint16              Encode tile heightmaps as Uint16 instead of Float32
+  -h, --help                Show this help
+`;
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a seed argument: a single integer or an inclusive "start-end" range.
+ * @param {string} spec
+ * @returns {number[]}
+ */
+function parseSeeds(spec) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(spec);
+  if (!match) {
+    throw new Error(`Invalid seed: ${spec}. Expected an integer or a range like 10-20`);
+  }
+  const start = parseInt(match[1], 10);
+  const end = match[2] !== undefined ? parseInt(match[2], 10) : start;
+  if (end < start) {
+    throw new Error(`Invalid seed range: ${spec}`);
+  }
+  const seeds = [];
+  for (let s = start; s <= end; s++) seeds.push(s);
+  return seeds;
+}
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o', default: 'islands' },
+      archetype: { type: 'string', short: 'a' },
+      resolution: { type: 'string', short: 'r' },
+      'up-to-stage': { type: 'string', short: 's' },
+      erosion: { type: 'boolean', short: 'e', default: false },
+      tiles: { type: 'string', short: 't' },
+      'blocks-per-unit': { type: 'string' },
+      uint16: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) {
+    throw new Error('Expected exactly one seed or seed range');
+  }
+
+  const resolution = values.resolution !== undefined
+    ? parseInt(values.resolution, 10)
+    : DEFAULTS.resolution;
+  if (!Number.isInteger(resolution) || resolution < 16) {
+    throw new Error(`Invalid resolution: ${values.resolution}`);
+  }
+
+  const upToStage = values['up-to-stage'] ?? DEFAULTS.upToStage;
+  if (!STAGES.includes(upToStage)) {
+    throw new Error(`Unknown stage: ${upToStage}. Valid: ${STAGES.join(', ')}`);
+  }
+
+  if (values.archetype && !listArchetypes().includes(values.archetype)) {
+    throw new Error(`Unknown archetype: ${values.archetype}. Valid: ${listArchetypes().join(', ')}`);
+  }
+
+  let tiles = null;
+  if (values.tiles !== undefined) {
+    const tileSize = parseInt(values.tiles, 10);
+    if (!Number.isInteger(tileSize) || tileSize < 1) {
+      throw new Error(`Invalid tile size: ${values.tiles}`);
+    }
+    const blocksPerUnit = values['blocks-per-unit'] !== undefined
+      ? Number(values['blocks-per-unit'])
+      : 256;
+    if (!(blocksPerUnit > 0)) {
+      throw new Error(`Invalid blocks per unit: ${values['blocks-per-unit']}`);
+    }
+    tiles = { tileSize, blocksPerUnit, heightFormat: values.uint16 ? 'uint16' : 'float32' };
+  }
+
+  return {
+    help: false,
+    seeds: parseSeeds(positionals[0]),
+    outDir: resolve(values.out),
+    archetype: values.archetype,
+    resolution,
+    upToStage,
+    erosion: values.erosion,
+    tiles,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Output
+// ---------------------------------------------------------------------------
+
+/** Write a typed array as raw little-endian binary */
+function writeTypedArray(path, array) {
+  return writeFile(path, new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+}
+
+function writeJSON(path, value) {
+  return writeFile(path, JSON.stringify(value, null, 2));
+}
+
+/**
+ * Build a plain-object biome legend (numeric ID -> string name).
+ * Custom classifiers carry a registry; the default Whittaker set does not.
+ */
+function biomeLegend(biomes) {
+  if (biomes.registry) {
+    return Object.fromEntries(biomes.registry.idToString);
+  }
+  return Object.fromEntries(DEFAULT_BIOMES.map(b => [b.id, b.name]));
+}
+
+/**
+ * Write one pipeline result into its own directory.
+ *
+ * Grids are written as raw row-major binaries described by manifest.json;
+ * vector features are written as JSON.
+ *
+ * @param {Object} result - Raw pipeline result from generate()
+ * @param {string} dir - Target directory (created if missing)
+ * @returns {Promise<Object>} The manifest that was written
+ */
+async function writeIsland(result, dir) {
+  await mkdir(dir, { recursive: true });
+
+  const manifest = {
+    seed: result.seed,
+    archetype: result.params.archetype,
+    seaLevel: result.params.seaLevel,
+    params: result.params,
+    timing: result.timing,
+    grids: {},
+    files: {},
+  };
+
+  const writes = [];
+
+  if (result.elevation) {
+    const { width, height, data, bounds } = result.elevation;
+    manifest.bounds = bounds;
+    manifest.grids.elevation = { file: 'elevation.f32', type: 'float32', width, height };
+    writes.push(writeTypedArray(join(dir, 'elevation.f32'), data));
+  }
+
+  if (result.hydrology) {
+    const {
+      rivers, lakes, mouths, wetlands, waterfalls, rapids, springs,
+      mouthMap, wetlandMap, groundwaterDepth, width, height,
+    } = result.hydrology;
+    manifest.files.hydrology = 'hydrology.json';
+    writes.push(writeJSON(join(dir, 'hydrology.json'), { rivers, lakes, mouths, wetlands, waterfalls, rapids, springs }));
+    // Index + 1 into hydrology.json mouths / wetlands (0 = none)
+    manifest.grids.mouths = { file: 'mouths.u8', type: 'uint8', width, height };
+    manifest.grids.wetlands = { file: 'wetlands.u16', type: 'uint16', width, height };
+    writes.push(writeTypedArray(join(dir, 'mouths.u8'), mouthMap));
+    writes.push(writeTypedArray(join(dir, 'wetlands.u16'), wetlandMap));
+    // Water table depth below ground in elevation units
+    manifest.grids.groundwater = { file: 'groundwater.f32', type: 'float32', width, height };
+    writes.push(writeTypedArray(join(dir, 'groundwater.f32'), groundwaterDepth));
+  }
+
+  if (result.erosion?.enabled) {
+    const { width, height, sediment, scree, eroded } = result.erosion;
+    manifest.grids.sediment = { file: 'sediment.f32', type: 'float32', width, height };
+    manifest.grids.scree = { file: 'scree.f32', type: 'float32', width, height };
+    manifest.grids.eroded = { file: 'eroded.f32', type: 'float32', width, height };
+    writes.push(writeTypedArray(join(dir, 'sediment.f32'), sediment));
+    writes.push(writeTypedArray(join(dir, 'scree.f32'), scree));
+    writes.push(writeTypedArray(join(dir, 'eroded.f32'), eroded));
+  }
+
+  if (result.bathymetry) {
+    const { width, height, zones, zoneNames, contours, depthScale } = result.bathymetry;
+    manifest.grids.bathymetry = {
+      file: 'bathymetry.u8', type: 'uint8', width, height,
+      legend: Object.fromEntries(zoneNames.map((z, i) => [i, z])),
+    };
+    manifest.files.depthContours = 'depthcontours.json';
+    writes.push(writeTypedArray(join(dir, 'bathymetry.u8'), zones));
+    writes.push(writeJSON(join(dir, 'depthcontours.json'), { depthScale, contours }));
+  }
+
+  if (result.climate) {
+    const { width, height, temperature, humidity } = result.climate;
+    manifest.grids.temperature = { file: 'temperature.f32', type: 'float32', width, height };
+    manifest.grids.humidity = { file: 'humidity.f32', type: 'float32', width, height };
+    writes.push(writeTypedArray(join(dir, 'temperature.f32'), temperature));
+    writes.push(writeTypedArray(join(dir, 'humidity.f32'), humidity));
+  }
+
+  if (result.biomes) {
+    const { width, height, data } = result.biomes;
+    manifest.grids.biomes = {
+      file: 'biomes.u8', type: 'uint8', width, height,
+      legend: biomeLegend(result.biomes),
+    };
+    writes.push(writeTypedArray(join(dir, 'biomes.u8'), data));
+  }
+
+  if (result.subbiomes) {
+    const { width, height, data, variants } = result.subbiomes;
+    manifest.grids.subbiomes = {
+      file: 'subbiomes.u8', type: 'uint8', width, height,
+      legend: Object.fromEntries(variants.map((v, i) => [i, v])),
+    };
+    writes.push(writeTypedArray(join(dir, 'subbiomes.u8'), data));
+  }
+
+  if (result.settlements) {
+    manifest.files.settlements = 'settlements.json';
+    writes.push(writeJSON(join(dir, 'settlements.json'), result.settlements.settlements));
+  }
+
+  if (result.reefs) {
+    const { width, height, data, lagoon, types } = result.reefs;
+    manifest.grids.reefs = {
+      file: 'reefs.u8', type: 'uint8', width, height,
+      legend: Object.fromEntries(types.map((t, i) => [i, t])),
+    };
+    manifest.grids.lagoon = { file: 'lagoon.u8', type: 'uint8', width, height };
+    writes.push(writeTypedArray(join(dir, 'reefs.u8'), data));
+    writes.push(writeTypedArray(join(dir, 'lagoon.u8'), lagoon));
+  }
+
+  if (result.roads) {
+    manifest.files.roads = 'roads.json';
+    manifest.files.seaRoutes = 'searoutes.json';
+    writes.push(writeJSON(join(dir, 'roads.json'), result.roads.roads));
+    writes.push(writeJSON(join(dir, 'searoutes.json'), {
+      harbors: result.roads.harbors,
+      seaRoutes: result.roads.seaRoutes,
+    }));
+  }
+
+  if (result.vegetation) {
+    const { width, height, grass, trees, shrubs, boulders } = result.vegetation;
+    manifest.grids.grass = { file: 'grass.u8', type: 'uint8', width, height };
+    manifest.files.vegetation = 'vegetation.json';
+    writes.push(writeTypedArray(join(dir, 'grass.u8'), grass));
+    writes.push(writeJSON(join(dir, 'vegetation.json'), { trees, shrubs, boulders }));
+  }
+
+  if (result.pois) {
+    manifest.files.pois = 'pois.json';
+    writes.push(writeJSON(join(dir, 'pois.json'), result.pois.pois));
+  }
+
+  await Promise.all(writes);
+  await writeJSON(join(dir, 'manifest.json'), manifest);
+  return manifest;
+}
+
+/**
+ * Write heightmap tiles into <dir>/tiles: one .height/.biome/.surface triple
+ * per tile plus tiles.json (the tile index manifest).
+ */
+async function writeTiles(result, dir, tileOptions) {
+  const island = new IslandData(result, { seed: result.seed });
+  const { manifest, tiles } = exportHeightmapTiles(island, tileOptions);
+
+  const tileDir = join(dir, 'tiles');
+  await mkdir(tileDir, { recursive: true });
+
+  for (const tile of tiles) {
+    await Promise.all([
+      writeTypedArray(join(tileDir, `${tile.key}.height`), tile.heights),
+      writeTypedArray(join(tileDir, `${tile.key}.biome`), tile.biomes),
+      writeTypedArray(join(tileDir, `${tile.key}.surface`), tile.surfaces),
+    ]);
+  }
+  await writeJSON(join(tileDir, 'tiles.json'), manifest);
+  return manifest;
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  let cli;
+  try {
+    cli = parseCli(process.argv.slice(2));
+  } catch (err) {
+    process.stderr.write(`kosmos-gen: ${err.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (cli.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const { seeds, outDir, archetype, resolution, upToStage, erosion, tiles } = cli;
+
+  if (tiles && STAGES.indexOf(upToStage) < STAGES.indexOf('roads')) {
+    process.stderr.write('kosmos-gen: --tiles requires --up-to-stage roads or later\n');
+    process.exitCode = 2;
+    return;
+  }
+
+  for (const seed of seeds) {
+    const result = generate(seed, { resolution, upToStage, archetype, erosion });
+    const dir = join(outDir, String(seed));
+    const manifest = await writeIsland(result, dir);
+    if (tiles) {
+      const tileManifest = await writeTiles(result, dir, tiles);
+      manifest.files.tiles = 'tiles/tiles.json';
+      await writeJSON(join(dir, 'manifest.json'), manifest);
+      process.stdout.write(`  ${tileManifest.tiles.length} tiles (${tileManifest.tilesX}x${tileManifest.tilesZ})\n`);
+    }
+    process.stdout.write(
+      `seed ${seed}: ${manifest.archetype}, ${result.timing.total.toFixed(0)}ms -> ${dir}\n`
+    );
+  }
+}
+
+main().catch(err => {
+  process.stderr.write(`kosmos-gen: ${err.stack || err.message}\n`);
+  process.exitCode = 1;
+});
@@ -10,41 +10,91 @@
  * island.getElevation(0, 0)
  * island.getBiomeName(0.3, -0.2)
  * island.isOnRoad(0.1, 0.5)
+ *
+ * const bundle = island.serialize()          // ArrayBuffer
+ * const restored = IslandData.deserialize(bundle)
  */
 
-import { generate } from './generation/pipeline.js';
+import { generate, registerStage, unregisterStage, getStages } from './generation/pipeline.js';
+import { registerArchetype, unregisterArchetype, listArchetypes } from './generation/archetypes/index.js';
 import { IslandData } from './api/islanddata.js';
 import { FieldSampler } from './api/fieldsampler.js';
 import { DEFAULTS } from './api/defaults.js';
 import { ARCHETYPES } from './api/archetypes.js';
 import { BIOMES } from './generation/whittaker.js';
+import { BUNDLE_VERSION } from './api/bundle.js';
+import { exportHeightmapTiles, TILE_SURFACE_CODES } from './api/tileexport.js';
+import { generateArchipelago, Archipelago } from './api/archipelago.js';
+import { DEPTH_ZONES } from './generation/stages/bathymetry.js';
+import { REEF_TYPES } from './generation/stages/reefs.js';
+import { MOUTH_TYPES } from './generation/hydrology/mouths.js';
+import { getSeasonalClimate } from './generation/seasons.js';
 
-export { DEFAULTS, ARCHETYPES, BIOMES, IslandData, FieldSampler };
+export {
+  DEFAULTS, ARCHETYPES, BIOMES, IslandData, FieldSampler, BUNDLE_VERSION,
+  exportHeightmapTiles, TILE_SURFACE_CODES, DEPTH_ZONES, REEF_TYPES, MOUTH_TYPES,
+  registerStage, unregisterStage, getStages,
+  registerArchetype, unregisterArchetype, listArchetypes,
+  generateArchipelago, Archipelago, getSeasonalClimate,
+};
 
 /**
  * Generate an island and return a queryable IslandData object.
  *
  * @param {number} seed - World seed (integer recommended)
  * @param {Object} [options] - Override defaults selectively
- * @param {string} [options.archetype] - Force archetype ('ridge','arc','crescent','ring','star','scattered')
+ * @param {string} [options.archetype] - Force archetype ('ridge','arc','crescent','ring','star','scattered','volcano',
+ *   'atoll', or a name added with registerArchetype)
+ * @param {Object} [options.template] - Authored { spines, blobs } that lock in the macro
+ *   shape; bypasses archetype selection (see generation/template.js)
  * @param {number} [options.resolution] - Grid resolution (default 512)
- * @param {string} [options.upToStage] - Stop after this pipeline stage
+ * @param {string} [options.upToStage] - Stop after this pipeline stage (default: run all,
+ *   including custom stages added with registerStage)
  * @param {Object} [options.noise] - Override noise config (partial OK)
  * @param {Object} [options.warp] - Override warp config (partial OK)
  * @param {Object} [options.elevation] - Override elevation config (partial OK)
- * @param {Object} [options.biomes] - Biome classifier config (function or thresholds)
- * @param {Object} [options.pois] - POI types and placement rules
+ * @param {Object|boolean} [options.erosion] - Erosion between elevation and hydrology (off by
+ *   default): true, or { iterations, rain, strength, talusSlope } (see stages/erosion.js)
+ * @param {Object} [options.hydrology] - Waterfalls, groundwater and authored water: {
+ *   waterfallGradient, rapidsGradient, minWaterfallDrop, plungePoolDepth, maxGroundwaterDepth,
+ *   springRivers, sources, lakes } (see stages/hydrology.js, hydrology/waterfalls.js and
+ *   hydrology/groundwater.js)
+ * @param {Object} [options.bathymetry] - Depth zones: { shoreDepth, shelfDepth, slopeDepth,
+ *   contourDepths, depthScale } (see stages/bathymetry.js)
+ * @param {Object} [options.climate] - Climate config: { latitude, hemisphere, band,
+ *   latitudeSpan, seasonalAmplitude, wind: { direction, strength } } (see DEFAULTS.climate)
+ * @param {Object} [options.biomes] - Biome classifier config (function or thresholds;
+ *   blend: true or { topK } adds per-cell weights for getBiomeWeights)
+ * @param {Object} [options.subBiomes] - Sub-biome config: { table, noise, slopeThreshold,
+ *   depressionThreshold, screeThreshold, alluvialThreshold } (table entries replace the
+ *   default variants per parent biome; the last two need the erosion stage)
+ * @param {Object} [options.reefs] - Reef config: { minTemperature, fringing, barrier, atoll }
+ *   (see stages/reefs.js)
+ * @param {Object} [options.vegetation] - Scatter config: { density, treeSpacing,
+ *   shrubClusterSpacing, boulderSpacing, table } (see stages/vegetation.js)
+ * @param {Object} [options.pois] - POI types and placement rules ({ types, waterfalls }:
+ *   waterfalls: true adds a 'waterfall' POI at every waterfall)
  * @param {Object} [options.naming] - Naming palettes for settlements, islands, POIs, rivers
+ * @param {Object} [options.stageOptions] - Config for custom stages, keyed by stage name
  * @returns {IslandData} Queryable island data
  */
 export function generateIsland(seed, options = {}) {
   const pipelineOptions = {
     resolution: options.resolution ?? DEFAULTS.resolution,
-    upToStage: options.upToStage ?? DEFAULTS.upToStage,
+    upToStage: options.upToStage,
     archetype: options.archetype,
+    template: options.template,
+    erosion: options.erosion ?? null,
+    hydrology: options.hydrology ?? null,
+    bathymetry: options.bathymetry ?? null,
+    climate: options.climate,
     biomes: options.biomes ?? null,
+    subBiomes: options.subBiomes ?? null,
+    reefs: options.reefs ?? null,
+    vegetation: options.vegetation ?? null,
     pois: options.pois ?? null,
     naming: options.naming ?? null,
+    stageOptions: options.stageOptions,
   };
 
   // Only forward terrain overrides that were explicitly provided
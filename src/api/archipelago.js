@@ -0,0 +1,286 @@
+/**
+ * Archipelago - multi-island world composition
+ *
+ * Places several independently generated islands on a larger world map and
+ * joins them through one shared ocean floor. Each island keeps its own
+ * normalized [-1, 1] grids; the Archipelago maps world coordinates into the
+ * right island's local space and blends island edges into the ocean floor.
+ *
+ * World coordinates: island i covers the square
+ *   [cx - scale, cx + scale] x [cz - scale, cz + scale]
+ * so a local point (lx, lz) maps to (cx + lx * scale, cz + lz * scale).
+ */
+
+import { generateIsland } from '../api.js';
+import { FieldSampler } from './fieldsampler.js';
+import { seededRandom, deriveSeed } from '../core/seeds.js';
+import { createFBmNoise, unipolar } from '../core/noise.js';
+import { smoothstep, lerp } from '../core/math.js';
+import { generateName } from '../generation/naming.js';
+import { SEA_LEVEL } from '../generation/stages/params.js';
+
+/** Local |coord| where island terrain starts fading into the shared ocean floor */
+const EDGE_FADE_START = 0.8;
+
+/**
+ * Minimum centre spacing per axis as a fraction of the two islands' summed
+ * scales; at 1 the squares can touch but never overlap, so every point has
+ * at most one owning island.
+ */
+const MIN_SPACING = 1;
+
+const PLACEMENT_ATTEMPTS = 500;
+
+/** Map growth factor when islands don't fit, and how many times the map may grow */
+const MAP_GROWTH = 1.1;
+const MAX_MAP_GROWTHS = 50;
+
+/**
+ * Generate an archipelago of islands sharing one ocean.
+ *
+ * @param {number} seed - Archipelago seed (island seeds are derived from it)
+ * @param {Object} [options]
+ * @param {number} [options.count=5] - Number of islands
+ * @param {Array<string|undefined>} [options.archetypes] - Per-island archetype
+ *   (missing entries are seed-randomized)
+ * @param {number[]} [options.scaleRange=[0.6, 1.0]] - Island half-size range in world units
+ * @param {number} [options.mapSize] - World map half-extent (default grows with count)
+ * @param {number} [options.resolution=256] - Per-island grid resolution
+ * @param {number} [options.oceanResolution=512] - Composite elevation grid resolution
+ * @param {Object} [options.island] - Extra generateIsland options applied to every island
+ * @param {Object} [options.naming] - Naming palettes (naming.archipelago names the group)
+ * @returns {Archipelago}
+ */
+export function generateArchipelago(seed, options = {}) {
+  const {
+    count = 5,
+    archetypes = [],
+    scaleRange = [0.6, 1.0],
+    resolution = 256,
+    oceanResolution = 512,
+    island: islandOptions = {},
+    naming = null,
+  } = options;
+
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid island count: ${count}`);
+  }
+
+  const rng = seededRandom(deriveSeed(seed, 'archipelago'));
+  const scales = [];
+  for (let i = 0; i < count; i++) {
+    scales.push(lerp(scaleRange[0], scaleRange[1], rng()));
+  }
+
+  const mapSize = options.mapSize ?? scaleRange[1] * 1.6 * Math.sqrt(count);
+  const layout = placeIslands(scales, mapSize, rng);
+
+  const islands = layout.centers.map((center, i) => {
+    const islandSeed = deriveSeed(seed, `island_${i}`);
+    const island = generateIsland(islandSeed, {
+      ...islandOptions,
+      resolution,
+      archetype: archetypes[i] ?? islandOptions.archetype,
+      naming: naming ?? islandOptions.naming,
+    });
+    return {
+      index: i,
+      seed: islandSeed,
+      name: island.getIslandName(),
+      center,
+      scale: scales[i],
+      bounds: {
+        minX: center.x - scales[i], maxX: center.x + scales[i],
+        minZ: center.z - scales[i], maxZ: center.z + scales[i],
+      },
+      island,
+    };
+  });
+
+  console.log(`[archipelago] ${count} islands on a ${(layout.mapSize * 2).toFixed(2)}-unit map`);
+
+  return new Archipelago({ seed, islands, mapSize: layout.mapSize, oceanResolution, naming });
+}
+
+/**
+ * Rejection-sample island centres so islands don't overlap.
+ * Grows the map and retries if the islands don't fit, up to MAX_MAP_GROWTHS times.
+ */
+function placeIslands(scales, mapSize, rng) {
+  // Place big islands first so small ones fill the gaps
+  const order = scales.map((_, i) => i).sort((a, b) => scales[b] - scales[a]);
+
+  for (let growth = 0; growth <= MAX_MAP_GROWTHS; growth++) {
+    const centers = new Array(scales.length);
+    let placedAll = true;
+
+    for (const i of order) {
+      const s = scales[i];
+      const span = Math.max(0, mapSize - s);
+      let placed = null;
+
+      for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS && !placed; attempt++) {
+        const cand = { x: (rng() * 2 - 1) * span, z: (rng() * 2 - 1) * span };
+        const clear = centers.every((c, j) =>
+          !c || Math.max(Math.abs(c.x - cand.x), Math.abs(c.z - cand.z)) >= (s + scales[j]) * MIN_SPACING
+        );
+        if (clear) placed = cand;
+      }
+
+      if (!placed) {
+        placedAll = false;
+        break;
+      }
+      centers[i] = placed;
+    }
+
+    if (placedAll) return { centers, mapSize };
+    mapSize *= MAP_GROWTH;
+  }
+
+  throw new Error(`Could not place ${scales.length} islands after growing the map ${MAX_MAP_GROWTHS} times`);
+}
+
+export class Archipelago {
+  /**
+   * @param {Object} data
+   * @param {number} data.seed
+   * @param {Array} data.islands - Placed islands { index, seed, name, center, scale, bounds, island }
+   * @param {number} data.mapSize - World map half-extent
+   * @param {number} data.oceanResolution - Composite grid resolution
+   * @param {Object} [data.naming] - Naming palettes
+   */
+  constructor({ seed, islands, mapSize, oceanResolution, naming }) {
+    this._seed = seed;
+    this._islands = islands;
+    this._naming = naming || null;
+    this._name = null; // lazy
+    this._seaLevel = islands[0]?.island.getSeaLevel() ?? SEA_LEVEL;
+    this._bounds = { minX: -mapSize, maxX: mapSize, minZ: -mapSize, maxZ: mapSize };
+
+    // Gentle open-ocean floor between islands
+    this._floorNoise = unipolar(createFBmNoise(deriveSeed(seed, 'oceanFloor'), {
+      octaves: 3,
+      persistence: 0.5,
+      lacunarity: 2.0,
+      frequency: 1.5 / mapSize,
+    }));
+
+    this._elevation = this._bakeElevation(oceanResolution);
+  }
+
+  // ------------------------------------------------------------------
+  // Routing
+  // ------------------------------------------------------------------
+
+  /**
+   * Island whose square contains (x, z), with its local coordinates.
+   * Squares never overlap (see MIN_SPACING); on a shared edge the island
+   * with the stronger edge weight wins. Every terrain query routes here.
+   * @returns {{ entry: Object, lx: number, lz: number, weight: number } | null}
+   */
+  getIslandAt(x, z) {
+    let best = null;
+    for (const entry of this._islands) {
+      const lx = (x - entry.center.x) / entry.scale;
+      const lz = (z - entry.center.z) / entry.scale;
+      const edge = Math.max(Math.abs(lx), Math.abs(lz));
+      if (edge > 1) continue;
+      const weight = 1 - smoothstep(EDGE_FADE_START, 1, edge);
+      if (!best || weight > best.weight) {
+        best = { entry, lx, lz, weight };
+      }
+    }
+    return best;
+  }
+
+  // ------------------------------------------------------------------
+  // Terrain
+  // ------------------------------------------------------------------
+
+  /**
+   * Elevation at world (x, z): the owning island's terrain blended into the
+   * ocean floor near its square edge.
+   */
+  getElevation(x, z) {
+    const floor = this._oceanFloor(x, z);
+    const hit = this.getIslandAt(x, z);
+    return hit ? lerp(floor, hit.entry.island.getElevation(hit.lx, hit.lz), hit.weight) : floor;
+  }
+
+  /** Biome ID at world (x, z), routed to the owning island (0 = open ocean). */
+  getBiome(x, z) {
+    const hit = this.getIslandAt(x, z);
+    return hit ? hit.entry.island.getBiome(hit.lx, hit.lz) : 0;
+  }
+
+  /** Biome name at world (x, z), routed to the owning island. */
+  getBiomeName(x, z) {
+    const hit = this.getIslandAt(x, z);
+    return hit ? hit.entry.island.getBiomeName(hit.lx, hit.lz) : 'ocean';
+  }
+
+  /** Is world (x, z) below sea level? */
+  isOcean(x, z) {
+    return this.getElevation(x, z) < this._seaLevel;
+  }
+
+  // ------------------------------------------------------------------
+  // Meta
+  // ------------------------------------------------------------------
+
+  /** Deterministic name for the whole archipelago. */
+  getName() {
+    if (this._name === null) {
+      const palette = this._naming?.archipelago || null;
+      this._name = generateName(0, 0, this._seed, 'archipelago', palette);
+    }
+    return this._name;
+  }
+
+  /** Placed islands: { index, seed, name, center, scale, bounds, island }. */
+  getIslands() {
+    return [...this._islands];
+  }
+
+  getBounds() {
+    return { ...this._bounds };
+  }
+
+  getSeaLevel() {
+    return this._seaLevel;
+  }
+
+  getSeed() {
+    return this._seed;
+  }
+
+  /** Composite elevation grid over the whole map (for rendering/export). */
+  getElevationSampler() {
+    return this._elevation;
+  }
+
+  // ------------------------------------------------------------------
+  // Internal
+  // ------------------------------------------------------------------
+
+  _oceanFloor(x, z) {
+    return 0.01 + this._floorNoise(x, z) * 0.04;
+  }
+
+  _bakeElevation(resolution) {
+    const { minX, maxX, minZ, maxZ } = this._bounds;
+    const data = new Float32Array(resolution * resolution);
+    const cellW = (maxX - minX) / resolution;
+    const cellH = (maxZ - minZ) / resolution;
+
+    for (let row = 0; row < resolution; row++) {
+      const z = minZ + (row + 0.5) * cellH;
+      for (let col = 0; col < resolution; col++) {
+        data[row * resolution + col] = this.getElevation(minX + (col + 0.5) * cellW, z);
+      }
+    }
+
+    return new FieldSampler(data, resolution, resolution, this._bounds);
+  }
+}
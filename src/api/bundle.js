@@ -0,0 +1,183 @@
+/**
+ * Island bundle - compact versioned binary format for pipeline results
+ *
+ * Layout (little-endian):
+ *   [0..4)   magic 'KSMB'
+ *   [4..8)   uint32 format version
+ *   [8..12)  uint32 header byte length
+ *   [12..)   UTF-8 JSON header, zero-padded to an 8-byte boundary
+ *   [...]    typed-array payloads, each zero-padded to an 8-byte boundary
+ *
+ * The JSON header holds the pipeline result with every typed array replaced
+ * by a { $typed: index } placeholder (and every Map by { $map: entries }),
+ * plus a table describing where each array lives in the binary section.
+ * Grids (elevation, climate, biomes, SDFs, influence fields) therefore stay
+ * raw binary while rivers, lakes, settlements, roads and POIs stay JSON.
+ */
+
+const MAGIC = 'KSMB';
+
+/** Current bundle format version */
+export const BUNDLE_VERSION = 1;
+
+/** Fixed-size preamble: magic + version + header length */
+const PREAMBLE_BYTES = 12;
+
+const ALIGN = 8;
+
+/** Typed array constructors by name (names are stored in the header) */
+const TYPED_ARRAYS = {
+  Int8Array, Uint8Array, Uint8ClampedArray,
+  Int16Array, Uint16Array,
+  Int32Array, Uint32Array,
+  Float32Array, Float64Array,
+};
+
+/**
+ * Header migrations keyed by the version they upgrade FROM.
+ * Each takes a decoded header and returns a header one version newer,
+ * mirroring migrateV1toV2 in world/storage.js. Add an entry here whenever
+ * BUNDLE_VERSION is bumped so older bundles keep loading.
+ */
+const MIGRATIONS = {};
+
+function align(n) {
+  return Math.ceil(n / ALIGN) * ALIGN;
+}
+
+/**
+ * Encode a pipeline result into a binary bundle.
+ *
+ * @param {Object} result - Raw pipeline result from generate()
+ * @param {Object} [config] - Effective generation config (functions are dropped)
+ * @returns {ArrayBuffer}
+ */
+export function encodeBundle(result, config = {}) {
+  const arrays = [];
+
+  const replacer = (_key, value) => {
+    if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+      arrays.push(value);
+      return { $typed: arrays.length - 1 };
+    }
+    if (value instanceof Map) {
+      return { $map: [...value.entries()] };
+    }
+    return value;
+  };
+
+  const payload = JSON.parse(JSON.stringify(result, replacer));
+  const configJSON = JSON.parse(JSON.stringify(config ?? {}, replacer));
+
+  // Lay out the binary section
+  let offset = 0;
+  const table = arrays.map(arr => {
+    const entry = { type: arr.constructor.name, offset, length: arr.length };
+    offset = align(offset + arr.byteLength);
+    return entry;
+  });
+  const dataBytes = offset;
+
+  const header = { payload, config: configJSON, arrays: table };
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+  const dataStart = align(PREAMBLE_BYTES + headerBytes.length);
+
+  const buffer = new ArrayBuffer(dataStart + dataBytes);
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  for (let i = 0; i < MAGIC.length; i++) bytes[i] = MAGIC.charCodeAt(i);
+  view.setUint32(4, BUNDLE_VERSION, true);
+  view.setUint32(8, headerBytes.length, true);
+  bytes.set(headerBytes, PREAMBLE_BYTES);
+
+  for (let i = 0; i < arrays.length; i++) {
+    const arr = arrays[i];
+    bytes.set(
+      new Uint8Array(arr.buffer, arr.byteOffset, arr.byteLength),
+      dataStart + table[i].offset
+    );
+  }
+
+  return buffer;
+}
+
+/**
+ * Decode a binary bundle back into a pipeline result and config.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} buffer - Bundle bytes (a Node Buffer works too)
+ * @returns {{ result: Object, config: Object, version: number }}
+ */
+export function decodeBundle(buffer) {
+  const bytes = buffer instanceof ArrayBuffer
+    ? new Uint8Array(buffer)
+    : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+
+  if (bytes.length < PREAMBLE_BYTES) {
+    throw new Error('Invalid island bundle: too short');
+  }
+
+  const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+  if (magic !== MAGIC) {
+    throw new Error(`Invalid island bundle: bad magic '${magic}'`);
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint32(4, true);
+  if (version > BUNDLE_VERSION) {
+    throw new Error(`Island bundle version ${version} is newer than supported (${BUNDLE_VERSION})`);
+  }
+
+  const headerLength = view.getUint32(8, true);
+  const headerText = new TextDecoder().decode(
+    bytes.subarray(PREAMBLE_BYTES, PREAMBLE_BYTES + headerLength)
+  );
+  const dataStart = align(PREAMBLE_BYTES + headerLength);
+
+  const header = migrateHeader(JSON.parse(headerText), version);
+
+  // Copy each payload out so arrays are aligned and independent of the input
+  const arrays = header.arrays.map(({ type, offset, length }) => {
+    const Ctor = TYPED_ARRAYS[type];
+    if (!Ctor) throw new Error(`Invalid island bundle: unknown array type ${type}`);
+    const start = dataStart + offset;
+    const slice = bytes.slice(start, start + length * Ctor.BYTES_PER_ELEMENT);
+    return new Ctor(slice.buffer);
+  });
+
+  const revive = (value) => {
+    if (Array.isArray(value)) return value.map(revive);
+    if (value === null || typeof value !== 'object') return value;
+    if (typeof value.$typed === 'number') return arrays[value.$typed];
+    if (Array.isArray(value.$map)) {
+      return new Map(value.$map.map(([k, v]) => [k, revive(v)]));
+    }
+    const out = {};
+    for (const key of Object.keys(value)) out[key] = revive(value[key]);
+    return out;
+  };
+
+  return {
+    result: revive(header.payload),
+    config: revive(header.config),
+    version,
+  };
+}
+
+/**
+ * Upgrade a decoded header to the current version.
+ * @param {Object} header
+ * @param {number} version - Version the header was written with
+ * @returns {Object}
+ */
+function migrateHeader(header, version) {
+  let migrated = header;
+  for (let v = version; v < BUNDLE_VERSION; v++) {
+    const migrate = MIGRATIONS[v];
+    if (!migrate) {
+      throw new Error(`No island bundle migration from version ${v}`);
+    }
+    migrated = migrate(migrated);
+  }
+  return migrated;
+}
@@ -8,7 +8,7 @@
 export const DEFAULTS = {
   // Pipeline control
   resolution: 512,        // Elevation grid size (512 = default)
-  upToStage: 'pois',      // Stop after this pipeline stage
+  upToStage: 'pois',      // Last built-in stage (generateIsland runs custom stages too when unset)
 
   // Terrain noise
   noise: {
@@ -34,6 +34,49 @@ export const DEFAULTS = {
     terraceStrength: 0,
   },
 
+  // Hydraulic and thermal erosion (pass erosion: true or a partial config to enable)
+  erosion: {
+    iterations: 2,           // rain-and-slump passes
+    rain: 0.5,               // droplets per land cell per iteration
+    strength: 1.0,           // sediment carrying and cutting power
+    talusSlope: 6,           // steepest stable slope before scree slumps (0 = off)
+  },
+
+  // Waterfalls and rapids (gradients in elevation per normalized unit), groundwater
+  hydrology: {
+    waterfallGradient: 8,    // steeper reaches are waterfalls
+    rapidsGradient: 4,       // steeper reaches are rapids
+    minWaterfallDrop: 0.02,  // shorter steep drops count as rapids
+    plungePoolDepth: 0.008,  // pool carved below each waterfall (0 = none)
+    maxGroundwaterDepth: 0.04, // water table depth under dry ridges
+    springRivers: 3,         // most springs that start their own river
+  },
+
+  // Ocean depth zones (depths in elevation units below sea level)
+  bathymetry: {
+    shoreDepth: 0.01,
+    shelfDepth: 0.04,
+    slopeDepth: 0.075,
+    contourDepths: null,     // null = the three zone boundaries
+    depthScale: 1,           // game units per elevation unit (getWaterDepth, contours)
+  },
+
+  // Climate
+  climate: {
+    latitude: null,          // degrees from the equator (null = random within band,
+                             // or 45 spanning the whole hemisphere without a band)
+    hemisphere: 'north',     // 'north' (+Z poleward) or 'south'
+    band: null,              // 'tropical' | 'temperate' | 'polar' (null = from latitude)
+    latitudeSpan: null,      // degrees across the map (null = 10 when placed, else 90)
+    seasonalAmplitude: 0.25, // summer/winter temperature half-range at the poles
+    seasons: 12,             // steps per year for getClimate(x, z, { month })
+    wind: {
+      direction: null,       // radians the wind blows toward (null = prevailing wind
+                             // for the band when placed, else seed-randomized)
+      strength: 1.0,         // 0 = ocean proximity only, 1 = full rain-shadow model
+    },
+  },
+
   // Sea level threshold
   seaLevel: 0.10,
 
@@ -46,6 +89,9 @@ export const DEFAULTS = {
 
   // Caller-provided configuration (null = use built-in defaults)
   biomes: null,   // null = built-in Whittaker classifier
+  subBiomes: null, // null = built-in variant table (config/defaultSubBiomes.js)
+  reefs: null,    // null = built-in reef bands and minimum water temperature
+  vegetation: null, // null = built-in scatter densities (config/defaultVegetation.js)
   pois: null,     // null = no POIs generated
   naming: null,   // null = built-in Verdania palette
 };
@@ -3,7 +3,7 @@
  *
  * Wraps raw pipeline output with FieldSamplers for O(1) grid queries
  * and provides convenient methods for terrain, water, road, settlement,
- * and POI lookups.
+ * POI and vegetation lookups.
  *
  * All coordinate parameters use normalized [-1, 1] space.
  */
@@ -11,6 +11,14 @@
 import { FieldSampler } from './fieldsampler.js';
 import { getBiomeName as defaultGetBiomeName, getBiomeColor as defaultGetBiomeColor } from '../generation/whittaker.js';
 import { generateName } from '../generation/naming.js';
+import { encodeBundle, decodeBundle } from './bundle.js';
+import { STAGES } from '../generation/pipeline.js';
+import {
+  seasonalPoint, snowCover, isFrozen, flowMultiplier, sampleCurve, riverSamplePoints,
+} from '../generation/seasons.js';
+
+/** Bucket size (normalized units) of the lazy vegetation tile index */
+const VEGETATION_BUCKET_SIZE = 0.05;
 
 export class IslandData {
   /**
@@ -36,6 +44,12 @@ export class IslandData {
       this._humidity = new FieldSampler(
         result.climate.humidity, result.climate.width, result.climate.height, bounds
       );
+      if (result.climate.seasons) {
+        this._seasonalRange = new FieldSampler(
+          result.climate.seasonalRange, result.climate.width, result.climate.height, bounds
+        );
+        this._seasons = result.climate.seasons;
+      }
     }
 
     // Biome sampler (nearest-neighbor for discrete IDs)
@@ -45,6 +59,16 @@ export class IslandData {
         { nearest: true }
       );
       this._biomeRegistry = result.biomes.registry || null;
+      this._biomeBlend = result.biomes.blend || null;
+    }
+
+    // Sub-biome sampler (nearest-neighbor, 0 = none)
+    if (result.subbiomes) {
+      this._subBiomes = new FieldSampler(
+        result.subbiomes.data, result.subbiomes.width, result.subbiomes.height, bounds,
+        { nearest: true }
+      );
+      this._subBiomeVariants = result.subbiomes.variants;
     }
 
     // Hydrology SDFs
@@ -63,6 +87,14 @@ export class IslandData {
           result.hydrology.riverInfluence, res, res, bounds
         );
       }
+      // River mouth features and wetland patches (nearest-neighbor index grids)
+      if (result.hydrology.mouthMap) {
+        this._mouthMap = new FieldSampler(result.hydrology.mouthMap, hw, hh, bounds, { nearest: true });
+        this._wetlandMap = new FieldSampler(result.hydrology.wetlandMap, hw, hh, bounds, { nearest: true });
+      }
+      if (result.hydrology.groundwaterDepth) {
+        this._groundwater = new FieldSampler(result.hydrology.groundwaterDepth, hw, hh, bounds);
+      }
     }
 
     // Coast SDF
@@ -80,6 +112,30 @@ export class IslandData {
       );
     }
 
+    // Erosion maps (net height change, elevation units)
+    if (result.erosion?.enabled) {
+      const { width: ew, height: eh } = result.erosion;
+      this._sediment = new FieldSampler(result.erosion.sediment, ew, eh, bounds);
+      this._scree = new FieldSampler(result.erosion.scree, ew, eh, bounds);
+      this._eroded = new FieldSampler(result.erosion.eroded, ew, eh, bounds);
+    }
+
+    // Depth zones (nearest-neighbor, 0 = land)
+    if (result.bathymetry) {
+      this._depthZones = new FieldSampler(
+        result.bathymetry.zones, result.bathymetry.width, result.bathymetry.height, bounds,
+        { nearest: true }
+      );
+    }
+
+    // Reef grid and lagoon mask (nearest-neighbor for discrete classes)
+    if (result.reefs) {
+      const { width: rw, height: rh } = result.reefs;
+      this._reefs = new FieldSampler(result.reefs.data, rw, rh, bounds, { nearest: true });
+      this._lagoon = new FieldSampler(result.reefs.lagoon, rw, rh, bounds, { nearest: true });
+      this._reefTypes = result.reefs.types;
+    }
+
     // Road SDF
     if (result.roads?.roadSDF) {
       this._roadSDF = new FieldSampler(
@@ -95,13 +151,30 @@ export class IslandData {
       );
     }
 
+    // Grass density (0-255)
+    if (result.vegetation) {
+      this._grass = new FieldSampler(
+        result.vegetation.grass, result.vegetation.width, result.vegetation.height, bounds
+      );
+    }
+
     // Flat arrays for spatial lookups
     this._settlements = result.settlements?.settlements || [];
     this._roads = result.roads?.roads || [];
+    this._seaRoutes = result.roads?.seaRoutes || [];
+    this._harbors = result.roads?.harbors || [];
     this._rivers = result.hydrology?.rivers || [];
     this._lakes = result.hydrology?.lakes || [];
+    this._mouths = result.hydrology?.mouths || [];
+    this._wetlands = result.hydrology?.wetlands || [];
+    this._waterfalls = result.hydrology?.waterfalls || [];
+    this._rapids = result.hydrology?.rapids || [];
+    this._springs = result.hydrology?.springs || [];
     this._pois = result.pois?.pois || [];
+    this._vegetation = result.vegetation || null;
+    this._vegetationIndex = null;
     this._seaLevel = result.params.seaLevel;
+    this._depthScale = result.bathymetry?.depthScale ?? 1;
   }
 
   // ------------------------------------------------------------------
@@ -113,6 +186,24 @@ export class IslandData {
     return this._elevation.sample(x, z);
   }
 
+  /**
+   * Height of sediment laid down by running water at (x, z), e.g. alluvial
+   * fans. Elevation units; 0 when the erosion stage did not run.
+   */
+  getSediment(x, z) {
+    return this._sediment ? this._sediment.sample(x, z) : 0;
+  }
+
+  /** Height of scree slumped onto (x, z) by thermal erosion (0 without erosion) */
+  getScree(x, z) {
+    return this._scree ? this._scree.sample(x, z) : 0;
+  }
+
+  /** Depth of ground worn away at (x, z) by erosion (0 without erosion) */
+  getErosionDepth(x, z) {
+    return this._eroded ? this._eroded.sample(x, z) : 0;
+  }
+
   /** Get biome ID at (x, z). Returns integer biome ID. */
   getBiome(x, z) {
     if (!this._biomes) return 0;
@@ -128,6 +219,60 @@ export class IslandData {
     return defaultGetBiomeName(numericId);
   }
 
+  /**
+   * Get blended biome weights at (x, z), strongest first.
+   *
+   * Needs the island to be generated with biomes.blend; otherwise returns
+   * the single hard biome with weight 1. Weights of the four surrounding
+   * cells are interpolated bilinearly, so they vary smoothly across cells.
+   *
+   * @returns {Array<{ id: number, weight: number }>} Up to blend.topK entries summing to 1
+   */
+  getBiomeWeights(x, z) {
+    if (!this._biomeBlend) return [{ id: this.getBiome(x, z), weight: 1 }];
+
+    const { topK, ids, weights } = this._biomeBlend;
+    const { width, height } = this._result.biomes;
+    const { minX, maxX, minZ, maxZ } = this._elevation.bounds;
+    const gx = (x - minX) * width / (maxX - minX) - 0.5;
+    const gz = (z - minZ) * height / (maxZ - minZ) - 0.5;
+    const x0 = Math.floor(gx), z0 = Math.floor(gz);
+    const fx = gx - x0, fz = gz - z0;
+
+    const totals = new Map();
+    const corners = [
+      [x0, z0, (1 - fx) * (1 - fz)], [x0 + 1, z0, fx * (1 - fz)],
+      [x0, z0 + 1, (1 - fx) * fz], [x0 + 1, z0 + 1, fx * fz],
+    ];
+    for (const [c, r, cw] of corners) {
+      if (cw === 0) continue;
+      const col = Math.max(0, Math.min(width - 1, c));
+      const row = Math.max(0, Math.min(height - 1, r));
+      const base = (row * width + col) * topK;
+      for (let k = 0; k < topK; k++) {
+        if (weights[base + k] === 0) continue;
+        const id = ids[base + k];
+        totals.set(id, (totals.get(id) || 0) + cw * weights[base + k]);
+      }
+    }
+
+    const ranked = [...totals].sort((a, b) => b[1] - a[1]).slice(0, topK);
+    let sum = 0;
+    for (const [, w] of ranked) sum += w;
+    return ranked.map(([id, w]) => ({ id, weight: w / sum }));
+  }
+
+  /**
+   * Get the sub-biome variant at (x, z).
+   * @returns {{ id: string, parent: string, name: string, primary: string, secondary: string,
+   *   tint: number[]|null, vegetation: string } | null} null on water or without variants
+   */
+  getSubBiome(x, z) {
+    if (!this._subBiomes) return null;
+    const variant = this._subBiomeVariants[this._subBiomes.sample(x, z)];
+    return variant ? { ...variant } : null;
+  }
+
   /** Get biome color at (x, z). Returns [r, g, b] array (0-255). */
   getBiomeColor(x, z) {
     const numericId = this.getBiome(x, z);
@@ -140,13 +285,85 @@ export class IslandData {
 
   /**
    * Get climate at (x, z).
-   * @returns {{ temperature: number, humidity: number }}
+   *
+   * Without a month this is the annual mean. With one, temperature follows
+   * the seasonal cycle and precipitation (relative wetness, 0..1) is added.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.month] - Step of the year, 0-based (0 = first month;
+   *   fractional values interpolate, out-of-range values wrap)
+   * @returns {{ temperature: number, humidity: number, precipitation?: number }}
    */
-  getClimate(x, z) {
-    return {
+  getClimate(x, z, options = {}) {
+    const annual = {
       temperature: this._temperature ? this._temperature.sample(x, z) : 0.5,
       humidity: this._humidity ? this._humidity.sample(x, z) : 0.5,
     };
+    if (options.month === undefined || !this._seasons) return annual;
+
+    const { temperature, precipitation } = seasonalPoint(this._seasons, {
+      ...annual,
+      seasonalRange: this._seasonalRange.sample(x, z),
+    }, options.month);
+    return { temperature, humidity: annual.humidity, precipitation };
+  }
+
+  /** Number of seasonal steps per year (0 if the island has no seasonal data). */
+  getSeasonCount() {
+    return this._seasons ? this._seasons.steps : 0;
+  }
+
+  /**
+   * Snow cover fraction at (x, z) in a given month (0 on water).
+   * @param {{ month?: number }} [options] - Without a month, the annual mean climate
+   * @returns {number} 0..1
+   */
+  getSnowCover(x, z, { month } = {}) {
+    if (!this._seasons || this.isWater(x, z)) return 0;
+    if (month === undefined) {
+      const { temperature, humidity } = this.getClimate(x, z);
+      return snowCover(temperature, humidity);
+    }
+    return this._snowAt(x, z, month);
+  }
+
+  /**
+   * Seasonal discharge multiplier for a river (1 = annual mean).
+   *
+   * Averaged over points along the river: rain follows the precipitation
+   * cycle, snow holds water back in winter and melts into a spring flood.
+   *
+   * @param {string} riverId
+   * @param {{ month?: number }} [options] - Without a month, the annual mean (1)
+   * @returns {number}
+   */
+  getRiverFlowMultiplier(riverId, { month } = {}) {
+    const river = this._rivers.find(r => r.id === riverId);
+    if (!river) throw new Error(`Unknown river: ${riverId}`);
+    if (!this._seasons || month === undefined) return 1;
+
+    const points = riverSamplePoints(river.vertices);
+    const precipitationFactor = sampleCurve(this._seasons.precipitationCurve, month);
+    let total = 0;
+    for (const p of points) {
+      const snow = this._snowAt(p.x, p.z, month);
+      const previousSnow = this._snowAt(p.x, p.z, month - 1);
+      total += flowMultiplier(precipitationFactor, snow, previousSnow);
+    }
+    return total / points.length;
+  }
+
+  /**
+   * Is a lake frozen over in a given month?
+   * @param {string} lakeId
+   * @param {{ month?: number }} [options] - Without a month, at the annual mean temperature
+   * @returns {boolean}
+   */
+  isLakeFrozen(lakeId, { month } = {}) {
+    const lake = this._lakes.find(l => l.id === lakeId);
+    if (!lake) throw new Error(`Unknown lake: ${lakeId}`);
+    if (!this._seasons) return false;
+    return isFrozen(this.getClimate(lake.x, lake.z, { month }).temperature);
   }
 
   // ------------------------------------------------------------------
@@ -183,6 +400,109 @@ export class IslandData {
     return this.isOcean(x, z) || this.isRiver(x, z) || this.isLake(x, z);
   }
 
+  /**
+   * Water depth below sea level at (x, z) in game units (bathymetry.depthScale
+   * per elevation unit). Returns 0 on land.
+   */
+  getWaterDepth(x, z) {
+    return Math.max(0, this._seaLevel - this.getElevation(x, z)) * this._depthScale;
+  }
+
+  /**
+   * Bathymetric zone at (x, z)
+   * @returns {'shore'|'shelf'|'slope'|'abyss'|null} null on land
+   */
+  getDepthZone(x, z) {
+    if (!this._depthZones) return null;
+    const id = this._depthZones.sample(x, z);
+    return id > 0 ? this._result.bathymetry.zoneNames[id] : null;
+  }
+
+  /**
+   * Depth contour lines (isobaths), shallowest first
+   * @returns {Array<{ depth: number, polylines: Array<Array<{x: number, z: number}>> }>}
+   *   depth in game units
+   */
+  getDepthContours() {
+    if (!this._result.bathymetry) return [];
+    return this._result.bathymetry.contours.map(({ depth, polylines }) => ({
+      depth: depth * this._depthScale,
+      polylines,
+    }));
+  }
+
+  /**
+   * Bake a water depth texture from the elevation grid, sampled at texel
+   * centres over the island bounds (row-major, row 0 at minZ).
+   *
+   * @param {Object} [options]
+   * @param {number} [options.width] - Texture width (default: elevation grid width)
+   * @param {number} [options.height] - Texture height (default: elevation grid height)
+   * @param {'uint8'|'float32'} [options.format='uint8'] - uint8 maps 0..maxDepth to
+   *   0..255; float32 stores depth in game units
+   * @param {number} [options.maxDepth] - Depth (game units) mapped to 255
+   *   (default: the deepest water on the grid)
+   * @returns {{ width: number, height: number, format: string, maxDepth: number,
+   *   data: Uint8Array|Float32Array }}
+   */
+  getDepthTexture(options = {}) {
+    const elev = this._result.elevation;
+    const { width = elev.width, height = elev.height, format = 'uint8' } = options;
+    if (format !== 'uint8' && format !== 'float32') {
+      throw new Error(`Unknown depth texture format: ${format}. Valid: uint8, float32`);
+    }
+    if (!(Number.isInteger(width) && width > 0 && Number.isInteger(height) && height > 0)) {
+      throw new Error(`Invalid depth texture size: ${width}x${height}`);
+    }
+
+    const { minX, maxX, minZ, maxZ } = elev.bounds;
+    const depths = new Float32Array(width * height);
+    let deepest = 0;
+    for (let row = 0; row < height; row++) {
+      const z = minZ + (row + 0.5) * (maxZ - minZ) / height;
+      for (let col = 0; col < width; col++) {
+        const depth = this.getWaterDepth(minX + (col + 0.5) * (maxX - minX) / width, z);
+        depths[row * width + col] = depth;
+        if (depth > deepest) deepest = depth;
+      }
+    }
+
+    const maxDepth = options.maxDepth ?? deepest;
+    if (format === 'float32') {
+      return { width, height, format, maxDepth, data: depths };
+    }
+
+    const data = new Uint8Array(width * height);
+    if (maxDepth > 0) {
+      for (let i = 0; i < data.length; i++) {
+        data[i] = Math.round(Math.min(1, depths[i] / maxDepth) * 255);
+      }
+    }
+    return { width, height, format, maxDepth, data };
+  }
+
+  /** Is (x, z) on a coral reef? */
+  isReef(x, z) {
+    if (!this._reefs) return false;
+    return this._reefs.sample(x, z) > 0;
+  }
+
+  /**
+   * Reef class at (x, z)
+   * @returns {'fringing'|'barrier'|'atoll'|null} null if there is no reef
+   */
+  getReefType(x, z) {
+    if (!this._reefs) return null;
+    const id = this._reefs.sample(x, z);
+    return id > 0 ? this._reefTypes[id] : null;
+  }
+
+  /** Is (x, z) sheltered lagoon water behind a barrier reef or inside an atoll? */
+  isLagoon(x, z) {
+    if (!this._lagoon) return false;
+    return this._lagoon.sample(x, z) > 0;
+  }
+
   /**
    * Get approximate river width at (x, z) by finding the nearest
    * river vertex and returning its stored width property.
@@ -194,6 +514,44 @@ export class IslandData {
     return nearest ? nearest.width : 0;
   }
 
+  /**
+   * River mouth feature covering (x, z): a delta fan, or an estuary with its
+   * marsh margins.
+   * @returns {{ id: string, type: 'delta'|'estuary', riverId: string, x: number, z: number,
+   *   direction: {x: number, z: number}, flow: number, distributaries: Array,
+   *   wetlandIds: string[] }|null}
+   */
+  getRiverMouth(x, z) {
+    if (!this._mouthMap) return null;
+    const index = this._mouthMap.sample(x, z);
+    return index > 0 ? this._mouths[index - 1] : null;
+  }
+
+  /**
+   * Wetland patch at (x, z), on a delta plain or along an estuary.
+   * @returns {{ id: string, mouthId: string, x: number, z: number, area: number }|null}
+   */
+  getWetland(x, z) {
+    if (!this._wetlandMap) return null;
+    const index = this._wetlandMap.sample(x, z);
+    return index > 0 ? this._wetlands[index - 1] : null;
+  }
+
+  /** Is (x, z) on a river-mouth wetland? */
+  isWetland(x, z) {
+    return this.getWetland(x, z) !== null;
+  }
+
+  /**
+   * Depth of the water table below the ground at (x, z), in elevation units:
+   * 0 where it meets the surface (springs, river banks, lakes and sea),
+   * deepest under dry ridges.
+   * @returns {number} Depth, or 0 when hydrology was not generated
+   */
+  getGroundwaterDepth(x, z) {
+    return this._groundwater ? this._groundwater.sample(x, z) : 0;
+  }
+
   // ------------------------------------------------------------------
   // Roads
   // ------------------------------------------------------------------
@@ -383,6 +741,51 @@ export class IslandData {
     return nearest ? { poi: nearest, distance: minDist } : null;
   }
 
+  // ------------------------------------------------------------------
+  // Vegetation
+  // ------------------------------------------------------------------
+
+  /**
+   * Get the vegetation instances inside a tile. Bounds are half-open
+   * (min inclusive, max exclusive) so adjacent tiles never share an instance.
+   * @param {{ minX: number, minZ: number, maxX: number, maxZ: number }} bounds
+   * @returns {{ trees: Array, shrubs: Array, boulders: Array }}
+   *   Instances are { x, z, type, species, scale, rotation }
+   */
+  getVegetationInTile(bounds) {
+    const found = { trees: [], shrubs: [], boulders: [] };
+    if (!this._vegetation) return found;
+    if (!this._vegetationIndex) this._vegetationIndex = this._buildVegetationIndex();
+
+    const { size, cols, rows, cells } = this._vegetationIndex;
+    const b = this._result.elevation.bounds;
+    const c0 = Math.max(0, Math.floor((bounds.minX - b.minX) / size));
+    const c1 = Math.min(cols - 1, Math.floor((bounds.maxX - b.minX) / size));
+    const r0 = Math.max(0, Math.floor((bounds.minZ - b.minZ) / size));
+    const r1 = Math.min(rows - 1, Math.floor((bounds.maxZ - b.minZ) / size));
+
+    for (let row = r0; row <= r1; row++) {
+      for (let col = c0; col <= c1; col++) {
+        for (const inst of cells[row * cols + col] || []) {
+          if (inst.x >= bounds.minX && inst.x < bounds.maxX &&
+              inst.z >= bounds.minZ && inst.z < bounds.maxZ) {
+            found[`${inst.type}s`].push(inst);
+          }
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Get grass density at (x, z).
+   * @returns {number} 0 (bare) to 1 (dense), 0 without vegetation data
+   */
+  getGrassDensity(x, z) {
+    if (!this._grass) return 0;
+    return this._grass.sample(x, z) / 255;
+  }
+
   // ------------------------------------------------------------------
   // Meta
   // ------------------------------------------------------------------
@@ -436,7 +839,23 @@ export class IslandData {
     return [...this._roads];
   }
 
-  /** Get all rivers as an array. */
+  /** Get all ferry routes (type 'ferry') linking settlements across water. */
+  getSeaRoutes() {
+    return [...this._seaRoutes];
+  }
+
+  /** Get all harbors: { id, settlement, position: [x, z] } docks on coastal settlements. */
+  getHarbors() {
+    return [...this._harbors];
+  }
+
+  /**
+   * Get all rivers as an array: the tributary network. Main rivers have
+   * parentId null; a tributary names the river it joins in parentId, with
+   * the meeting point in confluence { x, z, vertexIndex }, and lists its own
+   * tributaries in childIds. order is the Strahler stream order at the mouth,
+   * and segments [{ start, end, order }] give it per reach between confluences.
+   */
   getRivers() {
     return [...this._rivers];
   }
@@ -446,6 +865,92 @@ export class IslandData {
     return [...this._lakes];
   }
 
+  /** Get all river mouth features (deltas and estuaries) as an array. */
+  getRiverMouths() {
+    return [...this._mouths];
+  }
+
+  /** Get all river-mouth wetland patches as an array. */
+  getWetlands() {
+    return [...this._wetlands];
+  }
+
+  /**
+   * Get all waterfalls: { id, riverId, x, z, base: { x, z, elevation }, drop,
+   * flow, width, gradient, plungePool }. (x, z) is the lip; plungePool
+   * { x, z, radius, depth } is the bowl carved at the base (absent when
+   * plunge pools are turned off).
+   */
+  getWaterfalls() {
+    return [...this._waterfalls];
+  }
+
+  /** Get all rapids, shaped like waterfalls but without a plunge pool. */
+  getRapids() {
+    return [...this._rapids];
+  }
+
+  /**
+   * Get all springs: { id, x, z, elevation, col, row, riverId }, where the
+   * water table meets the surface. riverId names the river a spring feeds,
+   * or is null.
+   */
+  getSprings() {
+    return [...this._springs];
+  }
+
+  // ------------------------------------------------------------------
+  // Custom stages
+  // ------------------------------------------------------------------
+
+  /**
+   * Names of the custom stages (see registerStage) in this island's pipeline.
+   * @returns {string[]}
+   */
+  getCustomStageNames() {
+    const order = this._result._stages || [];
+    return order.filter(name => !STAGES.includes(name));
+  }
+
+  /**
+   * Output of a custom stage, or null if it did not run.
+   * Built-in stage names are rejected; use the dedicated getters instead.
+   * @param {string} name
+   * @returns {*}
+   */
+  getStageOutput(name) {
+    const custom = this.getCustomStageNames();
+    if (!custom.includes(name)) {
+      throw new Error(`Unknown custom stage: ${name}. Valid: ${custom.join(', ') || '(none)'}`);
+    }
+    return this._result[name] ?? null;
+  }
+
+  // ------------------------------------------------------------------
+  // Persistence
+  // ------------------------------------------------------------------
+
+  /**
+   * Serialize this island into a compact versioned binary bundle.
+   * Grids are stored as raw typed arrays; features as JSON.
+   * Function-valued config (e.g. a custom biome classify) is not stored.
+   * @returns {ArrayBuffer}
+   */
+  serialize() {
+    return encodeBundle(this._result, this._config);
+  }
+
+  /**
+   * Restore a fully queryable island from a bundle produced by serialize().
+   * The pipeline is not rerun.
+   * @param {ArrayBuffer|ArrayBufferView} buffer
+   * @returns {IslandData}
+   */
+  static deserialize(buffer) {
+    const { result, config } = decodeBundle(buffer);
+    return new IslandData(result, config);
+  }
+
   // ------------------------------------------------------------------
   // Influence queries (smooth 0.0-1.0 falloff)
   // ------------------------------------------------------------------
@@ -495,6 +1000,12 @@ export class IslandData {
   getRiverSDFSampler() { return this._riverSDF; }
   /** @returns {FieldSampler|undefined} Lake distance field sampler (signed) */
   getLakeSDFSampler() { return this._lakeSDF; }
+  /** @returns {FieldSampler|undefined} River mouth index sampler (nearest-neighbor, 0 = none) */
+  getRiverMouthSampler() { return this._mouthMap; }
+  /** @returns {FieldSampler|undefined} Wetland index sampler (nearest-neighbor, 0 = none) */
+  getWetlandSampler() { return this._wetlandMap; }
+  /** @returns {FieldSampler|undefined} Water table depth sampler */
+  getGroundwaterSampler() { return this._groundwater; }
   /** @returns {FieldSampler|undefined} Coast distance field sampler */
   getCoastSDFSampler() { return this._coastSDF; }
   /** @returns {FieldSampler|undefined} Road distance field sampler */
@@ -505,11 +1016,48 @@ export class IslandData {
   getRoadInfluenceSampler() { return this._roadInfluence; }
   /** @returns {FieldSampler|undefined} Coast influence sampler (0-255, signed) */
   getCoastInfluenceSampler() { return this._coastInfluence; }
+  /** @returns {FieldSampler|undefined} Grass density sampler (0-255) */
+  getGrassSampler() { return this._grass; }
+  /** @returns {FieldSampler|undefined} Hydraulic sediment sampler (elevation units) */
+  getSedimentSampler() { return this._sediment; }
+  /** @returns {FieldSampler|undefined} Thermal scree sampler (elevation units) */
+  getScreeSampler() { return this._scree; }
+  /** @returns {FieldSampler|undefined} Eroded depth sampler (elevation units) */
+  getErosionSampler() { return this._eroded; }
+  /** @returns {FieldSampler|undefined} Depth zone sampler (index into DEPTH_ZONES, 0 = land) */
+  getDepthZoneSampler() { return this._depthZones; }
+  /** @returns {FieldSampler|undefined} Reef class sampler (index into REEF_TYPES, 0 = none) */
+  getReefSampler() { return this._reefs; }
 
   // ------------------------------------------------------------------
   // Private helpers
   // ------------------------------------------------------------------
 
+  /** @private Snow cover without the water check (river vertices sit on water) */
+  _snowAt(x, z, month) {
+    const { temperature, precipitation } = this.getClimate(x, z, { month });
+    return snowCover(temperature, precipitation);
+  }
+
+  /** @private Bucket vegetation instances into a coarse grid for tile queries. */
+  _buildVegetationIndex() {
+    const b = this._result.elevation.bounds;
+    const size = VEGETATION_BUCKET_SIZE;
+    const cols = Math.max(1, Math.ceil((b.maxX - b.minX) / size));
+    const rows = Math.max(1, Math.ceil((b.maxZ - b.minZ) / size));
+    const cells = new Array(cols * rows);
+    const { trees, shrubs, boulders } = this._vegetation;
+
+    for (const inst of [...trees, ...shrubs, ...boulders]) {
+      const col = Math.min(cols - 1, Math.max(0, Math.floor((inst.x - b.minX) / size)));
+      const row = Math.min(rows - 1, Math.max(0, Math.floor((inst.z - b.minZ) / size)));
+      const key = row * cols + col;
+      if (!cells[key]) cells[key] = [];
+      cells[key].push(inst);
+    }
+    return { size, cols, rows, cells };
+  }
+
   /** @private Find nearest river vertex to (x, z). */
   _findNearestRiverVertex(x, z) {
     let nearest = null;
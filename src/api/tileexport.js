@@ -0,0 +1,234 @@
+/**
+ * Chunked heightmap tile export
+ *
+ * Slices an IslandData into fixed-size square tiles for streaming engines.
+ * Heights include river channel carving (via the hybrid query profiles) and
+ * settlement terrace flattening, so consumers don't need to re-sample
+ * IslandData point by point.
+ *
+ * Heightmaps are sampled on block CORNERS: a tile of N blocks has (N+1)²
+ * height samples and shares its edge row/column with its neighbours, so
+ * adjacent chunks join without seams. Biome and surface maps are sampled at
+ * block CENTERS (N² values per tile).
+ */
+
+import { createContinentMetadata } from '../world/metadata.js';
+import { queryRiver, queryRoad } from '../world/queries.js';
+import { riverProfile, roadProfile, SURFACE_TYPES } from '../terrain/profiles.js';
+
+/** Surface codes stored in the Uint8 surface map (index = code, 0 = natural terrain) */
+export const TILE_SURFACE_CODES = [null, ...Object.values(SURFACE_TYPES)];
+
+const SURFACE_TO_CODE = new Map(TILE_SURFACE_CODES.map((s, i) => [s, i]));
+
+/** Profile blend weight above which a feature claims the surface type */
+const SURFACE_CLAIM_WEIGHT = 0.5;
+
+/**
+ * Export an island as a grid of heightmap tiles.
+ *
+ * @param {import('./islanddata.js').IslandData} island
+ * @param {Object} [options]
+ * @param {number} [options.tileSize=16] - Blocks per tile side
+ * @param {number} [options.blocksPerUnit=256] - Blocks per normalized world unit
+ *   (settlement sizes assume ~1000, i.e. 1 block ≈ 0.001)
+ * @param {'float32'|'uint16'} [options.heightFormat='float32'] - Heightmap encoding;
+ *   uint16 maps the island-wide height range in the manifest to 0..65535
+ * @param {boolean} [options.carveRivers=true] - Apply river channel carving
+ * @param {boolean} [options.terraces=true] - Apply settlement terrace elevations
+ * @returns {{ manifest: Object, tiles: Array<{ x: number, z: number, key: string,
+ *   heights: Float32Array|Uint16Array, biomes: Uint8Array, surfaces: Uint8Array }> }}
+ */
+export function exportHeightmapTiles(island, options = {}) {
+  const {
+    tileSize = 16,
+    blocksPerUnit = 256,
+    heightFormat = 'float32',
+    carveRivers = true,
+    terraces = true,
+  } = options;
+
+  if (!Number.isInteger(tileSize) || tileSize < 1) {
+    throw new Error(`Invalid tileSize: ${tileSize}`);
+  }
+  if (!(blocksPerUnit > 0)) {
+    throw new Error(`Invalid blocksPerUnit: ${blocksPerUnit}`);
+  }
+  if (heightFormat !== 'float32' && heightFormat !== 'uint16') {
+    throw new Error(`Unknown heightFormat: ${heightFormat}. Valid: float32, uint16`);
+  }
+
+  const bounds = island.getBounds();
+  const seaLevel = island.getSeaLevel();
+  const blockSize = 1 / blocksPerUnit;
+
+  const tilesX = Math.ceil((bounds.maxX - bounds.minX) * blocksPerUnit / tileSize);
+  const tilesZ = Math.ceil((bounds.maxZ - bounds.minZ) * blocksPerUnit / tileSize);
+  const blocksX = tilesX * tileSize;
+  const blocksZ = tilesZ * tileSize;
+
+  const metadata = buildFeatureMetadata(island, bounds);
+
+  // 1. Global corner lattice — computed once so shared edges are identical
+  const vertsX = blocksX + 1;
+  const vertsZ = blocksZ + 1;
+  const heights = new Float32Array(vertsX * vertsZ);
+  let minHeight = Infinity, maxHeight = -Infinity;
+
+  for (let vz = 0; vz < vertsZ; vz++) {
+    const z = bounds.minZ + vz * blockSize;
+    for (let vx = 0; vx < vertsX; vx++) {
+      const x = bounds.minX + vx * blockSize;
+      const h = sampleHeight(island, metadata, x, z, carveRivers, terraces);
+      heights[vz * vertsX + vx] = h;
+      if (h < minHeight) minHeight = h;
+      if (h > maxHeight) maxHeight = h;
+    }
+  }
+
+  // 2. Global block-center maps
+  const biomeGrid = new Uint8Array(blocksX * blocksZ);
+  const surfaceGrid = new Uint8Array(blocksX * blocksZ);
+  const biomeLegend = {};
+
+  for (let bz = 0; bz < blocksZ; bz++) {
+    const z = bounds.minZ + (bz + 0.5) * blockSize;
+    for (let bx = 0; bx < blocksX; bx++) {
+      const x = bounds.minX + (bx + 0.5) * blockSize;
+      const idx = bz * blocksX + bx;
+      const biomeId = island.getBiome(x, z);
+      biomeGrid[idx] = biomeId;
+      if (!(biomeId in biomeLegend)) biomeLegend[biomeId] = island.getBiomeName(x, z);
+      surfaceGrid[idx] = sampleSurface(island, metadata, x, z, seaLevel);
+    }
+  }
+
+  // 3. Slice tiles
+  const heightRange = maxHeight - minHeight || 1;
+  const samplesPerSide = tileSize + 1;
+  const tiles = [];
+  const tileIndex = [];
+
+  for (let tz = 0; tz < tilesZ; tz++) {
+    for (let tx = 0; tx < tilesX; tx++) {
+      const key = `${tx}_${tz}`;
+      const tileHeights = heightFormat === 'uint16'
+        ? new Uint16Array(samplesPerSide * samplesPerSide)
+        : new Float32Array(samplesPerSide * samplesPerSide);
+      let tileMin = Infinity, tileMax = -Infinity;
+
+      for (let r = 0; r < samplesPerSide; r++) {
+        const rowStart = (tz * tileSize + r) * vertsX + tx * tileSize;
+        for (let c = 0; c < samplesPerSide; c++) {
+          const h = heights[rowStart + c];
+          if (h < tileMin) tileMin = h;
+          if (h > tileMax) tileMax = h;
+          tileHeights[r * samplesPerSide + c] = heightFormat === 'uint16'
+            ? Math.round((h - minHeight) / heightRange * 65535)
+            : h;
+        }
+      }
+
+      const tileBiomes = new Uint8Array(tileSize * tileSize);
+      const tileSurfaces = new Uint8Array(tileSize * tileSize);
+      for (let r = 0; r < tileSize; r++) {
+        const src = (tz * tileSize + r) * blocksX + tx * tileSize;
+        tileBiomes.set(biomeGrid.subarray(src, src + tileSize), r * tileSize);
+        tileSurfaces.set(surfaceGrid.subarray(src, src + tileSize), r * tileSize);
+      }
+
+      tiles.push({ x: tx, z: tz, key, heights: tileHeights, biomes: tileBiomes, surfaces: tileSurfaces });
+      tileIndex.push({
+        x: tx, z: tz, key,
+        origin: {
+          x: bounds.minX + tx * tileSize * blockSize,
+          z: bounds.minZ + tz * tileSize * blockSize,
+        },
+        minHeight: tileMin,
+        maxHeight: tileMax,
+      });
+    }
+  }
+
+  const manifest = {
+    version: 1,
+    seed: island.getSeed(),
+    tileSize,
+    samplesPerSide,
+    blocksPerUnit,
+    tilesX,
+    tilesZ,
+    bounds,
+    seaLevel,
+    heightFormat,
+    heightRange: { min: minHeight, max: maxHeight },
+    biomes: biomeLegend,
+    surfaceTypes: TILE_SURFACE_CODES,
+    tiles: tileIndex,
+  };
+
+  return { manifest, tiles };
+}
+
+// ---------------------------------------------------------------------------
+// Sampling helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Bundle the island's rivers and roads into ContinentMetadata so the hybrid
+ * query profiles can be used. Reuses the pre-baked influence fields.
+ */
+function buildFeatureMetadata(island, bounds) {
+  return createContinentMetadata({
+    rivers: island.getRivers(),
+    roads: island.getRoads(),
+    seaLevel: island.getSeaLevel(),
+    bounds,
+    influenceResolution: island.getElevationSampler().width,
+    coastlineInfluence: island.getCoastInfluenceSampler()?.data || new Uint8Array(0),
+    riverInfluence: island.getRiverInfluenceSampler()?.data,
+    roadInfluence: island.getRoadInfluenceSampler()?.data,
+  });
+}
+
+function sampleHeight(island, metadata, x, z, carveRivers, terraces) {
+  if (terraces) {
+    const terrace = island.getTerraceElevation(x, z);
+    if (terrace !== null) return terrace;
+  }
+
+  const base = island.getElevation(x, z);
+  if (!carveRivers) return base;
+
+  const river = queryRiver(metadata, x, z);
+  if (river.influence <= 0) return base;
+  return base + riverProfile(river, base).elevationDelta;
+}
+
+function sampleSurface(island, metadata, x, z, seaLevel) {
+  const base = island.getElevation(x, z);
+  if (base < seaLevel) return SURFACE_TO_CODE.get(SURFACE_TYPES.OCEAN);
+
+  let best = null;
+  let bestWeight = SURFACE_CLAIM_WEIGHT;
+
+  const road = queryRoad(metadata, x, z);
+  if (road.influence > 0) {
+    const p = roadProfile(road, base);
+    if (p.surfaceType && p.blendWeight > bestWeight) {
+      best = p.surfaceType;
+      bestWeight = p.blendWeight;
+    }
+  }
+
+  const river = queryRiver(metadata, x, z);
+  if (river.influence > 0) {
+    const p = riverProfile(river, base);
+    if (p.surfaceType && p.blendWeight > bestWeight) {
+      best = p.surfaceType;
+      bestWeight = p.blendWeight;
+    }
+  }
+
+  return SURFACE_TO_CODE.get(best) ?? 0;
+}
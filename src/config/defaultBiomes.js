@@ -17,8 +17,15 @@ export const DEFAULT_BIOMES = [
   { id: 7,  name: 'tundra',        color: [176, 190, 197],  minTemp: 0.1,  maxTemp: 0.3,  minHumidity: 0.0,  maxHumidity: 0.5 },
   { id: 8,  name: 'snow',          color: [240, 240, 255] },
   { id: 9,  name: 'mountain_rock', color: [130, 110, 100] },
+  { id: 10, name: 'volcanic',      color: [66, 60, 58] },
 ];
 
+/** Biome ID painted around a volcano's vent (see stages/biomes.js) */
+export const VOLCANIC_BIOME_ID = 10;
+
+/** Biome ID painted on river-mouth wetlands (see stages/biomes.js) */
+export const WETLAND_BIOME_ID = 6;
+
 /** Pre-built color lookup */
 const BIOME_COLOR_MAP = new Map(DEFAULT_BIOMES.map(b => [b.id, b.color]));
 
@@ -47,6 +47,19 @@ export const DEFAULT_NAMING = {
     ],
   },
 
+  archipelago: {
+    patterns: ['the_name_isles', 'name_archipelago', 'the_adjective_name'],
+    weights: [0.45, 0.35, 0.20],
+    names: [
+      'Korth', 'Vern', 'Sable', 'Gale', 'Tern', 'Cinder', 'Mire', 'Dusk',
+      'Skerry', 'Halcyon', 'Brine', 'Osprey',
+    ],
+    adjectives: [
+      'Scattered', 'Broken', 'Drowned', 'Thousand', 'Sunlit', 'Windward',
+      'Leeward', 'Shattered',
+    ],
+  },
+
   river: {
     patterns: ['the_name_river', 'name'],
     names: [
@@ -0,0 +1,101 @@
+/**
+ * Default sub-biome variant table
+ *
+ * Small-scale ground variants inside each parent biome, adapted from the
+ * sub-biome tables in docs/golemcraft-visual-overhaul.md §5 and keyed by
+ * the default Whittaker biome names (plains → grassland, deciduous forest
+ * → forest, mountains → mountain_rock, glacier → snow).
+ *
+ * Variant fields:
+ *   name       - identifier, unique within its parent biome
+ *   weight     - relative frequency for noise selection
+ *   primary    - dominant ground texture (see GROUND_TEXTURES)
+ *   secondary  - blended ground texture
+ *   tint       - [r, g, b] in 0..1, or null to inherit the parent tint
+ *   override   - 'slope' (forced on steep ground), 'depression' (forced
+ *                in local hollows), 'scree' or 'alluvial' (forced where the
+ *                erosion stage piled up scree or river sediment, and never
+ *                picked elsewhere); optional
+ *   moisture   - [min, max] humidity range the variant may appear in; optional
+ *   vegetation - vegetation set name (doc §6)
+ */
+
+/** Ground texture set, in texture-array index order */
+export const GROUND_TEXTURES = ['grass', 'forest_floor', 'dirt', 'sand', 'rock', 'snow', 'ice', 'gravel'];
+
+/** Sub-biome variants keyed by parent biome name */
+export const DEFAULT_SUB_BIOMES = {
+  grassland: [
+    { name: 'grassland',    weight: 0.50, primary: 'grass', secondary: 'dirt',   tint: null,              vegetation: 'lush_grass' },
+    { name: 'meadow_patch', weight: 0.20, primary: 'grass', secondary: 'dirt',   tint: [0.25, 0.85, 0.3], vegetation: 'flower_meadow', moisture: [0.3, 1] },
+    { name: 'exposed_rock', weight: 0.10, primary: 'rock',  secondary: 'gravel', tint: [0.6, 0.6, 0.6],   vegetation: 'sparse_rock', override: 'slope' },
+    { name: 'sandy_hollow', weight: 0.10, primary: 'sand',  secondary: 'dirt',   tint: [0.85, 0.8, 0.6],  vegetation: 'sandy_sparse', override: 'depression', moisture: [0, 0.4] },
+    { name: 'mud_patch',    weight: 0.10, primary: 'dirt',  secondary: 'gravel', tint: [0.4, 0.35, 0.25], vegetation: 'mud_sparse', override: 'depression', moisture: [0.4, 1] },
+    { name: 'alluvial_fan', weight: 0.10, primary: 'gravel', secondary: 'grass', tint: [0.55, 0.6, 0.4],  vegetation: 'dry_grass', override: 'alluvial' },
+    { name: 'scree_apron',  weight: 0.10, primary: 'gravel', secondary: 'rock',  tint: [0.6, 0.58, 0.52], vegetation: 'gravel_bare', override: 'scree' },
+  ],
+  forest: [
+    { name: 'forest_floor', weight: 0.45, primary: 'forest_floor', secondary: 'dirt',         tint: null,               vegetation: 'forest_understory' },
+    { name: 'fern_glade',   weight: 0.20, primary: 'grass',        secondary: 'forest_floor', tint: [0.25, 0.5, 0.2],   vegetation: 'forest_understory', moisture: [0.6, 1] },
+    { name: 'bare_soil',    weight: 0.15, primary: 'dirt',         secondary: 'forest_floor', tint: [0.4, 0.3, 0.2],    vegetation: 'forest_clearing' },
+    { name: 'mossy_rock',   weight: 0.10, primary: 'rock',         secondary: 'grass',        tint: [0.4, 0.45, 0.35],  vegetation: 'sparse_rock', override: 'slope' },
+    { name: 'fallen_log',   weight: 0.10, primary: 'forest_floor', secondary: 'dirt',         tint: [0.3, 0.25, 0.15],  vegetation: 'mushroom_patch' },
+    { name: 'rockfall',     weight: 0.10, primary: 'gravel',       secondary: 'forest_floor', tint: [0.45, 0.45, 0.4], vegetation: 'sparse_rock', override: 'scree' },
+  ],
+  swamp: [
+    { name: 'murky_grass',    weight: 0.35, primary: 'grass', secondary: 'dirt',   tint: null,               vegetation: 'swamp_reeds' },
+    { name: 'mud_flat',       weight: 0.25, primary: 'dirt',  secondary: 'gravel', tint: [0.3, 0.25, 0.15],  vegetation: 'mud_sparse', override: 'depression' },
+    { name: 'standing_water', weight: 0.15, primary: 'dirt',  secondary: 'dirt',   tint: [0.15, 0.2, 0.15],  vegetation: 'none', override: 'depression' },
+    { name: 'reed_bank',      weight: 0.15, primary: 'grass', secondary: 'sand',   tint: [0.25, 0.35, 0.2],  vegetation: 'swamp_reeds' },
+    { name: 'dry_hummock',    weight: 0.10, primary: 'grass', secondary: 'rock',   tint: [0.35, 0.45, 0.25], vegetation: 'swamp_dry' },
+  ],
+  desert: [
+    { name: 'sand_dune',     weight: 0.45, primary: 'sand',   secondary: 'sand',   tint: null,               vegetation: 'desert_sparse' },
+    { name: 'rocky_flat',    weight: 0.20, primary: 'rock',   secondary: 'sand',   tint: [0.7, 0.65, 0.5],   vegetation: 'desert_rocky' },
+    { name: 'gravel_wash',   weight: 0.15, primary: 'gravel', secondary: 'sand',   tint: [0.75, 0.7, 0.55],  vegetation: 'sandy_sparse', override: 'depression' },
+    { name: 'cracked_earth', weight: 0.10, primary: 'dirt',   secondary: 'sand',   tint: [0.8, 0.7, 0.45],   vegetation: 'desert_sparse' },
+    { name: 'boulder_field', weight: 0.10, primary: 'rock',   secondary: 'gravel', tint: [0.6, 0.55, 0.45],  vegetation: 'desert_rocky', override: 'slope' },
+    { name: 'alluvial_fan',  weight: 0.10, primary: 'gravel', secondary: 'sand',   tint: [0.8, 0.72, 0.55],  vegetation: 'sandy_sparse', override: 'alluvial' },
+  ],
+  jungle: [
+    { name: 'dense_canopy',  weight: 0.40, primary: 'forest_floor', secondary: 'dirt',         tint: null,               vegetation: 'jungle_dense' },
+    { name: 'vine_clearing', weight: 0.20, primary: 'grass',        secondary: 'forest_floor', tint: [0.2, 0.45, 0.15],  vegetation: 'jungle_dense' },
+    { name: 'mud_path',      weight: 0.15, primary: 'dirt',         secondary: 'forest_floor', tint: [0.25, 0.2, 0.1],   vegetation: 'jungle_floor', override: 'depression' },
+    { name: 'root_network',  weight: 0.15, primary: 'forest_floor', secondary: 'rock',         tint: [0.2, 0.3, 0.15],   vegetation: 'jungle_floor' },
+    { name: 'rocky_stream',  weight: 0.10, primary: 'rock',         secondary: 'gravel',       tint: [0.4, 0.4, 0.35],   vegetation: 'jungle_floor', override: 'depression', moisture: [0.75, 1] },
+  ],
+  beach: [
+    { name: 'dry_sand',      weight: 0.40, primary: 'sand',  secondary: 'sand',   tint: null,               vegetation: 'beach_bare' },
+    { name: 'wet_sand',      weight: 0.25, primary: 'sand',  secondary: 'dirt',   tint: [0.8, 0.75, 0.6],   vegetation: 'beach_bare' },
+    { name: 'shell_scatter', weight: 0.15, primary: 'sand',  secondary: 'gravel', tint: [0.9, 0.85, 0.7],   vegetation: 'beach_grass' },
+    { name: 'dune_grass',    weight: 0.10, primary: 'grass', secondary: 'sand',   tint: [0.5, 0.6, 0.3],    vegetation: 'beach_grass' },
+    { name: 'tide_pool',     weight: 0.10, primary: 'rock',  secondary: 'sand',   tint: [0.6, 0.6, 0.55],   vegetation: 'none', override: 'depression' },
+  ],
+  tundra: [
+    { name: 'snow_field',   weight: 0.40, primary: 'snow',  secondary: 'rock',   tint: null,               vegetation: 'snow_sparse' },
+    { name: 'permafrost',   weight: 0.25, primary: 'dirt',  secondary: 'ice',    tint: [0.5, 0.48, 0.45],  vegetation: 'tundra_lichen' },
+    { name: 'rocky_flat',   weight: 0.15, primary: 'rock',  secondary: 'gravel', tint: [0.6, 0.58, 0.55],  vegetation: 'sparse_rock', override: 'slope' },
+    { name: 'lichen_patch', weight: 0.10, primary: 'grass', secondary: 'rock',   tint: [0.5, 0.55, 0.4],   vegetation: 'tundra_lichen' },
+    { name: 'ice_pool',     weight: 0.10, primary: 'ice',   secondary: 'snow',   tint: [0.75, 0.85, 0.95], vegetation: 'none', override: 'depression' },
+  ],
+  snow: [
+    { name: 'blue_ice',      weight: 0.45, primary: 'ice',    secondary: 'snow', tint: null,              vegetation: 'none' },
+    { name: 'snow_cover',    weight: 0.25, primary: 'snow',   secondary: 'ice',  tint: [0.95, 0.97, 1.0], vegetation: 'none' },
+    { name: 'crevasse_edge', weight: 0.15, primary: 'ice',    secondary: 'ice',  tint: [0.6, 0.75, 0.9],  vegetation: 'none', override: 'slope' },
+    { name: 'moraine',       weight: 0.15, primary: 'gravel', secondary: 'rock', tint: [0.5, 0.5, 0.5],   vegetation: 'gravel_bare' },
+  ],
+  mountain_rock: [
+    { name: 'bare_rock',    weight: 0.35, primary: 'rock',   secondary: 'gravel', tint: null,               vegetation: 'sparse_rock' },
+    { name: 'scree_slope',  weight: 0.20, primary: 'gravel', secondary: 'rock',   tint: [0.55, 0.55, 0.5],  vegetation: 'gravel_bare', override: 'slope' },
+    { name: 'alpine_grass', weight: 0.15, primary: 'grass',  secondary: 'rock',   tint: [0.35, 0.5, 0.25],  vegetation: 'alpine_hardy' },
+    { name: 'snow_cap',     weight: 0.15, primary: 'snow',   secondary: 'rock',   tint: [0.9, 0.92, 0.95],  vegetation: 'none' },
+    { name: 'cliff_face',   weight: 0.15, primary: 'rock',   secondary: 'rock',   tint: [0.5, 0.48, 0.45],  vegetation: 'sparse_rock', override: 'slope' },
+    { name: 'talus_apron',  weight: 0.10, primary: 'gravel', secondary: 'rock',   tint: [0.58, 0.56, 0.52], vegetation: 'gravel_bare', override: 'scree' },
+  ],
+  volcanic: [
+    { name: 'ash_field',    weight: 0.45, primary: 'gravel', secondary: 'dirt',   tint: null,               vegetation: 'gravel_bare' },
+    { name: 'basalt_flow',  weight: 0.25, primary: 'rock',   secondary: 'gravel', tint: [0.2, 0.2, 0.22],   vegetation: 'none' },
+    { name: 'cinder_slope', weight: 0.15, primary: 'gravel', secondary: 'rock',   tint: [0.35, 0.22, 0.18], vegetation: 'none', override: 'slope' },
+    { name: 'fern_pocket',  weight: 0.15, primary: 'dirt',   secondary: 'grass',  tint: [0.3, 0.4, 0.25],   vegetation: 'sparse_rock', moisture: [0.45, 1] },
+  ],
+};
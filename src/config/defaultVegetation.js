@@ -0,0 +1,38 @@
+/**
+ * Default vegetation scatter table
+ *
+ * Per parent biome (default Whittaker names): base densities in 0..1 for
+ * each scatter layer and the species trees and shrubs are drawn from.
+ * Grass density comes from the sub-biome's vegetation set instead (see
+ * VEGETATION_SET_DENSITY), so bare and lush patches differ inside a biome.
+ */
+
+/** Scatter densities and species keyed by parent biome name */
+export const DEFAULT_VEGETATION = {
+  beach:         { trees: 0.05, shrubs: 0.10, boulders: 0.05, treeSpecies: ['palm'],               shrubSpecies: ['beach_shrub'] },
+  desert:        { trees: 0.03, shrubs: 0.15, boulders: 0.20, treeSpecies: ['cactus'],             shrubSpecies: ['dead_bush'] },
+  grassland:     { trees: 0.12, shrubs: 0.30, boulders: 0.08, treeSpecies: ['oak', 'birch'],       shrubSpecies: ['hazel', 'bramble'] },
+  forest:        { trees: 0.85, shrubs: 0.45, boulders: 0.06, treeSpecies: ['oak', 'beech', 'birch'], shrubSpecies: ['fern_bush', 'holly'] },
+  jungle:        { trees: 1.00, shrubs: 0.70, boulders: 0.04, treeSpecies: ['kapok', 'palm'],      shrubSpecies: ['broadleaf_bush'] },
+  swamp:         { trees: 0.40, shrubs: 0.35, boulders: 0.00, treeSpecies: ['willow', 'cypress'],  shrubSpecies: ['reed_clump'] },
+  tundra:        { trees: 0.06, shrubs: 0.20, boulders: 0.15, treeSpecies: ['fir'],                shrubSpecies: ['dwarf_willow'] },
+  snow:          { trees: 0.00, shrubs: 0.00, boulders: 0.10, treeSpecies: [],                     shrubSpecies: [] },
+  mountain_rock: { trees: 0.04, shrubs: 0.08, boulders: 0.45, treeSpecies: ['pine'],               shrubSpecies: ['juniper'] },
+  volcanic:      { trees: 0.02, shrubs: 0.06, boulders: 0.50, treeSpecies: ['pine'],               shrubSpecies: ['fern_bush'] },
+};
+
+/**
+ * Grass density per vegetation set (docs/golemcraft-visual-overhaul.md §6
+ * density levels: very low .. very high).
+ */
+export const VEGETATION_SET_DENSITY = {
+  none: 0,
+  sparse_rock: 0.1, mud_sparse: 0.1, desert_rocky: 0.1, beach_bare: 0.1, snow_sparse: 0.1,
+  tundra_lichen: 0.1, alpine_hardy: 0.1, gravel_bare: 0.1,
+  sandy_sparse: 0.3, swamp_dry: 0.3, desert_sparse: 0.3, savanna_sparse: 0.3,
+  beach_grass: 0.3, taiga_floor: 0.3,
+  forest_understory: 0.5, forest_clearing: 0.5, mushroom_patch: 0.5, swamp_reeds: 0.5,
+  dry_grass: 0.5, jungle_floor: 0.5,
+  lush_grass: 0.75, flower_meadow: 0.75,
+  jungle_dense: 1,
+};
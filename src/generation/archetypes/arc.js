@@ -10,6 +10,24 @@ import { seededRandom, deriveSeed } from '../../core/seeds.js';
 import { createSimplexNoise } from '../../core/noise.js';
 import { lerp, smoothstep } from '../../core/math.js';
 
+/**
+ * Generate arc parameters
+ *
+ * @param {Function} rng - Seeded RNG
+ * @param {number} _radius - Island radius
+ * @returns {Object} Arc-specific params
+ */
+export function generateArcParams(rng, _radius) {
+  return {
+    curvature: lerp(0.3, 0.8, rng()),
+    arcAngle: lerp(Math.PI * 0.4, Math.PI * 0.9, rng()),
+    startAngle: rng() * Math.PI * 2,
+    peakElevation: lerp(0.5, 0.8, rng()),
+    vertexCount: Math.floor(lerp(8, 14, rng())),
+    noiseDisplacement: lerp(0.05, 0.12, rng()),
+  };
+}
+
 /**
  * Generate arc spine vertices and segments
  *
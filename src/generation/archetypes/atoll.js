@@ -0,0 +1,165 @@
+/**
+ * Atoll archetype
+ *
+ * A ring of low sand islets around a shallow central lagoon, the remains of
+ * a sunken volcano. The islets are 'shield'-profile blobs strung along an
+ * elliptical rim; there are no mountain spines. The island falloff keeps
+ * the rim just below sea level between islets (the reef flat), holds the
+ * lagoon floor shallow and drops away steeply outside the rim. A few
+ * passes cut the rim so the lagoon connects to the open sea.
+ * The reefs stage grows the reef itself along the rim.
+ */
+
+import { seededRandom, deriveSeed } from '../../core/seeds.js';
+import { createSimplexNoise } from '../../core/noise.js';
+import { lerp, smoothstep } from '../../core/math.js';
+
+/** Falloff on the rim centreline: noise alone stays below sea level, islets rise above it */
+const RIM_FALLOFF = 0.6;
+
+/** Angular half-width of a pass through the rim (radians) */
+const PASS_HALF_WIDTH = 0.12;
+
+/**
+ * Generate atoll parameters
+ *
+ * @param {Function} rng - Seeded RNG
+ * @param {number} _radius - Island radius
+ * @returns {Object} Atoll-specific params
+ */
+export function generateAtollParams(rng, _radius) {
+  const passCount = Math.floor(lerp(1, 3, rng()));
+  const passAngles = [];
+  for (let i = 0; i < passCount; i++) passAngles.push(rng() * Math.PI * 2);
+
+  return {
+    ringRadius: lerp(0.5, 0.65, rng()),
+    ringWidth: lerp(0.08, 0.12, rng()),
+    eccentricity: lerp(0, 0.25, rng()),
+    rotation: rng() * Math.PI * 2,
+    lagoonFalloff: lerp(0.28, 0.36, rng()),
+    isletCount: Math.floor(lerp(6, 13, rng())),
+    isletElevation: lerp(0.16, 0.24, rng()),
+    isletRadius: lerp(0.05, 0.09, rng()),
+    passAngles,
+  };
+}
+
+/**
+ * Position on the atoll rim at a given angle
+ * @param {Object} params - World parameters with atoll archetypeParams
+ * @param {number} theta - Angle around the rim (radians)
+ * @returns {{ x: number, z: number }}
+ */
+function rimPoint(params, theta) {
+  const { center, radius, archetypeParams } = params;
+  const { ringRadius, eccentricity, rotation } = archetypeParams;
+  const ex = Math.cos(theta) * ringRadius * radius * (1 + eccentricity);
+  const ez = Math.sin(theta) * ringRadius * radius * (1 - eccentricity);
+  const cosR = Math.cos(rotation);
+  const sinR = Math.sin(rotation);
+  return {
+    x: center.x + ex * cosR - ez * sinR,
+    z: center.z + ex * sinR + ez * cosR,
+  };
+}
+
+/**
+ * Generate atoll islets
+ *
+ * @param {Object} params - World parameters
+ * @param {Object} params.center - Island center {x, z}
+ * @param {number} params.radius - Island radius
+ * @param {Object} params.archetypeParams - Atoll-specific params
+ * @param {number} seed - Generation seed
+ * @returns {{ vertices: Array, segments: Array, blobs: Array }}
+ */
+export function generateAtoll(params, seed) {
+  const { radius, archetypeParams } = params;
+  const { isletCount, isletElevation, isletRadius, passAngles } = archetypeParams;
+
+  const rng = seededRandom(deriveSeed(seed, 'atoll'));
+  const noise = createSimplexNoise(deriveSeed(seed, 'atollNoise'));
+
+  const blobs = [];
+  const angleStep = (Math.PI * 2) / isletCount;
+  const baseAngle = rng() * Math.PI * 2;
+
+  for (let i = 0; i < isletCount; i++) {
+    const theta = baseAngle + i * angleStep + (rng() - 0.5) * angleStep * 0.6;
+    const elevation = isletElevation * lerp(0.8, 1.2, rng());
+    const islet = lerp(0.6, 1.4, rng()) * isletRadius * radius;
+
+    // Islets sitting in a pass would close it
+    if (passAngles.some(a => angleBetween(theta, a) < PASS_HALF_WIDTH + islet / radius)) continue;
+
+    const { x, z } = rimPoint(params, theta);
+    const wobble = noise(x * 4, z * 4) * islet * 0.5;
+    blobs.push({
+      id: `atoll-islet-${i}`,
+      x: x + Math.cos(theta) * wobble,
+      z: z + Math.sin(theta) * wobble,
+      elevation,
+      radius: islet,
+      profile: 'shield',
+    });
+  }
+
+  return { vertices: [], segments: [], blobs };
+}
+
+/**
+ * Atoll island mask: full strength on the rim, a shallow lagoon inside and
+ * deep water outside, with passes cut through the rim.
+ *
+ * @param {number} x - World x
+ * @param {number} z - World z
+ * @param {Object} params - World parameters with atoll archetypeParams
+ * @returns {number} Falloff in [0, 1]
+ */
+export function atollFalloff(x, z, params) {
+  const { ringRadius, ringWidth, lagoonFalloff, passAngles } = params.archetypeParams;
+  const { r, theta } = atollPosition(x, z, params);
+
+  const rimDist = Math.abs(r - 1) * ringRadius;
+  let rim = 1 - smoothstep(0, ringWidth, rimDist);
+  for (const a of passAngles) {
+    rim *= smoothstep(PASS_HALF_WIDTH * 0.5, PASS_HALF_WIDTH, angleBetween(theta, a));
+  }
+
+  return r < 1
+    ? lerp(lagoonFalloff, RIM_FALLOFF, rim)
+    : RIM_FALLOFF * rim;
+}
+
+/**
+ * Position relative to the atoll rim
+ * @param {number} x - World x
+ * @param {number} z - World z
+ * @param {Object} params - World parameters with atoll archetypeParams
+ * @returns {{ r: number, theta: number }} r is the normalized elliptical radius
+ *   (1 on the rim centreline, < 1 in the lagoon); theta the angle around the rim
+ */
+export function atollPosition(x, z, params) {
+  const { center, radius, archetypeParams } = params;
+  const { ringRadius, eccentricity, rotation } = archetypeParams;
+
+  const dx = x - center.x;
+  const dz = z - center.z;
+  const cosR = Math.cos(rotation);
+  const sinR = Math.sin(rotation);
+  const ex = (dx * cosR + dz * sinR) / (1 + eccentricity);
+  const ez = (-dx * sinR + dz * cosR) / (1 - eccentricity);
+
+  return {
+    r: Math.sqrt(ex * ex + ez * ez) / (ringRadius * radius),
+    theta: Math.atan2(ez, ex),
+  };
+}
+
+/** Absolute angular difference in [0, PI] */
+function angleBetween(a, b) {
+  let d = (a - b) % (Math.PI * 2);
+  if (d < 0) d += Math.PI * 2;
+  return d > Math.PI ? Math.PI * 2 - d : d;
+}
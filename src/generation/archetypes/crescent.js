@@ -11,6 +11,23 @@ import { seededRandom, deriveSeed } from '../../core/seeds.js';
 import { createSimplexNoise } from '../../core/noise.js';
 import { lerp, smoothstep } from '../../core/math.js';
 
+/**
+ * Generate crescent parameters
+ *
+ * @param {Function} rng - Seeded RNG
+ * @param {number} _radius - Island radius
+ * @returns {Object} Crescent-specific params
+ */
+export function generateCrescentParams(rng, _radius) {
+  return {
+    openingAngle: lerp(Math.PI * 0.3, Math.PI * 0.8, rng()),
+    startAngle: rng() * Math.PI * 2,
+    peakElevation: lerp(0.5, 0.75, rng()),
+    vertexCount: Math.floor(lerp(10, 18, rng())),
+    noiseDisplacement: lerp(0.04, 0.1, rng()),
+  };
+}
+
 /**
  * Generate crescent spine vertices and segments
  *
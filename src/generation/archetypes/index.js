@@ -1,35 +1,162 @@
 /**
  * Archetype registry
  *
- * Maps archetype names to their generator functions.
+ * Maps archetype names to their definitions: parameter generator, spine
+ * generator, optional island falloff, description and selection weight.
  * Provides weighted random selection for seed-based archetype choice.
+ * Callers can add their own island shapes with registerArchetype().
  */
 
-import { generateRidge } from './ridge.js';
-import { generateArc } from './arc.js';
-import { generateCrescent } from './crescent.js';
-import { generateRing } from './ring.js';
-import { generateStar } from './star.js';
-import { generateScattered } from './scattered.js';
+import { generateRidge, generateRidgeParams } from './ridge.js';
+import { generateArc, generateArcParams } from './arc.js';
+import { generateCrescent, generateCrescentParams } from './crescent.js';
+import { generateRing, generateRingParams } from './ring.js';
+import { generateStar, generateStarParams } from './star.js';
+import { generateScattered, generateScatteredParams } from './scattered.js';
+import { generateVolcano, generateVolcanoParams } from './volcano.js';
+import { generateAtoll, generateAtollParams, atollFalloff } from './atoll.js';
+import { TEMPLATE_ARCHETYPE } from '../template.js';
 
-const ARCHETYPES = {
-  ridge: generateRidge,
-  arc: generateArc,
-  crescent: generateCrescent,
-  ring: generateRing,
-  star: generateStar,
-  scattered: generateScattered,
-};
+/**
+ * Archetype definitions in registration order (built-ins first).
+ * Weights control probability during random selection (higher = more likely).
+ */
+const ARCHETYPES = new Map([
+  ['ridge', {
+    description: 'Linear mountain spine with central peaks',
+    weight: 3,
+    generateParams: generateRidgeParams,
+    generateSpines: generateRidge,
+  }],
+  ['arc', {
+    description: 'Curved mountain range forming a partial arc',
+    weight: 2,
+    generateParams: generateArcParams,
+    generateSpines: generateArc,
+  }],
+  ['crescent', {
+    description: 'Moon-shaped range with an open bay',
+    weight: 2,
+    generateParams: generateCrescentParams,
+    generateSpines: generateCrescent,
+  }],
+  ['ring', {
+    description: 'Circular mountain ring (caldera), optionally with a gap',
+    weight: 1,
+    generateParams: generateRingParams,
+    generateSpines: generateRing,
+  }],
+  ['star', {
+    description: 'Multiple mountain arms radiating from center',
+    weight: 2,
+    generateParams: generateStarParams,
+    generateSpines: generateStar,
+  }],
+  ['scattered', {
+    description: 'Archipelago of small islands',
+    weight: 1,
+    generateParams: generateScatteredParams,
+    generateSpines: generateScattered,
+  }],
+  ['volcano', {
+    description: 'Central volcanic cone with a crater lake and lava-flow ridges',
+    weight: 1,
+    generateParams: generateVolcanoParams,
+    generateSpines: generateVolcano,
+  }],
+  ['atoll', {
+    description: 'Ring of low sand islets around a shallow reef lagoon',
+    weight: 1,
+    generateParams: generateAtollParams,
+    generateSpines: generateAtoll,
+    falloff: atollFalloff,
+  }],
+]);
+
+const BUILTIN_ARCHETYPES = new Set(ARCHETYPES.keys());
+
+/**
+ * Public catalog: { description, weight } per archetype, kept in sync with
+ * the registry (re-exported as ARCHETYPES from the package root).
+ */
+export const ARCHETYPE_CATALOG = {};
+for (const [name, def] of ARCHETYPES) {
+  ARCHETYPE_CATALOG[name] = { description: def.description, weight: def.weight };
+}
+
+/** Names an archetype may not take (pipeline-internal) */
+const RESERVED_NAMES = new Set([TEMPLATE_ARCHETYPE]);
+
+/**
+ * Register a custom archetype
+ *
+ * The archetype joins weighted random selection and can be forced with the
+ * `archetype` option like a built-in one. Registration is per module
+ * instance: workers (generateAsync) must import the registering module too.
+ *
+ * @param {string} name - Unique archetype name
+ * @param {Object} archetype
+ * @param {number} archetype.weight - Random selection weight (0 = only when forced)
+ * @param {string} [archetype.description] - One-line description for UIs
+ * @param {Function} archetype.generateParams - (rng, radius) => archetypeParams;
+ *   draw all randomness from rng so results stay deterministic
+ * @param {Function} archetype.generateSpines - (params, seed) => { vertices, segments,
+ *   islands?, blobs?, crater? }, the same contract as the built-in generators
+ * @param {Function} [archetype.falloff] - (x, z, params) => 0..1 island mask that
+ *   replaces the default radial falloff (0 = deep ocean, 1 = full spine height)
+ */
+export function registerArchetype(name, archetype) {
+  const { weight, description = '', generateParams, generateSpines, falloff } = archetype || {};
+
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error('Archetype name must be a non-empty string');
+  }
+  if (ARCHETYPES.has(name) || RESERVED_NAMES.has(name)) {
+    throw new Error(`Archetype name already in use: ${name}`);
+  }
+  if (typeof weight !== 'number' || !(weight >= 0)) {
+    throw new Error(`Archetype ${name} needs a weight >= 0`);
+  }
+  if (typeof generateParams !== 'function') {
+    throw new Error(`Archetype ${name} needs a generateParams function`);
+  }
+  if (typeof generateSpines !== 'function') {
+    throw new Error(`Archetype ${name} needs a generateSpines function`);
+  }
+  if (falloff !== undefined && typeof falloff !== 'function') {
+    throw new Error(`Archetype ${name}: falloff must be a function`);
+  }
+
+  ARCHETYPES.set(name, { description, weight, generateParams, generateSpines, falloff });
+  ARCHETYPE_CATALOG[name] = { description, weight };
+}
 
-/** Weights for random archetype selection (higher = more likely) */
-const ARCHETYPE_WEIGHTS = {
-  ridge: 3,
-  arc: 2,
-  crescent: 2,
-  ring: 1,
-  star: 2,
-  scattered: 1,
-};
+/**
+ * Remove a custom archetype. Built-in archetypes cannot be removed.
+ * @param {string} name
+ * @returns {boolean} True if an archetype was removed
+ */
+export function unregisterArchetype(name) {
+  if (BUILTIN_ARCHETYPES.has(name)) {
+    throw new Error(`Cannot unregister built-in archetype: ${name}`);
+  }
+  delete ARCHETYPE_CATALOG[name];
+  return ARCHETYPES.delete(name);
+}
+
+/**
+ * Get the full definition of an archetype
+ * @param {string} name - Archetype name
+ * @returns {{ description: string, weight: number, generateParams: Function,
+ *   generateSpines: Function, falloff?: Function }}
+ */
+export function getArchetypeDefinition(name) {
+  const def = ARCHETYPES.get(name);
+  if (!def) {
+    throw new Error(`Unknown archetype: ${name}. Valid: ${listArchetypes().join(', ')}`);
+  }
+  return def;
+}
 
 /**
  * Get a generator function for the given archetype
@@ -37,19 +164,24 @@ const ARCHETYPE_WEIGHTS = {
  * @returns {Function} Generator function
  */
 export function getArchetype(name) {
-  const gen = ARCHETYPES[name];
-  if (!gen) {
-    throw new Error(`Unknown archetype: ${name}`);
-  }
-  return gen;
+  return getArchetypeDefinition(name).generateSpines;
+}
+
+/**
+ * Custom island falloff for an archetype, if it defines one
+ * @param {string} name - Archetype name
+ * @returns {Function|null} (x, z, params) => 0..1
+ */
+export function getArchetypeFalloff(name) {
+  return ARCHETYPES.get(name)?.falloff || null;
 }
 
 /**
- * List available archetype names
+ * List available archetype names (built-in and registered)
  * @returns {string[]}
  */
 export function listArchetypes() {
-  return Object.keys(ARCHETYPES);
+  return [...ARCHETYPES.keys()];
 }
 
 /**
@@ -58,8 +190,8 @@ export function listArchetypes() {
  * @returns {string} Archetype name
  */
 export function pickArchetype(rng) {
-  const names = Object.keys(ARCHETYPE_WEIGHTS);
-  const weights = names.map(n => ARCHETYPE_WEIGHTS[n]);
+  const names = listArchetypes().filter(n => ARCHETYPES.get(n).weight > 0);
+  const weights = names.map(n => ARCHETYPES.get(n).weight);
   const totalWeight = weights.reduce((sum, w) => sum + w, 0);
 
   let roll = rng() * totalWeight;
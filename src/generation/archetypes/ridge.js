@@ -10,6 +10,23 @@ import { seededRandom, deriveSeed } from '../../core/seeds.js';
 import { createSimplexNoise } from '../../core/noise.js';
 import { lerp, smoothstep } from '../../core/math.js';
 
+/**
+ * Generate ridge parameters
+ *
+ * @param {Function} rng - Seeded RNG
+ * @param {number} _radius - Island radius
+ * @returns {Object} Ridge-specific params
+ */
+export function generateRidgeParams(rng, _radius) {
+  return {
+    angle: rng() * Math.PI,
+    ridgeLength: lerp(0.5, 0.8, rng()),
+    peakElevation: lerp(0.55, 0.85, rng()),
+    vertexCount: Math.floor(lerp(6, 12, rng())),
+    noiseDisplacement: lerp(0.05, 0.15, rng()),
+  };
+}
+
 /**
  * Generate ridge spine vertices and segments
  *
@@ -10,6 +10,24 @@ import { seededRandom, deriveSeed } from '../../core/seeds.js';
 import { createSimplexNoise } from '../../core/noise.js';
 import { lerp, smoothstep } from '../../core/math.js';
 
+/**
+ * Generate ring parameters
+ *
+ * @param {Function} rng - Seeded RNG
+ * @param {number} _radius - Island radius
+ * @returns {Object} Ring-specific params
+ */
+export function generateRingParams(rng, _radius) {
+  return {
+    eccentricity: lerp(0, 0.3, rng()),
+    gapAngle: rng() * Math.PI * 2,
+    gapWidth: rng() < 0.3 ? 0 : lerp(0.3, 0.8, rng()),
+    peakElevation: lerp(0.35, 0.55, rng()),
+    vertexCount: Math.floor(lerp(12, 20, rng())),
+    noiseDisplacement: lerp(0.03, 0.08, rng()),
+  };
+}
+
 /**
  * Generate ring spine vertices and segments
  *
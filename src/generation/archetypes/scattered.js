@@ -12,6 +12,25 @@ import { seededRandom, deriveSeed } from '../../core/seeds.js';
 import { createSimplexNoise } from '../../core/noise.js';
 import { lerp, smoothstep, distance } from '../../core/math.js';
 
+/**
+ * Generate scattered parameters
+ *
+ * @param {Function} rng - Seeded RNG
+ * @param {number} _radius - Island radius
+ * @returns {Object} Scattered-specific params
+ */
+export function generateScatteredParams(rng, _radius) {
+  return {
+    islandCount: Math.floor(lerp(3, 7, rng())),
+    spreadRadius: lerp(0.5, 0.8, rng()),
+    minIslandRadius: lerp(0.1, 0.15, rng()),
+    maxIslandRadius: lerp(0.2, 0.35, rng()),
+    peakElevation: lerp(0.4, 0.7, rng()),
+    vertexCountPerIsland: Math.floor(lerp(4, 7, rng())),
+    noiseDisplacement: lerp(0.03, 0.08, rng()),
+  };
+}
+
 /**
  * Generate scattered spine vertices and segments
  *
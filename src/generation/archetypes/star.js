@@ -10,6 +10,23 @@ import { seededRandom, deriveSeed } from '../../core/seeds.js';
 import { createSimplexNoise } from '../../core/noise.js';
 import { lerp, smoothstep } from '../../core/math.js';
 
+/**
+ * Generate star parameters
+ *
+ * @param {Function} rng - Seeded RNG
+ * @param {number} _radius - Island radius
+ * @returns {Object} Star-specific params
+ */
+export function generateStarParams(rng, _radius) {
+  return {
+    armCount: Math.floor(lerp(3, 6, rng())),
+    armLength: lerp(0.3, 0.6, rng()),
+    peakElevation: lerp(0.6, 0.9, rng()),
+    vertexCountPerArm: Math.floor(lerp(3, 6, rng())),
+    noiseDisplacement: lerp(0.04, 0.12, rng()),
+  };
+}
+
 /**
  * Generate star spine vertices and segments
  *
@@ -0,0 +1,150 @@
+/**
+ * Volcano archetype
+ *
+ * A single central cone around a vent, with an optional summit crater and
+ * lava-flow ridges running down the flanks.
+ * The cone is a 'cone'-profile blob; each lava flow is a short spine that
+ * sits slightly above the cone surface. The crater is returned as a bowl
+ * for the elevation stage to carve, which hydrology then fills as a crater
+ * lake. The biome stage paints the ground near the vent volcanic.
+ */
+
+import { seededRandom, deriveSeed } from '../../core/seeds.js';
+import { createSimplexNoise } from '../../core/noise.js';
+import { lerp, smoothstep } from '../../core/math.js';
+
+/** Lava-flow ridge height above the cone surface at the top of the flow */
+const RIDGE_HEIGHT = 0.05;
+
+/** Flows start this far down the cone (fraction of cone radius), outside the crater */
+const FLOW_START = 0.2;
+
+/**
+ * Generate volcano parameters
+ *
+ * @param {Function} rng - Seeded RNG
+ * @param {number} radius - Island radius
+ * @returns {Object} Volcano-specific params
+ */
+export function generateVolcanoParams(rng, radius) {
+  const ventJitter = 0.1 * radius;
+  return {
+    ventOffset: {
+      x: (rng() - 0.5) * 2 * ventJitter,
+      z: (rng() - 0.5) * 2 * ventJitter,
+    },
+    peakElevation: lerp(0.6, 0.9, rng()),
+    coneRadius: lerp(0.7, 0.95, rng()),
+    craterRadius: rng() < 0.25 ? 0 : lerp(0.1, 0.16, rng()),
+    craterDepth: lerp(0.06, 0.12, rng()),
+    flowCount: Math.floor(lerp(3, 7, rng())),
+    flowLength: lerp(0.35, 0.6, rng()),
+    vertexCountPerFlow: Math.floor(lerp(4, 7, rng())),
+    noiseDisplacement: lerp(0.03, 0.08, rng()),
+    volcanicRadius: lerp(0.3, 0.45, rng()),
+  };
+}
+
+/**
+ * Vent position for volcano params
+ * @param {Object} params - World parameters with volcano archetypeParams
+ * @returns {{ x: number, z: number }}
+ */
+export function getVolcanoVent(params) {
+  const { center, archetypeParams } = params;
+  return {
+    x: center.x + archetypeParams.ventOffset.x,
+    z: center.z + archetypeParams.ventOffset.z,
+  };
+}
+
+/**
+ * Generate volcano cone, crater and lava-flow spines
+ *
+ * @param {Object} params - World parameters
+ * @param {Object} params.center - Island center {x, z}
+ * @param {number} params.radius - Island radius
+ * @param {Object} params.archetypeParams - Volcano-specific params
+ * @param {number} seed - Generation seed
+ * @returns {{ vertices: Array, segments: Array, blobs: Array,
+ *   crater: { x: number, z: number, radius: number, depth: number }|null }}
+ */
+export function generateVolcano(params, seed) {
+  const { radius, archetypeParams } = params;
+  const {
+    peakElevation,
+    coneRadius,
+    craterRadius,
+    craterDepth,
+    flowCount,
+    flowLength,
+    vertexCountPerFlow,
+    noiseDisplacement,
+  } = archetypeParams;
+
+  const rng = seededRandom(deriveSeed(seed, 'volcano'));
+  const noise = createSimplexNoise(deriveSeed(seed, 'volcanoNoise'));
+
+  const vent = getVolcanoVent(params);
+  const coneR = coneRadius * radius;
+  const coneElevation = (d) => peakElevation * Math.max(0, 1 - d / coneR);
+
+  const blobs = [{
+    id: 'volcano-cone',
+    x: vent.x,
+    z: vent.z,
+    elevation: peakElevation,
+    radius: coneR,
+    profile: 'cone',
+  }];
+
+  // Crater bowl: deep enough to sit below the rim, not just flatten the top
+  let crater = null;
+  if (craterRadius > 0) {
+    const craterR = craterRadius * radius;
+    crater = {
+      x: vent.x,
+      z: vent.z,
+      radius: craterR,
+      depth: peakElevation - coneElevation(craterR) + craterDepth,
+    };
+  }
+
+  // Lava flows: evenly spread, jittered, each a chain running downslope
+  const vertices = [];
+  const segments = [];
+  const baseAngle = rng() * Math.PI * 2;
+  const angleStep = (Math.PI * 2) / flowCount;
+
+  for (let flow = 0; flow < flowCount; flow++) {
+    const angle = baseAngle + flow * angleStep + (rng() - 0.5) * angleStep * 0.5;
+    const start = coneR * FLOW_START + (crater ? crater.radius : 0);
+    const length = radius * flowLength * lerp(0.7, 1.2, rng());
+    const cosA = Math.cos(angle);
+    const sinA = Math.sin(angle);
+    const firstIdx = vertices.length;
+
+    for (let i = 0; i < vertexCountPerFlow; i++) {
+      const t = i / (vertexCountPerFlow - 1);
+      const d = start + t * length;
+
+      let x = vent.x + cosA * d;
+      let z = vent.z + sinA * d;
+
+      // Flows wander more the further they run
+      const noiseVal = noise(x * 5, z * 5) * noiseDisplacement * t;
+      x += -sinA * noiseVal;
+      z += cosA * noiseVal;
+
+      // Ridge rides on the cone surface, fading out towards the toe
+      const fade = 1 - smoothstep(0.5, 1.0, t);
+      const elevation = coneElevation(d) + RIDGE_HEIGHT * fade;
+      const influence = lerp(0.025, 0.05, fade) * radius;
+
+      vertices.push({ x, z, elevation, influence });
+      if (i > 0) segments.push({ from: firstIdx + i - 1, to: firstIdx + i });
+    }
+  }
+
+  return { vertices, segments, blobs, crater };
+}
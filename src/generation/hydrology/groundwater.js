@@ -0,0 +1,181 @@
+/**
+ * Groundwater table and springs
+ *
+ * The water table sits deep under dry ridges and rises towards the surface
+ * where a lot of ground drains through a cell (D8 flow accumulation from
+ * terrain/flowgrid.js) and the climate is humid. Where it reaches the
+ * surface water seeps out: a spring is the first saturated cell along a
+ * flow path, with only dry ground upslope of it. Near rivers, lakes and the
+ * sea the table rises to the water surface.
+ *
+ * Depths are in elevation units below the ground surface (0 = saturated).
+ */
+
+import { clamp, smoothstep } from '../../core/math.js';
+import {
+  createFlowGrid, computeFlowDirections, computeFlowAccumulation, D8_DIRECTIONS,
+} from '../../terrain/flowgrid.js';
+
+/** Default groundwater config (depths in elevation units) */
+const DEFAULTS = {
+  maxGroundwaterDepth: 0.04,
+  springRivers: 3,
+};
+
+/** Upslope area (cells at 512 resolution) that saturates ground at average humidity */
+const SATURATION_AREA = 300;
+
+/** Humidity used when there is no climate */
+const DEFAULT_HUMIDITY = 0.5;
+
+/** Springs stay off the beach */
+const MIN_SPRING_HEIGHT = 0.03;
+
+/** Minimum distance between springs */
+const SPRING_SPACING = 0.04;
+
+/** Distance over which rivers and lakes raise the table to their surface */
+const RECHARGE_DISTANCE = 0.03;
+
+/** Cells (at 512 resolution) a spring must keep from traced rivers to start its own */
+const SPRING_RIVER_CLEARANCE = 6;
+
+/**
+ * Resolve and validate a groundwater config
+ * @param {Object} [config] - Partial config, see DEFAULTS
+ * @returns {Object} Full config
+ */
+export function resolveGroundwaterConfig(config) {
+  const opts = { ...DEFAULTS, ...config };
+  if (!(opts.maxGroundwaterDepth > 0)) {
+    throw new Error(`Invalid maxGroundwaterDepth: ${opts.maxGroundwaterDepth}`);
+  }
+  if (!Number.isInteger(opts.springRivers) || opts.springRivers < 0) {
+    throw new Error(`Invalid springRivers: ${opts.springRivers}`);
+  }
+  return opts;
+}
+
+/**
+ * Water table depth from drainage and humidity, and the springs where it
+ * meets the surface
+ *
+ * @param {Float32Array} data - Elevation grid
+ * @param {{ width: number, height: number, bounds: Object }} grid
+ * @param {number} seaLevel
+ * @param {Float32Array|null} humidity - Climate humidity (0..1) on the same grid
+ * @param {Object} opts - Resolved config (resolveGroundwaterConfig)
+ * @returns {{ depth: Float32Array, springs: Array }} Springs are
+ *   { id, x, z, elevation, col, row, riverId } (riverId null until a river starts there)
+ */
+export function computeGroundwater(data, grid, seaLevel, humidity, opts) {
+  const { width, height, bounds } = grid;
+  const cellW = (bounds.maxX - bounds.minX) / width;
+  const cellH = (bounds.maxZ - bounds.minZ) / height;
+  const count = width * height;
+
+  // Explicit dimensions: recomputing them from the cell size can round up a cell
+  const flow = createFlowGrid(bounds, cellW, width, height);
+  flow.elevation.set(data);
+  computeFlowDirections(flow);
+  computeFlowAccumulation(flow);
+
+  // Saturation: log upslope area, scaled by humidity (dry climates need far
+  // larger catchments before the table surfaces)
+  const areaScale = (512 / width) * (512 / height);
+  const logSaturation = Math.log(SATURATION_AREA);
+  const saturation = new Float32Array(count);
+  const depth = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    if (data[i] <= seaLevel) continue;
+    const wetness = Math.log(Math.max(1, flow.accumulation[i] * areaScale)) / logSaturation;
+    saturation[i] = wetness * (0.5 + (humidity ? humidity[i] : DEFAULT_HUMIDITY));
+    depth[i] = Math.min(
+      opts.maxGroundwaterDepth * (1 - clamp(saturation[i], 0, 1)),
+      data[i] - seaLevel
+    );
+  }
+
+  // Springs: saturated cells that no saturated cell drains into
+  const candidates = [];
+  for (let row = 1; row < height - 1; row++) {
+    for (let col = 1; col < width - 1; col++) {
+      const i = row * width + col;
+      if (saturation[i] < 1 || data[i] < seaLevel + MIN_SPRING_HEIGHT) continue;
+      let fed = false;
+      for (let dir = 0; dir < 8 && !fed; dir++) {
+        const { dx, dz } = D8_DIRECTIONS[dir];
+        const n = (row + dz) * width + col + dx;
+        fed = flow.flowDirection[n] === (dir + 4) % 8 && saturation[n] >= 1;
+      }
+      if (!fed) candidates.push({ col, row, elevation: data[i] });
+    }
+  }
+
+  // Highest springs first, thinned to SPRING_SPACING
+  candidates.sort((a, b) => b.elevation - a.elevation);
+  const springs = [];
+  for (const cand of candidates) {
+    const x = bounds.minX + (cand.col + 0.5) * cellW;
+    const z = bounds.minZ + (cand.row + 0.5) * cellH;
+    if (springs.some(s => Math.hypot(s.x - x, s.z - z) < SPRING_SPACING)) continue;
+    springs.push({
+      id: `spring_${springs.length}`,
+      x, z,
+      elevation: cand.elevation,
+      col: cand.col,
+      row: cand.row,
+      riverId: null,
+    });
+  }
+
+  return { depth, springs };
+}
+
+/**
+ * Springs far enough from traced rivers to start one of their own, highest first
+ *
+ * @param {Array} springs - From computeGroundwater
+ * @param {Int32Array} riverAt - Per-cell traced river index (-1 = none)
+ * @param {number} width
+ * @param {number} height
+ * @param {number} limit - Maximum number of springs to return
+ * @returns {Array} Subset of springs
+ */
+export function pickSpringSources(springs, riverAt, width, height, limit) {
+  const clearance = Math.max(1, Math.round(SPRING_RIVER_CLEARANCE * width / 512));
+  const picked = [];
+  for (const spring of springs) {
+    if (picked.length >= limit) break;
+    let clear = true;
+    for (let dr = -clearance; dr <= clearance && clear; dr++) {
+      for (let dc = -clearance; dc <= clearance && clear; dc++) {
+        const r = spring.row + dr, c = spring.col + dc;
+        if (r < 0 || r >= height || c < 0 || c >= width) continue;
+        clear = riverAt[r * width + c] < 0;
+      }
+    }
+    if (clear) picked.push(spring);
+  }
+  return picked;
+}
+
+/**
+ * Raise the table to the surface of nearby rivers, lakes and the sea
+ *
+ * @param {Float32Array} depth - From computeGroundwater, modified in place
+ * @param {Float32Array} data - Final elevation grid
+ * @param {number} seaLevel
+ * @param {Float32Array} riverSDF - Distance to the nearest river channel
+ * @param {Float32Array} lakeSDF - Signed distance to lakes (negative inside)
+ */
+export function rechargeGroundwater(depth, data, seaLevel, riverSDF, lakeSDF) {
+  for (let i = 0; i < depth.length; i++) {
+    if (data[i] <= seaLevel || lakeSDF[i] < 0) {
+      depth[i] = 0;
+      continue;
+    }
+    const waterDist = Math.min(riverSDF[i], lakeSDF[i]);
+    depth[i] = Math.min(depth[i] * smoothstep(0, RECHARGE_DISTANCE, waterDist), data[i] - seaLevel);
+  }
+}
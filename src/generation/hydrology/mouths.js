@@ -0,0 +1,419 @@
+/**
+ * River mouths
+ *
+ * Shapes the coast where main rivers reach the sea:
+ * - Deltas: high-flow rivers on a gentle, shallow coast build a fan of low
+ *   land out into the sea, split by branching distributary channels
+ * - Estuaries: other sizeable rivers flood a funnel that widens into a bay
+ * - Wetlands: low ground on the delta plain and along estuary margins,
+ *   split into connected patches with their own IDs
+ *
+ * Works in place on the hydrology stage's copy of the elevation grid.
+ */
+
+import { deriveSeed, seededRandom } from '../../core/seeds.js';
+import { createSimplexNoise } from '../../core/noise.js';
+import { clamp, lerp, smoothstep, pointToSegmentDistance } from '../../core/math.js';
+
+/** River mouth feature types */
+export const MOUTH_TYPES = ['delta', 'estuary'];
+
+// Flow is measured as upstream river length (flow cells × cell size), so the
+// thresholds hold at any grid resolution
+const DELTA_MIN_FLOW = 0.3;
+const ESTUARY_MIN_FLOW = 0.15;
+
+/** Delta fan radius (normalized units), grown with flow up to 2× DELTA_MIN_FLOW */
+const DELTA_MIN_RADIUS = 0.06;
+const DELTA_MAX_RADIUS = 0.12;
+
+/** Half-angle of the delta fan around the river's direction (radians) */
+const DELTA_HALF_ANGLE = 0.9;
+
+/** A coast is gentle enough for a delta if the sea one fan radius out is this shallow */
+const DELTA_MAX_DEPTH = 0.03;
+
+/** Height of the delta plain above sea level at its apex */
+const DELTA_PLAIN_HEIGHT = 0.008;
+
+/** Distributary channel beds sit this far above sea level at the apex */
+const DISTRIBUTARY_BED = 0.002;
+
+/** Vertices per distributary polyline */
+const DISTRIBUTARY_POINTS = 10;
+
+/** Estuary funnel length range and extra half-width at the mouth */
+const ESTUARY_MIN_LENGTH = 0.03;
+const ESTUARY_MAX_LENGTH = 0.07;
+const ESTUARY_MOUTH_WIDTH = 0.02;
+
+/** Depth of the flooded funnel at the mouth, below sea level */
+const ESTUARY_DEPTH = 0.012;
+
+/** Width of the marsh margin flattened along an estuary */
+const MARSH_WIDTH = 0.012;
+
+/** Land lower than this above sea level may become wetland */
+const WETLAND_HEIGHT = 0.01;
+
+/** Wetland patches smaller than this area are dropped */
+const MIN_WETLAND_AREA = 0.0002;
+
+/** Noise frequency for delta fan edges and wetland patchiness */
+const MOUTH_NOISE_FREQUENCY = 40;
+
+/**
+ * Build deltas, estuaries and wetlands at the coastal mouths of main rivers
+ *
+ * @param {Array} rivers - River network from the hydrology stage; gains mouthId
+ * @param {Float32Array} data - Elevation grid, modified in place
+ * @param {{ width: number, height: number, bounds: Object }} grid
+ * @param {number} seaLevel
+ * @param {number} seed - Hydrology seed
+ * @param {Function} widthForFlow - (flow) => river width
+ * @returns {{ mouths: Array, wetlands: Array, mouthMap: Uint8Array, wetlandMap: Uint16Array }}
+ *   mouths are { id, type, riverId, x, z, direction: {x, z}, flow, distributaries,
+ *   wetlandIds }; wetlands are { id, mouthId, x, z, area }; the maps hold
+ *   index + 1 into mouths / wetlands per cell (0 = none)
+ */
+export function generateRiverMouths(rivers, data, grid, seaLevel, seed, widthForFlow) {
+  const { width, height, bounds } = grid;
+  const count = width * height;
+  const cellW = (bounds.maxX - bounds.minX) / width;
+  const cellH = (bounds.maxZ - bounds.minZ) / height;
+
+  const ctx = {
+    data, width, height, bounds, cellW, cellH, seaLevel, widthForFlow,
+    rng: seededRandom(deriveSeed(seed, 'mouths')),
+    noise: createSimplexNoise(deriveSeed(seed, 'mouthNoise')),
+    mouthMap: new Uint8Array(count),
+    candidates: new Uint8Array(count),  // wetland candidates: mouth index + 1
+  };
+
+  const mouths = [];
+  for (const river of rivers) {
+    if (river.parentId || river.termination !== 'coast' || river.vertices.length < 2) continue;
+    if (mouths.length >= 255) break;
+
+    const mouth = river.vertices[river.vertices.length - 1];
+    const cell = cellIndex(ctx, mouth.x, mouth.z);
+    if (cell < 0 || ctx.mouthMap[cell]) continue;  // inside an earlier mouth feature
+
+    const flow = mouth.flow * cellW;
+    if (flow < ESTUARY_MIN_FLOW) continue;
+
+    const back = pointUpstream(river.vertices, 0.02);
+    const len = Math.hypot(mouth.x - back.x, mouth.z - back.z) || 1;
+    const dir = { x: (mouth.x - back.x) / len, z: (mouth.z - back.z) / len };
+
+    let feature = null;
+    if (flow >= DELTA_MIN_FLOW) {
+      const radius = lerp(DELTA_MIN_RADIUS, DELTA_MAX_RADIUS, clamp(flow / DELTA_MIN_FLOW - 1, 0, 1));
+      const ahead = sampleAt(ctx, mouth.x + dir.x * radius, mouth.z + dir.z * radius);
+      if (seaLevel - ahead < DELTA_MAX_DEPTH) {
+        feature = buildDelta(ctx, river, dir, radius, flow, mouths.length);
+      }
+    }
+    if (!feature) feature = buildEstuary(ctx, river, dir, flow, mouths.length);
+
+    river.mouthId = feature.id;
+    mouths.push(feature);
+  }
+
+  const { wetlands, wetlandMap } = labelWetlands(ctx, mouths);
+
+  return { mouths, wetlands, mouthMap: ctx.mouthMap, wetlandMap };
+}
+
+// ---------------------------------------------------------------------------
+// Deltas
+// ---------------------------------------------------------------------------
+
+/**
+ * Raise a fan of low plain from an apex a little upstream of the mouth,
+ * then cut distributary channels across it.
+ */
+function buildDelta(ctx, river, dir, radius, flow, index) {
+  const { data, width, height, bounds, cellW, cellH, seaLevel, noise, rng } = ctx;
+  const mouth = river.vertices[river.vertices.length - 1];
+  const apex = pointUpstream(river.vertices, radius * 0.3);
+
+  // Fan: plain height falls from the apex to sea level at the noisy rim
+  const reach = radius * 1.2;
+  const c0 = Math.max(0, Math.floor((apex.x - reach - bounds.minX) / cellW));
+  const c1 = Math.min(width - 1, Math.floor((apex.x + reach - bounds.minX) / cellW));
+  const r0 = Math.max(0, Math.floor((apex.z - reach - bounds.minZ) / cellH));
+  const r1 = Math.min(height - 1, Math.floor((apex.z + reach - bounds.minZ) / cellH));
+  const fan = [];
+  for (let row = r0; row <= r1; row++) {
+    const z = bounds.minZ + (row + 0.5) * cellH;
+    for (let col = c0; col <= c1; col++) {
+      const x = bounds.minX + (col + 0.5) * cellW;
+      const dx = x - apex.x, dz = z - apex.z;
+      const r = Math.hypot(dx, dz) / radius;
+      const angle = Math.abs(Math.atan2(dz * dir.x - dx * dir.z, dx * dir.x + dz * dir.z));
+      const edge = noise(x * MOUTH_NOISE_FREQUENCY, z * MOUTH_NOISE_FREQUENCY) * 0.12;
+      const w = smoothstep(1 + edge, 0.8 + edge, r) *
+        smoothstep(DELTA_HALF_ANGLE, DELTA_HALF_ANGLE * 0.7, angle);
+      if (w <= 0) continue;
+
+      // Land is levelled hard; the sea only fills in towards the rim
+      const idx = row * width + col;
+      const plain = seaLevel + DELTA_PLAIN_HEIGHT * Math.max(0, 1 - r * r);
+      data[idx] = lerp(data[idx], plain, data[idx] > plain ? Math.sqrt(w) : w);
+      if (w > 0.5) {
+        ctx.mouthMap[idx] = index + 1;
+        fan.push(idx);
+      }
+    }
+  }
+
+  // Distributaries fan out from the apex; the middle one follows the river
+  const branches = flow >= DELTA_MIN_FLOW * 2 ? 5 : 3;
+  const channel = new Uint8Array(width * height);
+  const distributaries = [];
+  const branchFlow = mouth.flow / branches;
+  const branchWidth = ctx.widthForFlow(branchFlow);
+  for (let b = 0; b < branches; b++) {
+    const spread = (b / (branches - 1) - 0.5) * 2;  // -1..1
+    const angle = spread * DELTA_HALF_ANGLE * 0.7 + (rng() - 0.5) * 0.15;
+    const bend = (rng() - 0.5) * 0.4;
+    const vertices = [];
+    for (let p = 0; p < DISTRIBUTARY_POINTS; p++) {
+      const t = p / (DISTRIBUTARY_POINTS - 1);
+      const a = angle * smoothstep(0, 0.6, t) + bend * t * (1 - t);
+      const ca = Math.cos(a), sa = Math.sin(a);
+      const dist = t * radius * 0.95;
+      const x = apex.x + (dir.x * ca - dir.z * sa) * dist;
+      const z = apex.z + (dir.z * ca + dir.x * sa) * dist;
+      vertices.push({
+        x, z,
+        elevation: seaLevel + DISTRIBUTARY_BED * (1 - t),
+        flow: branchFlow,
+        width: branchWidth,
+      });
+    }
+    carveChannel(ctx, vertices, channel);
+    distributaries.push(vertices);
+  }
+
+  // Wetlands: low, patchy ground between the channels
+  for (const idx of fan) {
+    if (channel[idx] || data[idx] <= seaLevel || data[idx] > seaLevel + WETLAND_HEIGHT) continue;
+    const x = bounds.minX + (idx % width + 0.5) * cellW;
+    const z = bounds.minZ + (Math.floor(idx / width) + 0.5) * cellH;
+    if (noise(x * MOUTH_NOISE_FREQUENCY * 0.5 + 31, z * MOUTH_NOISE_FREQUENCY * 0.5 + 31) > -0.2) {
+      ctx.candidates[idx] = index + 1;
+    }
+  }
+
+  return {
+    id: `delta_${river.id}`,
+    type: 'delta',
+    riverId: river.id,
+    x: mouth.x, z: mouth.z,
+    direction: dir,
+    flow: mouth.flow,
+    distributaries,
+    wetlandIds: [],
+  };
+}
+
+/** Lower the ground under a distributary polyline to its bed height */
+function carveChannel(ctx, vertices, channel) {
+  const { data, width, height, bounds, cellW, cellH } = ctx;
+  const half = Math.max(vertices[0].width * 0.5, cellW);
+  for (let i = 0; i < vertices.length - 1; i++) {
+    const a = vertices[i], b = vertices[i + 1];
+    const c0 = Math.max(0, Math.floor((Math.min(a.x, b.x) - half - bounds.minX) / cellW));
+    const c1 = Math.min(width - 1, Math.floor((Math.max(a.x, b.x) + half - bounds.minX) / cellW));
+    const r0 = Math.max(0, Math.floor((Math.min(a.z, b.z) - half - bounds.minZ) / cellH));
+    const r1 = Math.min(height - 1, Math.floor((Math.max(a.z, b.z) + half - bounds.minZ) / cellH));
+    for (let row = r0; row <= r1; row++) {
+      const z = bounds.minZ + (row + 0.5) * cellH;
+      for (let col = c0; col <= c1; col++) {
+        const x = bounds.minX + (col + 0.5) * cellW;
+        const { distance, t } = pointToSegmentDistance(x, z, a.x, a.z, b.x, b.z);
+        if (distance > half) continue;
+        const idx = row * width + col;
+        data[idx] = Math.min(data[idx], lerp(a.elevation, b.elevation, t));
+        channel[idx] = 1;
+      }
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Estuaries
+// ---------------------------------------------------------------------------
+
+/**
+ * Flood a funnel along the river's last stretch, widening towards the sea,
+ * and flatten a marsh margin along its banks.
+ */
+function buildEstuary(ctx, river, dir, flow, index) {
+  const { data, width, height, bounds, cellW, cellH, seaLevel } = ctx;
+  const mouth = river.vertices[river.vertices.length - 1];
+  const length = lerp(ESTUARY_MIN_LENGTH, ESTUARY_MAX_LENGTH,
+    clamp((flow - ESTUARY_MIN_FLOW) / (DELTA_MIN_FLOW - ESTUARY_MIN_FLOW), 0, 1));
+
+  // Axis: the river's last stretch, carried on a little past the mouth
+  const axis = stretchUpstream(river.vertices, length);
+  axis.push({ x: mouth.x + dir.x * length * 0.3, z: mouth.z + dir.z * length * 0.3 });
+  const cumulative = [0];
+  for (let i = 1; i < axis.length; i++) {
+    cumulative.push(cumulative[i - 1] + Math.hypot(axis[i].x - axis[i - 1].x, axis[i].z - axis[i - 1].z));
+  }
+  const headWidth = ctx.widthForFlow(mouth.flow) * 0.5;
+
+  const reach = ESTUARY_MOUTH_WIDTH + MARSH_WIDTH + headWidth;
+  let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+  for (const p of axis) {
+    minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+    minZ = Math.min(minZ, p.z); maxZ = Math.max(maxZ, p.z);
+  }
+  const c0 = Math.max(0, Math.floor((minX - reach - bounds.minX) / cellW));
+  const c1 = Math.min(width - 1, Math.floor((maxX + reach - bounds.minX) / cellW));
+  const r0 = Math.max(0, Math.floor((minZ - reach - bounds.minZ) / cellH));
+  const r1 = Math.min(height - 1, Math.floor((maxZ + reach - bounds.minZ) / cellH));
+
+  for (let row = r0; row <= r1; row++) {
+    const z = bounds.minZ + (row + 0.5) * cellH;
+    for (let col = c0; col <= c1; col++) {
+      const x = bounds.minX + (col + 0.5) * cellW;
+
+      // Nearest point on the axis: lateral distance and position s (0 head, 1 mouth)
+      let best = Infinity, along = 0;
+      for (let i = 0; i < axis.length - 1; i++) {
+        const { distance, t } = pointToSegmentDistance(x, z, axis[i].x, axis[i].z, axis[i + 1].x, axis[i + 1].z);
+        if (distance < best) {
+          best = distance;
+          along = cumulative[i] + t * (cumulative[i + 1] - cumulative[i]);
+        }
+      }
+      const s = Math.min(along / length, 1);
+      const half = headWidth + ESTUARY_MOUTH_WIDTH * s ** 1.5;
+      const idx = row * width + col;
+
+      if (best < half) {
+        const floor = seaLevel - ESTUARY_DEPTH * s * (1 - (best / half) ** 2);
+        data[idx] = Math.min(data[idx], floor);
+        ctx.mouthMap[idx] = index + 1;
+      } else if (best < half + MARSH_WIDTH * s) {
+        const marsh = seaLevel + WETLAND_HEIGHT * 0.5;
+        const m = smoothstep(half + MARSH_WIDTH * s, half, best);
+        if (data[idx] > marsh) data[idx] = lerp(data[idx], marsh, m * 0.8);
+        ctx.mouthMap[idx] = index + 1;
+        if (data[idx] > seaLevel && data[idx] <= seaLevel + WETLAND_HEIGHT) {
+          ctx.candidates[idx] = index + 1;
+        }
+      }
+    }
+  }
+
+  return {
+    id: `estuary_${river.id}`,
+    type: 'estuary',
+    riverId: river.id,
+    x: mouth.x, z: mouth.z,
+    direction: dir,
+    flow: mouth.flow,
+    distributaries: [],
+    wetlandIds: [],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Wetland patches
+// ---------------------------------------------------------------------------
+
+/** Split wetland candidates into connected patches, one ID each */
+function labelWetlands(ctx, mouths) {
+  const { width, height, bounds, cellW, cellH, candidates } = ctx;
+  const wetlandMap = new Uint16Array(width * height);
+  const wetlands = [];
+  const seen = new Uint8Array(width * height);
+
+  for (let start = 0; start < candidates.length; start++) {
+    if (!candidates[start] || seen[start]) continue;
+    const owner = candidates[start];
+    const patch = [start];
+    seen[start] = 1;
+    for (let k = 0; k < patch.length; k++) {
+      const idx = patch[k];
+      const row = Math.floor(idx / width), col = idx % width;
+      for (const [nr, nc] of [[row - 1, col], [row + 1, col], [row, col - 1], [row, col + 1]]) {
+        if (nr < 0 || nr >= height || nc < 0 || nc >= width) continue;
+        const ni = nr * width + nc;
+        if (!seen[ni] && candidates[ni] === owner) {
+          seen[ni] = 1;
+          patch.push(ni);
+        }
+      }
+    }
+    if (patch.length * cellW * cellH < MIN_WETLAND_AREA || wetlands.length >= 65535) continue;
+
+    let sumX = 0, sumZ = 0;
+    for (const idx of patch) {
+      sumX += bounds.minX + (idx % width + 0.5) * cellW;
+      sumZ += bounds.minZ + (Math.floor(idx / width) + 0.5) * cellH;
+      wetlandMap[idx] = wetlands.length + 1;
+    }
+    const mouth = mouths[owner - 1];
+    const wetland = {
+      id: `wetland_${wetlands.length}`,
+      mouthId: mouth.id,
+      x: sumX / patch.length,
+      z: sumZ / patch.length,
+      area: patch.length * cellW * cellH,
+    };
+    mouth.wetlandIds.push(wetland.id);
+    wetlands.push(wetland);
+  }
+
+  return { wetlands, wetlandMap };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function cellIndex(ctx, x, z) {
+  const col = Math.floor((x - ctx.bounds.minX) / ctx.cellW);
+  const row = Math.floor((z - ctx.bounds.minZ) / ctx.cellH);
+  if (col < 0 || col >= ctx.width || row < 0 || row >= ctx.height) return -1;
+  return row * ctx.width + col;
+}
+
+function sampleAt(ctx, x, z) {
+  const idx = cellIndex(ctx, x, z);
+  return idx < 0 ? 0 : ctx.data[idx];
+}
+
+/** Point the given distance upstream of the mouth, along the river */
+function pointUpstream(vertices, dist) {
+  const stretch = stretchUpstream(vertices, dist);
+  return stretch[0];
+}
+
+/**
+ * The river's last `dist` of length as points from upstream to the mouth;
+ * the first point is interpolated so the stretch is exactly that long
+ * (or the whole river, if shorter).
+ */
+function stretchUpstream(vertices, dist) {
+  const points = [{ x: vertices[vertices.length - 1].x, z: vertices[vertices.length - 1].z }];
+  let left = dist;
+  for (let i = vertices.length - 1; i > 0; i--) {
+    const a = vertices[i], b = vertices[i - 1];
+    const seg = Math.hypot(b.x - a.x, b.z - a.z);
+    if (seg >= left) {
+      const t = seg > 0 ? left / seg : 0;
+      points.unshift({ x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t });
+      return points;
+    }
+    left -= seg;
+    points.unshift({ x: b.x, z: b.z });
+  }
+  return points;
+}
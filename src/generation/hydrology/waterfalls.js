@@ -0,0 +1,143 @@
+/**
+ * Waterfalls and rapids
+ *
+ * Scans each traced river for steep drops, measuring the elevation gradient
+ * (drop per normalized unit) over a short window of the unsimplified path:
+ * - Waterfalls: stretches steeper than waterfallGradient that drop at least
+ *   minWaterfallDrop; each gets a plunge pool carved at its base
+ * - Rapids: stretches steeper than rapidsGradient, and steep stretches too
+ *   short a drop to count as a waterfall
+ */
+
+/** Default waterfall config (gradients in elevation per normalized unit) */
+const DEFAULTS = {
+  waterfallGradient: 8,
+  rapidsGradient: 4,
+  minWaterfallDrop: 0.02,
+  plungePoolDepth: 0.008,
+};
+
+/** Window (raw vertices at 512 resolution, scaled with the grid) the gradient is measured over */
+const GRADIENT_WINDOW = 3;
+
+/** Plunge pool radius as a multiple of the river width (at least two cells) */
+const PLUNGE_POOL_WIDTH_MUL = 1.5;
+
+/**
+ * Resolve and validate a waterfall config
+ * @param {Object} [config] - Partial config, see DEFAULTS
+ * @returns {Object} Full config
+ */
+export function resolveWaterfallConfig(config) {
+  const opts = { ...DEFAULTS, ...config };
+  const { waterfallGradient, rapidsGradient, minWaterfallDrop, plungePoolDepth } = opts;
+  if (!(rapidsGradient > 0 && waterfallGradient >= rapidsGradient)) {
+    throw new Error(`Invalid waterfall gradients: rapids ${rapidsGradient}, waterfall ${waterfallGradient} (need 0 < rapids <= waterfall)`);
+  }
+  if (!(minWaterfallDrop >= 0) || !(plungePoolDepth >= 0)) {
+    throw new Error('minWaterfallDrop and plungePoolDepth must be >= 0');
+  }
+  return opts;
+}
+
+/**
+ * Find waterfalls and rapids along traced rivers
+ *
+ * @param {Array} traced - Traced rivers with rawVertices ({ x, z, elevation, flow, width })
+ * @param {Array} rivers - River objects in the same order (for IDs)
+ * @param {number} seaLevel
+ * @param {number} resolution - Grid width in cells (one raw vertex per cell)
+ * @param {Object} opts - Resolved config (resolveWaterfallConfig)
+ * @returns {{ waterfalls: Array, rapids: Array }} Features are { id, type, riverId, x, z,
+ *   base: {x, z, elevation}, drop, flow, width, gradient }: (x, z) is the lip, base
+ *   the foot, drop the fall in elevation units and gradient the steepest measured gradient
+ */
+export function detectWaterfalls(traced, rivers, seaLevel, resolution, opts) {
+  const waterfalls = [];
+  const rapids = [];
+  const window = Math.max(1, Math.round(GRADIENT_WINDOW * resolution / 512));
+
+  traced.forEach((t, i) => {
+    const raw = t.rawVertices;
+    const steps = raw.length - window;
+    if (steps <= 0) return;
+
+    // 2 = waterfall-steep, 1 = rapids-steep, 0 = calm
+    const gradient = new Float32Array(steps);
+    const steep = new Uint8Array(steps);
+    for (let k = 0; k < steps; k++) {
+      const a = raw[k], b = raw[k + window];
+      if (b.elevation <= seaLevel) continue;
+      const dist = Math.hypot(b.x - a.x, b.z - a.z);
+      if (dist === 0) continue;
+      gradient[k] = (a.elevation - b.elevation) / dist;
+      steep[k] = gradient[k] >= opts.waterfallGradient ? 2 : gradient[k] >= opts.rapidsGradient ? 1 : 0;
+    }
+
+    // Each run of equally steep windows is one feature
+    for (let start = 0; start < steps;) {
+      const kind = steep[start];
+      let end = start;
+      while (end + 1 < steps && steep[end + 1] === kind) end++;
+      if (kind > 0) {
+        const lip = raw[start];
+        const base = raw[end + window];
+        const drop = lip.elevation - base.elevation;
+        let maxGradient = 0;
+        for (let k = start; k <= end; k++) maxGradient = Math.max(maxGradient, gradient[k]);
+
+        const isFall = kind === 2 && drop >= opts.minWaterfallDrop;
+        const list = isFall ? waterfalls : rapids;
+        list.push({
+          id: `${isFall ? 'waterfall' : 'rapids'}_${list.length}`,
+          type: isFall ? 'waterfall' : 'rapids',
+          riverId: rivers[i].id,
+          x: lip.x, z: lip.z,
+          base: { x: base.x, z: base.z, elevation: base.elevation },
+          drop,
+          flow: base.flow,
+          width: base.width,
+          gradient: maxGradient,
+        });
+      }
+      start = end + 1;
+    }
+  });
+
+  return { waterfalls, rapids };
+}
+
+/**
+ * Carve a bowl into the elevation grid below each waterfall
+ *
+ * @param {Array} waterfalls - From detectWaterfalls; each gains plungePool { x, z, radius, depth }
+ * @param {Float32Array} data - Elevation grid, modified in place
+ * @param {{ width: number, height: number, bounds: Object }} grid
+ * @param {number} depth - Pool depth below the river at the waterfall's base
+ */
+export function carvePlungePools(waterfalls, data, grid, depth) {
+  const { width, height, bounds } = grid;
+  const cellW = (bounds.maxX - bounds.minX) / width;
+  const cellH = (bounds.maxZ - bounds.minZ) / height;
+
+  for (const fall of waterfalls) {
+    const { x, z } = fall.base;
+    const radius = Math.max(fall.width * PLUNGE_POOL_WIDTH_MUL, cellW * 2);
+    const floor = fall.base.elevation - depth;
+    const c0 = Math.max(0, Math.floor((x - radius - bounds.minX) / cellW));
+    const c1 = Math.min(width - 1, Math.floor((x + radius - bounds.minX) / cellW));
+    const r0 = Math.max(0, Math.floor((z - radius - bounds.minZ) / cellH));
+    const r1 = Math.min(height - 1, Math.floor((z + radius - bounds.minZ) / cellH));
+    for (let row = r0; row <= r1; row++) {
+      const cz = bounds.minZ + (row + 0.5) * cellH;
+      for (let col = c0; col <= c1; col++) {
+        const cx = bounds.minX + (col + 0.5) * cellW;
+        const d = Math.hypot(cx - x, cz - z) / radius;
+        if (d >= 1) continue;
+        const idx = row * width + col;
+        data[idx] = Math.min(data[idx], floor + depth * d * d);
+      }
+    }
+    fall.plungePool = { x, z, radius, depth };
+  }
+}
@@ -72,6 +72,16 @@ const PATTERN_GENERATORS = {
     return `The ${pick(rng, p.names)} River`;
   },
 
+  /** The + name + Isles -> "The Korth Isles" */
+  the_name_isles(rng, p) {
+    return `The ${pick(rng, p.names)} Isles`;
+  },
+
+  /** name + Archipelago -> "Vern Archipelago" */
+  name_archipelago(rng, p) {
+    return `${pick(rng, p.names)} Archipelago`;
+  },
+
   /** Just the name -> "Storm" */
   name(rng, p) {
     return pick(rng, p.names);
@@ -88,7 +98,7 @@ const PATTERN_GENERATORS = {
  * @param {number} x - World X coordinate (used for seed derivation)
  * @param {number} z - World Z coordinate (used for seed derivation)
  * @param {number} seed - World seed
- * @param {string} category - Category hint (e.g. 'city', 'village', 'island', 'river')
+ * @param {string} category - Category hint (e.g. 'city', 'village', 'island', 'river', 'archipelago')
  * @param {Object} [palette] - Naming palette with patterns and word lists.
  *   If null/undefined, uses the appropriate default palette.
  * @returns {string} Generated name
@@ -148,6 +158,8 @@ function resolveDefaultPalette(category) {
       return DEFAULT_NAMING.island || DEFAULT_NAMING.settlement;
     case 'river':
       return DEFAULT_NAMING.river || DEFAULT_NAMING.settlement;
+    case 'archipelago':
+      return DEFAULT_NAMING.archipelago || DEFAULT_NAMING.island || DEFAULT_NAMING.settlement;
     default:
       return DEFAULT_NAMING.settlement;
   }
@@ -0,0 +1,146 @@
+/**
+ * Asynchronous pipeline entry points
+ *
+ * Runs the generation pipeline in a Web Worker so the calling thread stays
+ * responsive. Supports per-stage progress and AbortController cancellation;
+ * typed arrays in the result are transferred back without copying.
+ *
+ * Custom stages and archetypes live in the calling thread's registries.
+ * Pass control.modules to have the worker import the plugin modules that
+ * register them before it runs.
+ */
+
+import { generate, regenerate } from './pipeline.js';
+
+/**
+ * Run the generation pipeline in a worker.
+ *
+ * Falls back to running generate() on the current thread (after a macrotask)
+ * where Web Workers are unavailable, e.g. in Node. The fallback still reports
+ * progress, but can only be cancelled before it starts.
+ *
+ * @param {number} seed - World seed
+ * @param {Object} [options] - Same options as generate(); must be
+ *   structured-cloneable (no function-valued biome classifiers)
+ * @param {Object} [control]
+ * @param {Function} [control.onProgress] - Called after each stage with
+ *   { stage, index, total, timing }
+ * @param {AbortSignal} [control.signal] - Aborting terminates the worker and
+ *   rejects with the signal's reason (an AbortError by default)
+ * @param {string[]} [control.modules] - Absolute module URLs the worker imports
+ *   first, e.g. plugins that call registerArchetype() or registerStage()
+ * @returns {Promise<Object>} Same result shape as generate()
+ */
+export function generateAsync(seed, options = {}, control = {}) {
+  // Progress is delivered through the control object, never cloned into the worker
+  const { onProgress: _ignored, ...workerOptions } = options;
+  return runPipeline(
+    { seed, options: workerOptions },
+    (onProgress) => generate(seed, { ...workerOptions, onProgress }),
+    control
+  );
+}
+
+/**
+ * Worker counterpart of regenerate(): re-run only the stages affected by
+ * changedOptions. previousResult is copied into the worker (not transferred),
+ * so it stays usable on the calling thread.
+ *
+ * @param {Object} previousResult - Result from generate() or regenerate()
+ * @param {Object} [changedOptions] - Same as regenerate(); must be structured-cloneable
+ * @param {Object} [control] - { onProgress, signal, modules }, as for generateAsync()
+ * @returns {Promise<Object>} Same result shape as generate()
+ */
+export function regenerateAsync(previousResult, changedOptions = {}, control = {}) {
+  const { onProgress: _ignored, ...changes } = changedOptions;
+  return runPipeline(
+    { previous: previousResult, changedOptions: changes },
+    (onProgress) => regenerate(previousResult, { ...changes, onProgress }),
+    control
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Internals
+// ---------------------------------------------------------------------------
+
+/**
+ * Post a job to a fresh pipeline worker, or run it inline without Workers.
+ * @param {Object} message - Worker job message
+ * @param {Function} runInline - (onProgress) => result, used as the fallback
+ * @param {Object} control - { onProgress, signal, modules }
+ * @returns {Promise<Object>}
+ */
+function runPipeline(message, runInline, { onProgress, signal, modules = [] } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  if (typeof Worker === 'undefined') {
+    return runOnCurrentThread(runInline, onProgress, signal, modules);
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./pipeline-worker.js', import.meta.url), { type: 'module' });
+
+    const onAbort = () => {
+      cleanup();
+      reject(signal.reason);
+    };
+
+    function cleanup() {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data.progress);
+        return;
+      }
+
+      cleanup();
+      if (data.type === 'result') {
+        resolve(data.result);
+      } else {
+        const err = new Error(data.message);
+        err.stack = data.stack;
+        reject(err);
+      }
+    };
+
+    worker.onerror = (event) => {
+      cleanup();
+      reject(event.error || new Error(event.message || 'Pipeline worker failed'));
+    };
+
+    try {
+      worker.postMessage({ ...message, modules });
+    } catch (err) {
+      cleanup();
+      reject(new Error(
+        `Pipeline worker options must be structured-cloneable (${err.message}). ` +
+        'Use generate()/regenerate() for function-valued config such as biomes.classify.'
+      ));
+    }
+  });
+}
+
+function runOnCurrentThread(runInline, onProgress, signal, modules) {
+  return new Promise((resolve, reject) => {
+    setTimeout(async () => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      try {
+        for (const url of modules) await import(url);
+        resolve(runInline(onProgress));
+      } catch (err) {
+        reject(err);
+      }
+    }, 0);
+  });
+}
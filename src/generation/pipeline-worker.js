@@ -0,0 +1,49 @@
+/**
+ * Pipeline Web Worker
+ *
+ * Runs generate() or regenerate() off the main thread. Posts a 'progress' message after each
+ * stage and a final 'result' message whose typed-array buffers are
+ * transferred (zero-copy) back to the caller. Used by generateAsync().
+ *
+ * Messages in:  { seed, options }            -> generate()
+ *               { previous, changedOptions }  -> regenerate()
+ *               Either may carry modules: URLs imported first (plugins)
+ * Messages out: { type: 'progress', progress }
+ *               { type: 'result', result }
+ *               { type: 'error', message, stack }
+ */
+
+import { generate, regenerate } from './pipeline.js';
+
+self.onmessage = async (event) => {
+  const { seed, options, previous, changedOptions, modules = [] } = event.data;
+  const onProgress = (progress) => self.postMessage({ type: 'progress', progress });
+  try {
+    for (const url of modules) await import(/* @vite-ignore */ url);
+    const result = previous
+      ? regenerate(previous, { ...changedOptions, onProgress })
+      : generate(seed, { ...options, onProgress });
+    const buffers = new Set();
+    collectTransferables(result, buffers, new Set());
+    self.postMessage({ type: 'result', result }, [...buffers]);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message, stack: err.stack });
+  }
+};
+
+/**
+ * Collect the unique ArrayBuffers behind every typed array in a result.
+ * @param {*} value
+ * @param {Set<ArrayBuffer>} buffers - Filled in place
+ * @param {Set<Object>} seen - Objects already visited (results may share or cycle)
+ */
+function collectTransferables(value, buffers, seen) {
+  if (value === null || typeof value !== 'object' || seen.has(value)) return;
+  seen.add(value);
+  if (ArrayBuffer.isView(value)) {
+    buffers.add(value.buffer);
+    return;
+  }
+  const children = value instanceof Map ? value.values() : Object.values(value);
+  for (const child of children) collectTransferables(child, buffers, seen);
+}
@@ -2,20 +2,222 @@
  * Generation pipeline
  *
  * Runs generation stages sequentially and tracks timing.
+ * Callers can insert their own named stages with registerStage().
  */
 
 import { generateParams } from './stages/params.js';
 import { generateSpines } from './stages/spines.js';
 import { generateElevation } from './stages/elevation.js';
+import { generateErosion } from './stages/erosion.js';
 import { generateHydrology } from './stages/hydrology.js';
+import { generateBathymetry } from './stages/bathymetry.js';
 import { generateClimate } from './stages/climate.js';
 import { generateBiomes } from './stages/biomes.js';
+import { generateSubBiomes } from './stages/subbiomes.js';
 import { generateSettlements } from './stages/settlements.js';
+import { generateReefs } from './stages/reefs.js';
 import { generateRoads } from './stages/roads.js';
+import { generateVegetation } from './stages/vegetation.js';
 import { generatePOIs } from './stages/pois.js';
 
-/** Stage names in execution order */
-export const STAGES = ['params', 'spines', 'elevation', 'hydrology', 'climate', 'biomes', 'settlements', 'roads', 'pois'];
+/** Built-in stage names in execution order (see getStages() for custom stages) */
+export const STAGES = ['params', 'spines', 'elevation', 'erosion', 'climate', 'hydrology', 'bathymetry', 'biomes', 'subbiomes', 'settlements', 'reefs', 'roads', 'vegetation', 'pois'];
+
+/**
+ * Stage runners keyed by stage name.
+ * Each receives the in-progress result (earlier stages already filled in)
+ * and the resolved pipeline options, and returns that stage's output.
+ */
+const STAGE_RUNNERS = {
+  params: (r, o) => generateParams(r.seed, {
+    archetype: o.archetype, terrainOverrides: o.terrainOverrides, template: o.template,
+  }),
+  spines: (r) => generateSpines(r.params, r.seed),
+  elevation: (r, o) => generateElevation(r.params, r.spines, r.seed, o.resolution),
+  // Optional: swaps the eroded grid in as r.elevation for every later stage
+  erosion: (r, o) => {
+    const { elevation, ...maps } = generateErosion(r.params, r.elevation, r.seed, o.erosion);
+    r.elevation = elevation;
+    return maps;
+  },
+  // Accepts caller climate config; runs before hydrology, whose water table reads humidity
+  climate: (r, o) => generateClimate(r.params, r.elevation, r.seed, o.climate),
+  // River mouths and plunge pools reshape the ground: the adjusted grid replaces r.elevation
+  hydrology: (r, o) => {
+    const { elevation, ...hydrology } = generateHydrology(r.params, r.elevation, r.seed, r.spines, o.hydrology, r.climate);
+    r.elevation = elevation;
+    return hydrology;
+  },
+  // Accepts caller depth zone config
+  bathymetry: (r, o) => generateBathymetry(r.params, r.elevation, o.bathymetry),
+  // Accepts caller biome config
+  biomes: (r, o) => generateBiomes(r.params, r.elevation, r.climate, r.seed, o.biomes, r.hydrology),
+  // Accepts caller sub-biome table
+  subbiomes: (r, o) => generateSubBiomes(r.params, r.elevation, r.climate, r.biomes, r.seed, o.subBiomes, r.erosion),
+  // Accepts caller naming config
+  settlements: (r, o) => generateSettlements(r.params, r.elevation, r.hydrology, r.biomes, r.seed, o.naming),
+  // Accepts caller reef config
+  reefs: (r, o) => generateReefs(r.params, r.elevation, r.climate, r.hydrology, r.settlements, r.seed, o.reefs),
+  roads: (r) => generateRoads(r.params, r.elevation, r.hydrology, r.settlements, r.seed, r.reefs),
+  // Accepts caller scatter config
+  vegetation: (r, o) => generateVegetation(r, o.vegetation, r.seed),
+  // Accepts caller POI and naming config
+  pois: (r, o) => generatePOIs(r, o.pois, r.seed, o.naming),
+};
+
+// ---------------------------------------------------------------------------
+// Stage registry
+// ---------------------------------------------------------------------------
+
+/** Result keys that a custom stage may not use as its name */
+const RESERVED_KEYS = new Set(['seed', 'timing', '_config', '_options', '_stages']);
+
+/** Custom stages in registration order: { name, before, after, dependsOn, run } */
+const customStages = [];
+
+/**
+ * Register a custom pipeline stage.
+ *
+ * The stage's return value is stored on the result under its name and timed
+ * like the built-in stages. Stages run in a single linear order, so every
+ * dependency must already sit before the insertion point.
+ *
+ * @param {string} name - Stage name (also its result key)
+ * @param {Object} stage
+ * @param {Function} stage.run - (inputs, context) => output. inputs maps each
+ *   dependsOn name to that stage's output; context is
+ *   { seed, resolution, options } where options is stageOptions[name] from
+ *   the generate() call (or null). Derive sub-seeds with deriveSeed(seed, name).
+ * @param {string[]} [stage.dependsOn=[]] - Earlier stages whose outputs are passed in
+ * @param {string} [stage.after] - Insert directly after this stage
+ * @param {string} [stage.before] - Insert directly before this stage
+ *   (default: after the last stage)
+ */
+export function registerStage(name, stage) {
+  const { run, dependsOn = [], before, after } = stage;
+
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error('Stage name must be a non-empty string');
+  }
+  if (RESERVED_KEYS.has(name) || getStages().includes(name)) {
+    throw new Error(`Stage name already in use: ${name}`);
+  }
+  if (typeof run !== 'function') {
+    throw new Error(`Stage ${name} needs a run function`);
+  }
+  if (before && after) {
+    throw new Error(`Stage ${name}: specify either before or after, not both`);
+  }
+
+  const order = getStages();
+  const anchor = before || after;
+  if (anchor && !order.includes(anchor)) {
+    throw new Error(`Unknown stage: ${anchor}. Valid: ${order.join(', ')}`);
+  }
+
+  const insertAt = before ? order.indexOf(before)
+    : after ? order.indexOf(after) + 1
+    : order.length;
+  const upstream = order.slice(0, insertAt);
+  for (const dep of dependsOn) {
+    if (!upstream.includes(dep)) {
+      throw new Error(`Stage ${name} depends on ${dep}, which does not run before it`);
+    }
+  }
+
+  customStages.push({ name, before, after, dependsOn: [...dependsOn], run });
+}
+
+/**
+ * Remove a custom stage. Built-in stages cannot be removed.
+ * @param {string} name
+ * @returns {boolean} True if a stage was removed
+ */
+export function unregisterStage(name) {
+  if (STAGES.includes(name)) {
+    throw new Error(`Cannot unregister built-in stage: ${name}`);
+  }
+  const index = customStages.findIndex(s => s.name === name);
+  if (index === -1) return false;
+
+  const dependent = customStages.find(s =>
+    s.before === name || s.after === name || s.dependsOn.includes(name)
+  );
+  if (dependent) {
+    throw new Error(`Cannot unregister ${name}: stage ${dependent.name} is anchored to or depends on it`);
+  }
+
+  customStages.splice(index, 1);
+  return true;
+}
+
+/**
+ * Current stage order: built-in stages with custom stages inserted.
+ * @returns {string[]}
+ */
+export function getStages() {
+  const order = [...STAGES];
+  for (const { name, before, after } of customStages) {
+    const insertAt = before ? order.indexOf(before)
+      : after ? order.indexOf(after) + 1
+      : order.length;
+    order.splice(insertAt, 0, name);
+  }
+  return order;
+}
+
+/** Runner for a stage name, wrapping custom stages to the (result, options) signature */
+function getRunner(name) {
+  if (STAGE_RUNNERS[name]) return STAGE_RUNNERS[name];
+
+  const stage = customStages.find(s => s.name === name);
+  return (r, o) => {
+    const inputs = {};
+    for (const dep of stage.dependsOn) inputs[dep] = r[dep];
+    return stage.run(inputs, {
+      seed: r.seed,
+      resolution: o.resolution,
+      options: o.stageOptions?.[name] ?? null,
+    });
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Pipeline
+// ---------------------------------------------------------------------------
+
+/**
+ * Earliest stage that reads each pipeline option.
+ * regenerate() restarts from the earliest stage any changed option maps to;
+ * stageOptions entries map to the custom stage of the same name.
+ */
+const OPTION_STAGES = {
+  seed: 'params',
+  archetype: 'params',
+  terrainOverrides: 'params',
+  template: 'params',
+  resolution: 'elevation',
+  // Erosion replaces the elevation grid, so rerun elevation for a fresh one
+  erosion: 'elevation',
+  // So does hydrology (plunge pools, river mouths), and climate runs before it
+  hydrology: 'elevation',
+  climate: 'elevation',
+  bathymetry: 'bathymetry',
+  biomes: 'biomes',
+  subBiomes: 'subbiomes',
+  naming: 'settlements',
+  reefs: 'reefs',
+  vegetation: 'vegetation',
+  pois: 'pois',
+};
+
+/**
+ * Stages that replace result.elevation with their own adjusted grid. The
+ * elevation kept on a result is the adjusted one, so a restart after
+ * 'elevation' but at or before any of these must rebuild the raw grid
+ * instead of adjusting the grid a second time.
+ */
+const ELEVATION_WRITERS = ['erosion', 'hydrology'];
 
 /**
  * Run the generation pipeline
@@ -23,128 +225,236 @@ export const STAGES = ['params', 'spines', 'elevation', 'hydrology', 'climate',
  * @param {number} seed - World seed
  * @param {Object} [options]
  * @param {number} [options.resolution=512] - Elevation grid size
- * @param {string} [options.upToStage='pois'] - Stop after this stage
+ * @param {string} [options.upToStage] - Stop after this stage (built-in or custom;
+ *   default: the last registered stage)
  * @param {string} [options.archetype] - Force a specific archetype
+ * @param {Object} [options.template] - Authored spines/blobs; replaces the archetype
+ * @param {Object|boolean} [options.erosion] - Hydraulic/thermal erosion config (off by default)
+ * @param {Object} [options.hydrology] - Waterfall/rapids thresholds, plunge pool depth,
+ *   groundwater depth and spring rivers
+ * @param {Object} [options.bathymetry] - Depth zone thresholds, contour depths and depth scale
+ * @param {Object} [options.climate] - Climate placement and wind config (see stages/climate.js)
  * @param {Object} [options.biomes] - Custom biome classifier config
+ * @param {Object} [options.subBiomes] - Sub-biome variant table and selection config
+ * @param {Object} [options.reefs] - Reef placement config
+ * @param {Object} [options.vegetation] - Vegetation scatter config
  * @param {Object} [options.pois] - POI types and placement rules
  * @param {Object} [options.naming] - Naming palettes
+ * @param {Object} [options.stageOptions] - Per-custom-stage config keyed by stage name
+ * @param {Function} [options.onProgress] - Called after each stage with
+ *   { stage, index, total, timing } (index/total count the stages being run)
  * @returns {Object} Generated world data with timing info
  */
 export function generate(seed, options = {}) {
-  const {
-    resolution = 512, upToStage = 'pois', archetype, terrainOverrides,
-    biomes: biomesConfig, pois: poisConfig, naming: namingConfig,
-  } = options;
-
-  const callerConfig = { biomes: biomesConfig, pois: poisConfig, naming: namingConfig };
-
-  const result = {
-    seed,
-    _config: callerConfig,
-    params: null,
-    spines: null,
-    elevation: null,
-    hydrology: null,
-    climate: null,
-    biomes: null,
-    settlements: null,
-    roads: null,
-    pois: null,
-    timing: {},
-  };
+  const { onProgress, ...rest } = options;
+  const order = getStages();
+  const resolved = resolveOptions({ seed, ...rest }, order);
+  const result = createResult(resolved, order);
+  return runStages(result, resolved, 0, onProgress);
+}
 
-  const targetIndex = STAGES.indexOf(upToStage);
-  if (targetIndex === -1) {
-    throw new Error(`Unknown stage: ${upToStage}. Valid: ${STAGES.join(', ')}`);
+/**
+ * Re-run the pipeline after an option change, reusing upstream outputs.
+ *
+ * Options not present in changedOptions keep the values previousResult was
+ * generated with. Options are compared by value against a snapshot taken
+ * when previousResult was generated, so editing an option object in place
+ * and passing it again counts as a change. The pipeline restarts at the earliest stage affected by a
+ * changed option (see OPTION_STAGES), or at 'elevation' when that stage sits
+ * between elevation and hydrology (see ELEVATION_WRITERS); every stage before it is shared with
+ * previousResult by reference, so neither result should be mutated. Raising
+ * upToStage only runs the missing stages; lowering it reruns nothing.
+ * Custom stages registered or removed since previousResult are picked up.
+ *
+ * Only stages that actually ran get an entry in result.timing.
+ *
+ * @param {Object} previousResult - Result from generate() or regenerate()
+ * @param {Object} [changedOptions] - Any generate() option, plus seed
+ * @returns {Object} New result in the same shape as generate()
+ */
+export function regenerate(previousResult, changedOptions = {}) {
+  const previous = previousResult?._options;
+  if (!previous) {
+    throw new Error('regenerate() needs a result produced by generate() or regenerate()');
   }
 
-  const totalStart = performance.now();
-
-  // Stage 1: Params
-  let start = performance.now();
-  result.params = generateParams(seed, { archetype, terrainOverrides });
-  result.timing.params = performance.now() - start;
+  const { onProgress, ...changes } = changedOptions;
+  const order = getStages();
+  const resolved = resolveOptions({ ...previous, ...changes }, order);
 
-  if (targetIndex < 1) {
-    result.timing.total = performance.now() - totalStart;
-    return result;
+  // Earliest stage whose inputs changed
+  const affected = [];
+  for (const [key, value] of Object.entries(changes)) {
+    if (key === 'stageOptions') {
+      const names = new Set([...Object.keys(value || {}), ...Object.keys(previous.stageOptions || {})]);
+      for (const name of names) {
+        if (!sameOption(value?.[name], previous.stageOptions?.[name])) affected.push(name);
+      }
+    } else if (OPTION_STAGES[key] && !sameOption(value, previous[key])) {
+      affected.push(OPTION_STAGES[key]);
+    }
   }
 
-  // Stage 2: Spines
-  start = performance.now();
-  result.spines = generateSpines(result.params, seed);
-  result.timing.spines = performance.now() - start;
-
-  if (targetIndex < 2) {
-    result.timing.total = performance.now() - totalStart;
-    return result;
+  let fromIndex = order.length;
+  for (const stage of affected) {
+    const index = order.indexOf(stage);
+    if (index !== -1) fromIndex = Math.min(fromIndex, index);
   }
 
-  // Stage 3: Elevation
-  start = performance.now();
-  result.elevation = generateElevation(result.params, result.spines, seed, resolution);
-  result.timing.elevation = performance.now() - start;
+  // Stages the previous run never reached, or that the registry has since
+  // inserted, must run too
+  const previousOrder = previousResult._stages || STAGES;
+  const firstMissing = order.findIndex((stage, i) =>
+    previousOrder[i] !== stage || previousResult[stage] == null
+  );
+  if (firstMissing !== -1) fromIndex = Math.min(fromIndex, firstMissing);
 
-  if (targetIndex < 3) {
-    result.timing.total = performance.now() - totalStart;
-    return result;
-  }
+  const elevationIndex = order.indexOf('elevation');
+  const lastWriter = Math.max(...ELEVATION_WRITERS.map(stage => order.indexOf(stage)));
+  if (fromIndex > elevationIndex && fromIndex <= lastWriter) fromIndex = elevationIndex;
 
-  // Stage 4: Hydrology
-  start = performance.now();
-  result.hydrology = generateHydrology(result.params, result.elevation, seed, result.spines);
-  result.timing.hydrology = performance.now() - start;
-
-  if (targetIndex < 4) {
-    result.timing.total = performance.now() - totalStart;
-    return result;
+  const result = createResult(resolved, order);
+  const targetIndex = getTargetIndex(order, resolved);
+  for (let i = 0; i < Math.min(fromIndex, targetIndex + 1); i++) {
+    result[order[i]] = previousResult[order[i]];
   }
 
-  // Stage 5: Climate
-  start = performance.now();
-  result.climate = generateClimate(result.params, result.elevation, seed);
-  result.timing.climate = performance.now() - start;
+  return runStages(result, resolved, fromIndex, onProgress);
+}
+
+// ---------------------------------------------------------------------------
+// Internals
+// ---------------------------------------------------------------------------
 
-  if (targetIndex < 5) {
-    result.timing.total = performance.now() - totalStart;
-    return result;
+/**
+ * Fill in defaults and validate upToStage against the stage order.
+ * upToStage stays unset when omitted so later regenerate() calls keep
+ * following the registry's last stage.
+ */
+function resolveOptions(options, order) {
+  const { resolution = 512, upToStage } = options;
+  if (upToStage !== undefined && !order.includes(upToStage)) {
+    throw new Error(`Unknown stage: ${upToStage}. Valid: ${order.join(', ')}`);
   }
+  return {
+    seed: options.seed,
+    resolution,
+    upToStage,
+    archetype: options.archetype,
+    terrainOverrides: options.terrainOverrides,
+    template: options.template,
+    erosion: options.erosion,
+    hydrology: options.hydrology,
+    bathymetry: options.bathymetry,
+    climate: options.climate,
+    biomes: options.biomes,
+    subBiomes: options.subBiomes,
+    reefs: options.reefs,
+    vegetation: options.vegetation,
+    pois: options.pois,
+    naming: options.naming,
+    stageOptions: options.stageOptions,
+  };
+}
 
-  // Stage 6: Biomes (accepts caller biome config)
-  start = performance.now();
-  result.biomes = generateBiomes(result.params, result.elevation, result.climate, seed, biomesConfig);
-  result.timing.biomes = performance.now() - start;
+/**
+ * Deep copy of an option value, so callers editing their option objects in
+ * place still show up as changes in regenerate(). Functions and class
+ * instances (Map, Set, ...) are kept by reference.
+ */
+function snapshotOption(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (ArrayBuffer.isView(value)) return value.slice();
+  if (Array.isArray(value)) return value.map(snapshotOption);
+  if (!isPlainObject(value)) return value;
+  const copy = {};
+  for (const [key, v] of Object.entries(value)) copy[key] = snapshotOption(v);
+  return copy;
+}
 
-  if (targetIndex < 6) {
-    result.timing.total = performance.now() - totalStart;
-    return result;
+/**
+ * Structural equality of two option values (functions and class instances
+ * by reference), so a structured clone of an option (worker results)
+ * matches the original.
+ */
+function sameOption(a, b) {
+  if (Object.is(a, b)) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (ArrayBuffer.isView(a) || ArrayBuffer.isView(b)) {
+    return ArrayBuffer.isView(a) && ArrayBuffer.isView(b) &&
+      a.constructor === b.constructor && a.length === b.length &&
+      a.every((v, i) => Object.is(v, b[i]));
   }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (!Array.isArray(a) && !(isPlainObject(a) && isPlainObject(b))) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && sameOption(a[key], b[key]));
+}
 
-  // Stage 7: Settlements (accepts caller naming config)
-  start = performance.now();
-  result.settlements = generateSettlements(result.params, result.elevation, result.hydrology, result.biomes, seed, namingConfig);
-  result.timing.settlements = performance.now() - start;
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/** Index of the last stage to run */
+function getTargetIndex(order, resolved) {
+  return resolved.upToStage === undefined ? order.length - 1 : order.indexOf(resolved.upToStage);
+}
 
-  if (targetIndex < 7) {
-    result.timing.total = performance.now() - totalStart;
-    return result;
+function createResult(resolved, order) {
+  const result = {
+    seed: resolved.seed,
+    _config: { biomes: resolved.biomes, pois: resolved.pois, naming: resolved.naming },
+    _options: snapshotOption(resolved),
+    _stages: order,
+    params: null,
+    spines: null,
+    elevation: null,
+    erosion: null,
+    climate: null,
+    hydrology: null,
+    bathymetry: null,
+    biomes: null,
+    subbiomes: null,
+    settlements: null,
+    reefs: null,
+    roads: null,
+    vegetation: null,
+    pois: null,
+    timing: {},
+  };
+  for (const stage of order) {
+    if (!(stage in result)) result[stage] = null;
   }
+  return result;
+}
+
+/**
+ * Run stages fromIndex..upToStage into result, timing each one.
+ * @returns {Object} result
+ */
+function runStages(result, resolved, fromIndex, onProgress) {
+  const order = result._stages;
+  const targetIndex = getTargetIndex(order, resolved);
+  const totalStart = performance.now();
 
-  // Stage 8: Roads
-  start = performance.now();
-  result.roads = generateRoads(result.params, result.elevation, result.hydrology, result.settlements, seed);
-  result.timing.roads = performance.now() - start;
+  for (let i = fromIndex; i <= targetIndex; i++) {
+    const stage = order[i];
+    const start = performance.now();
+    result[stage] = getRunner(stage)(result, resolved);
+    result.timing[stage] = performance.now() - start;
 
-  if (targetIndex < 8) {
-    result.timing.total = performance.now() - totalStart;
-    return result;
+    if (onProgress) {
+      onProgress({
+        stage,
+        index: i - fromIndex,
+        total: targetIndex - fromIndex + 1,
+        timing: { ...result.timing },
+      });
+    }
   }
 
-  // Stage 9: POIs (accepts caller POI and naming config)
-  start = performance.now();
-  result.pois = generatePOIs(result, poisConfig, seed, namingConfig);
-  result.timing.pois = performance.now() - start;
-
   result.timing.total = performance.now() - totalStart;
   return result;
 }
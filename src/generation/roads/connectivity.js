@@ -8,10 +8,10 @@
 import { distance } from '../../core/math.js';
 
 // ---------------------------------------------------------------------------
-// Union-Find for Kruskal's MST
+// Union-Find for Kruskal's MST (also groups settlements for sea routes)
 // ---------------------------------------------------------------------------
 
-class UnionFind {
+export class UnionFind {
   constructor(n) {
     this.parent = Array.from({ length: n }, (_, i) => i);
     this.rank = new Uint8Array(n);
@@ -4,7 +4,8 @@
  * Finds optimal paths on the elevation grid for road construction,
  * penalising steep slopes and river crossings. Uses soft penalties
  * everywhere (no hard blocks except deep water) to guarantee paths
- * connect settlements.
+ * connect settlements. findSeaPath() is the water-only counterpart
+ * used for ferry routes.
  */
 
 import { distance } from '../../core/math.js';
@@ -325,3 +326,106 @@ export function findPath({ start, end, elevation, riverSDF, lakeSDF, roadType, r
     underwaterFraction: fallback.length > 0 ? uwCount / fallback.length : 1,
   };
 }
+
+// ---------------------------------------------------------------------------
+// Sea routes
+// ---------------------------------------------------------------------------
+
+// Shallower water than this (below sea level) counts as continental shelf
+const SHELF_DEPTH = 0.03;
+
+// Extra cost multiplier at zero depth, fading to 0 at SHELF_DEPTH
+const SHELF_PENALTY = 8.0;
+
+/**
+ * Find a water-only path between two world-space points for ferry routes.
+ *
+ * Land cells and blocked cells (reefs) are impassable. Shallow shelf water
+ * is allowed (harbors sit there) but penalised, so routes head for open
+ * water between ports.
+ *
+ * @param {Object} params
+ * @param {[number,number]} params.start - [x, z] world coordinates (in water)
+ * @param {[number,number]} params.end   - [x, z] world coordinates (in water)
+ * @param {Object} params.elevation      - { width, height, data: Float32Array, bounds }
+ * @param {number} params.seaLevel
+ * @param {Uint8Array} [params.blocked] - Non-zero cells ships may not enter
+ * @returns {{ waypoints: Array<{x,z,depth}>, cost: number } | null} null if no water path exists
+ */
+export function findSeaPath({ start, end, elevation, seaLevel, blocked }) {
+  const { width, height, data, bounds } = elevation;
+  const cellW = (bounds.maxX - bounds.minX) / width;
+  const cellH = (bounds.maxZ - bounds.minZ) / height;
+
+  // Cell-centre convention (matches the elevation grid and harbor docks)
+  const sc = Math.max(0, Math.min(width - 1, Math.floor((start[0] - bounds.minX) / cellW)));
+  const sr = Math.max(0, Math.min(height - 1, Math.floor((start[1] - bounds.minZ) / cellH)));
+  const gc = Math.max(0, Math.min(width - 1, Math.floor((end[0] - bounds.minX) / cellW)));
+  const gr = Math.max(0, Math.min(height - 1, Math.floor((end[1] - bounds.minZ) / cellH)));
+
+  const startIdx = sr * width + sc;
+  const goalIdx = gr * width + gc;
+  if (data[startIdx] > seaLevel || data[goalIdx] > seaLevel) return null;
+
+  const n = width * height;
+  const gScore = new Float32Array(n);
+  gScore.fill(Infinity);
+  const closed = new Uint8Array(n);
+  const cameFrom = new Int32Array(n);
+  cameFrom.fill(-1);
+  gScore[startIdx] = 0;
+
+  function heuristic(col, row) {
+    const dx = (col - gc) * cellW;
+    const dz = (row - gr) * cellH;
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+
+  const open = new MinHeap();
+  open.push({ row: sr, col: sc, f: heuristic(sc, sr) });
+
+  while (open.size > 0) {
+    const cur = open.pop();
+    const idx = cur.row * width + cur.col;
+
+    if (closed[idx]) continue;
+    closed[idx] = 1;
+
+    if (idx === goalIdx) {
+      const gridPath = [];
+      for (let ci = idx; ci !== -1; ci = cameFrom[ci]) gridPath.push(ci);
+      gridPath.reverse();
+
+      const waypoints = gridPath.map(gi => ({
+        x: bounds.minX + ((gi % width) + 0.5) * cellW,
+        z: bounds.minZ + (((gi / width) | 0) + 0.5) * cellH,
+        depth: seaLevel - data[gi],
+      }));
+      return { waypoints: simplifyDP(waypoints, cellW * 1.5), cost: gScore[goalIdx] };
+    }
+
+    for (let d = 0; d < 8; d++) {
+      const nr = cur.row + D8_DR[d];
+      const nc = cur.col + D8_DC[d];
+      if (nr < 0 || nr >= height || nc < 0 || nc >= width) continue;
+
+      const ni = nr * width + nc;
+      if (closed[ni] || data[ni] > seaLevel) continue;
+      if (blocked && blocked[ni]) continue;
+
+      const stepDist = d % 2 !== 0 ? cellW * SQRT2 : cellW;
+      const depth = seaLevel - data[ni];
+      const shallow = Math.max(0, (SHELF_DEPTH - depth) / SHELF_DEPTH);
+      const cost = stepDist * (1 + shallow * SHELF_PENALTY);
+
+      const tentativeG = gScore[idx] + cost;
+      if (tentativeG < gScore[ni]) {
+        gScore[ni] = tentativeG;
+        cameFrom[ni] = idx;
+        open.push({ row: nr, col: nc, f: tentativeG + heuristic(nc, nr) });
+      }
+    }
+  }
+
+  return null;
+}
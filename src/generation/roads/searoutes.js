@@ -0,0 +1,199 @@
+/**
+ * Sea routes
+ *
+ * Places harbors on coastal settlements and links settlements that the land
+ * road network cannot reach (e.g. separate islets of a scattered archipelago)
+ * with ferry routes through open water.
+ */
+
+import { distance, clamp } from '../../core/math.js';
+import { findSeaPath } from './pathfinding.js';
+import { UnionFind } from './connectivity.js';
+
+// Settlement must be this close to the coastline to get a harbor
+const HARBOR_MAX_COAST_DIST = 0.05;
+
+// Dock search radius around the settlement centre
+const DOCK_SEARCH_RADIUS = 0.1;
+
+// Dock water must be at least this deep and within this distance of the shore
+const DOCK_MIN_DEPTH = 0.005;
+const DOCK_MAX_SHORE_DIST = 0.02;
+
+// Cap on ferry pathfinding attempts (each is a full-grid A* in the worst case)
+const MAX_FERRY_ATTEMPTS = 24;
+
+// ---------------------------------------------------------------------------
+// Open ocean mask
+// ---------------------------------------------------------------------------
+
+/**
+ * Flood-fill below-sea-level cells from the grid border. Inland basins that
+ * dip below sea level are not connected to the sea and stay unmarked.
+ * @returns {Uint8Array} 1 = open ocean
+ */
+export function computeOceanMask(elevation, seaLevel) {
+  const { width, height, data } = elevation;
+  const mask = new Uint8Array(width * height);
+  const stack = [];
+
+  const seed = (idx) => {
+    if (!mask[idx] && data[idx] <= seaLevel) {
+      mask[idx] = 1;
+      stack.push(idx);
+    }
+  };
+
+  for (let c = 0; c < width; c++) {
+    seed(c);
+    seed((height - 1) * width + c);
+  }
+  for (let r = 0; r < height; r++) {
+    seed(r * width);
+    seed(r * width + width - 1);
+  }
+
+  while (stack.length > 0) {
+    const idx = stack.pop();
+    const r = (idx / width) | 0;
+    const c = idx % width;
+    if (c > 0) seed(idx - 1);
+    if (c < width - 1) seed(idx + 1);
+    if (r > 0) seed(idx - width);
+    if (r < height - 1) seed(idx + width);
+  }
+
+  return mask;
+}
+
+// ---------------------------------------------------------------------------
+// Harbor placement
+// ---------------------------------------------------------------------------
+
+/**
+ * Place a dock for each coastal settlement: the open-ocean cell nearest the
+ * settlement that is deep enough to moor in and still close to the shore.
+ * Docks are never placed on reef cells.
+ *
+ * @param {Uint8Array} [reefMask] - Non-zero = reef (from the reefs stage)
+ * @returns {Array<{ id: string, settlement: string, settlementIdx: number, position: [number, number] }>}
+ */
+export function placeHarbors(settlements, elevation, coastSDF, oceanMask, seaLevel, reefMask) {
+  if (!coastSDF) return [];
+
+  const { width, height, data, bounds } = elevation;
+  const cellW = (bounds.maxX - bounds.minX) / width;
+  const cellH = (bounds.maxZ - bounds.minZ) / height;
+  const searchCells = Math.ceil(DOCK_SEARCH_RADIUS / cellW);
+  const harbors = [];
+
+  settlements.forEach((s, settlementIdx) => {
+    const [sx, sz] = s.position;
+    const sc = clamp(Math.floor((sx - bounds.minX) / cellW), 0, width - 1);
+    const sr = clamp(Math.floor((sz - bounds.minZ) / cellH), 0, height - 1);
+    if (coastSDF[sr * width + sc] > HARBOR_MAX_COAST_DIST) return;
+
+    let best = null;
+    let bestDist = Infinity;
+
+    for (let dr = -searchCells; dr <= searchCells; dr++) {
+      for (let dc = -searchCells; dc <= searchCells; dc++) {
+        const r = sr + dr, c = sc + dc;
+        if (r < 0 || r >= height || c < 0 || c >= width) continue;
+
+        const idx = r * width + c;
+        if (!oceanMask[idx] || seaLevel - data[idx] < DOCK_MIN_DEPTH) continue;
+        if (coastSDF[idx] > DOCK_MAX_SHORE_DIST) continue;
+        if (reefMask && reefMask[idx]) continue;
+
+        const x = bounds.minX + (c + 0.5) * cellW;
+        const z = bounds.minZ + (r + 0.5) * cellH;
+        const d = distance(sx, sz, x, z);
+        if (d < bestDist && d <= DOCK_SEARCH_RADIUS) {
+          bestDist = d;
+          best = [x, z];
+        }
+      }
+    }
+
+    if (best) {
+      harbors.push({ id: `harbor_${harbors.length}`, settlement: s.id, settlementIdx, position: best });
+    }
+  });
+
+  return harbors;
+}
+
+// ---------------------------------------------------------------------------
+// Ferry routes
+// ---------------------------------------------------------------------------
+
+/**
+ * Connect land-road components with ferry routes between harbors.
+ *
+ * Kruskal-style: candidate harbor pairs in different components are tried
+ * shortest first, and a route is kept only if it joins two components and a
+ * water path exists. Routes steer around reef cells.
+ *
+ * @param {Array} settlements
+ * @param {Array} roads - Land roads ({ from, to } settlement IDs)
+ * @param {Array} harbors - From placeHarbors()
+ * @param {Object} elevation
+ * @param {number} seaLevel
+ * @param {Uint8Array} [reefMask] - Non-zero = reef (from the reefs stage)
+ * @returns {Array<{ id, type: 'ferry', from, to, fromHarbor, toHarbor, waypoints, length }>}
+ */
+export function planSeaRoutes(settlements, roads, harbors, elevation, seaLevel, reefMask) {
+  if (harbors.length < 2) return [];
+
+  const indexById = new Map(settlements.map((s, i) => [s.id, i]));
+  const components = new UnionFind(settlements.length);
+  for (const road of roads) {
+    components.union(indexById.get(road.from), indexById.get(road.to));
+  }
+
+  const candidates = [];
+  for (let i = 0; i < harbors.length; i++) {
+    for (let j = i + 1; j < harbors.length; j++) {
+      const a = harbors[i], b = harbors[j];
+      if (components.find(a.settlementIdx) === components.find(b.settlementIdx)) continue;
+      candidates.push({ a, b, dist: distance(a.position[0], a.position[1], b.position[0], b.position[1]) });
+    }
+  }
+  candidates.sort((p, q) => p.dist - q.dist);
+
+  const routes = [];
+  let attempts = 0;
+
+  for (const { a, b } of candidates) {
+    if (attempts >= MAX_FERRY_ATTEMPTS) break;
+    if (components.find(a.settlementIdx) === components.find(b.settlementIdx)) continue;
+
+    attempts++;
+    const path = findSeaPath({
+      start: a.position, end: b.position, elevation, seaLevel, blocked: reefMask,
+    });
+    if (!path) continue;
+
+    components.union(a.settlementIdx, b.settlementIdx);
+
+    let length = 0;
+    for (let k = 1; k < path.waypoints.length; k++) {
+      const p = path.waypoints[k - 1], q = path.waypoints[k];
+      length += distance(p.x, p.z, q.x, q.z);
+    }
+
+    routes.push({
+      id: `sea_${routes.length}`,
+      type: 'ferry',
+      from: a.settlement,
+      to: b.settlement,
+      fromHarbor: a.id,
+      toHarbor: b.id,
+      waypoints: path.waypoints,
+      length,
+    });
+  }
+
+  return routes;
+}
@@ -0,0 +1,197 @@
+/**
+ * Seasonal climate
+ *
+ * The climate stage produces N-step (monthly by default) temperature and
+ * precipitation fields in separable form: each step's field is the annual
+ * field modulated by a per-step curve.
+ *
+ *   temperature[step] = temperature + seasonalRange * temperatureCurve[step]
+ *   precipitation[step] = humidity * precipitationCurve[step]
+ *
+ * temperatureCurve runs from -1 (mid-winter) to +1 (mid-summer) and already
+ * accounts for the hemisphere; precipitationCurve averages 1 over the year.
+ * Storing curves instead of N full grids keeps bundles small; use
+ * getSeasonalClimate() (exported from the package root) to materialize one
+ * step, or IslandData.getClimate(x, z, { month }) for a single point.
+ *
+ * Precipitation here is relative wetness in [0, 1], not the raw rain-out
+ * field of the wind model.
+ */
+
+import { clamp, smoothstep, lerp } from '../core/math.js';
+
+/** Default number of steps per year */
+export const DEFAULT_SEASON_STEPS = 12;
+
+/**
+ * Precipitation swing per climate band (fraction of the annual mean, in phase
+ * with summer): tropical monsoons peak in summer, higher latitudes get
+ * slightly wetter winters.
+ */
+const PRECIPITATION_SEASONALITY = {
+  tropical: 0.6,
+  temperate: -0.2,
+  polar: -0.1,
+};
+
+/** Snow starts settling below this temperature and fully covers below SNOW_FULL_TEMP */
+const SNOW_LINE_TEMP = 0.22;
+const SNOW_FULL_TEMP = 0.12;
+
+/** Wetness at which snowfall covers the ground completely */
+const SNOW_WETNESS = 0.3;
+
+/** Lakes freeze over below this temperature */
+const LAKE_FREEZE_TEMP = 0.15;
+
+/** Flow kept under full snow cover (the rest is locked up as snow and ice) */
+const FROZEN_BASEFLOW = 0.3;
+
+/** Flow added per unit of snow cover melted since the previous step */
+const SNOWMELT_FLOW = 2.0;
+
+/** Max river vertices sampled when averaging a river's catchment */
+const RIVER_SAMPLES = 16;
+
+// ---------------------------------------------------------------------------
+// Curves
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the seasonal curves for a placed climate.
+ *
+ * Step 0 is the first month of the calendar year, so it falls in winter in
+ * the north and summer in the south.
+ *
+ * @param {{ hemisphere: string, band: string }} placement
+ * @param {number} [steps=12]
+ * @returns {{ steps: number, temperatureCurve: Float32Array, precipitationCurve: Float32Array }}
+ */
+export function buildSeasons(placement, steps = DEFAULT_SEASON_STEPS) {
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`Invalid season steps: ${steps}. Valid: integer >= 1`);
+  }
+
+  const temperatureCurve = new Float32Array(steps);
+  const precipitationCurve = new Float32Array(steps);
+  const hemisphere = placement.hemisphere === 'south' ? -1 : 1;
+  const seasonality = PRECIPITATION_SEASONALITY[placement.band] ?? 0;
+
+  for (let i = 0; i < steps; i++) {
+    // Coldest at the start of the year in the north (a single step stays at 0)
+    const summer = steps > 1 ? -Math.cos((2 * Math.PI * i) / steps) * hemisphere : 0;
+    temperatureCurve[i] = summer;
+    precipitationCurve[i] = 1 + seasonality * summer;
+  }
+
+  return { steps, temperatureCurve, precipitationCurve };
+}
+
+/**
+ * Curve value at a (possibly fractional) step, wrapping around the year.
+ * @param {Float32Array} curve
+ * @param {number} step
+ * @returns {number}
+ */
+export function sampleCurve(curve, step) {
+  const n = curve.length;
+  const t = ((step % n) + n) % n;
+  const i0 = Math.floor(t);
+  const i1 = (i0 + 1) % n;
+  return lerp(curve[i0], curve[i1], t - i0);
+}
+
+// ---------------------------------------------------------------------------
+// Point values
+// ---------------------------------------------------------------------------
+
+/**
+ * Temperature and precipitation at one point for a step.
+ *
+ * @param {Object} seasons - climate.seasons
+ * @param {{ temperature: number, humidity: number, seasonalRange: number }} annual
+ * @param {number} step
+ * @returns {{ temperature: number, precipitation: number }}
+ */
+export function seasonalPoint(seasons, annual, step) {
+  return {
+    temperature: clamp(annual.temperature + annual.seasonalRange * sampleCurve(seasons.temperatureCurve, step), 0, 1),
+    precipitation: clamp(annual.humidity * sampleCurve(seasons.precipitationCurve, step), 0, 1),
+  };
+}
+
+/**
+ * Snow cover fraction for a temperature and wetness.
+ * @returns {number} 0 (bare) to 1 (fully covered)
+ */
+export function snowCover(temperature, precipitation) {
+  const cold = smoothstep(SNOW_LINE_TEMP, SNOW_FULL_TEMP, temperature);
+  return cold * Math.min(1, precipitation / SNOW_WETNESS);
+}
+
+/** Is standing water frozen over at this temperature? */
+export function isFrozen(temperature) {
+  return temperature < LAKE_FREEZE_TEMP;
+}
+
+/**
+ * Relative river discharge (1 = annual mean rain-fed flow).
+ *
+ * Rain scales flow with the precipitation curve, snow cover holds water
+ * back, and snow melted since the previous step is released as a spring
+ * flood.
+ *
+ * @param {number} precipitationFactor - precipitationCurve value for the step
+ * @param {number} snow - Snow cover this step
+ * @param {number} previousSnow - Snow cover the step before
+ * @returns {number}
+ */
+export function flowMultiplier(precipitationFactor, snow, previousSnow) {
+  const rain = precipitationFactor * lerp(1, FROZEN_BASEFLOW, snow);
+  const melt = Math.max(0, previousSnow - snow) * SNOWMELT_FLOW;
+  return rain + melt;
+}
+
+/**
+ * Evenly spaced subset of a river's vertices for catchment averaging.
+ * @param {Array<{x: number, z: number}>} vertices
+ * @returns {Array<{x: number, z: number}>}
+ */
+export function riverSamplePoints(vertices) {
+  if (vertices.length <= RIVER_SAMPLES) return vertices;
+  const points = [];
+  for (let i = 0; i < RIVER_SAMPLES; i++) {
+    points.push(vertices[Math.round((i * (vertices.length - 1)) / (RIVER_SAMPLES - 1))]);
+  }
+  return points;
+}
+
+// ---------------------------------------------------------------------------
+// Grids
+// ---------------------------------------------------------------------------
+
+/**
+ * Materialize full temperature and precipitation grids for one step.
+ *
+ * @param {Object} climate - Climate stage output
+ * @param {number} step - Step index (fractional steps interpolate)
+ * @returns {{ temperature: Float32Array, precipitation: Float32Array, width: number, height: number }}
+ */
+export function getSeasonalClimate(climate, step) {
+  const { width, height, seasons } = climate;
+  if (!seasons) {
+    throw new Error('Climate has no seasonal data (generated before seasons were supported)');
+  }
+
+  const tCurve = sampleCurve(seasons.temperatureCurve, step);
+  const pCurve = sampleCurve(seasons.precipitationCurve, step);
+  const temperature = new Float32Array(width * height);
+  const precipitation = new Float32Array(width * height);
+
+  for (let i = 0; i < width * height; i++) {
+    temperature[i] = clamp(climate.temperature[i] + climate.seasonalRange[i] * tCurve, 0, 1);
+    precipitation[i] = clamp(climate.humidity[i] * pCurve, 0, 1);
+  }
+
+  return { temperature, precipitation, width, height };
+}
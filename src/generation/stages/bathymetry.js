@@ -0,0 +1,98 @@
+/**
+ * Stage 4b: Bathymetry
+ *
+ * Classifies the sea floor by water depth into four zones:
+ * - Shore: the surf zone just off the beach
+ * - Shelf: shallow continental shelf
+ * - Slope: the drop-off from the shelf to deep water
+ * - Abyss: open deep ocean
+ *
+ * Also traces depth contour lines (isobaths) with extractContours, at the
+ * zone boundaries by default. Depths here are in elevation units below sea
+ * level; depthScale converts them to game units for the query API.
+ */
+
+import { extractContours, simplifyPolyline } from '../../geometry/contour.js';
+
+/** Zone names, indexed by the values in the zone grid (0 = land) */
+export const DEPTH_ZONES = ['land', 'shore', 'shelf', 'slope', 'abyss'];
+
+/** Default bathymetry config (depths in elevation units below sea level) */
+const DEFAULTS = {
+  shoreDepth: 0.01,
+  shelfDepth: 0.04,
+  slopeDepth: 0.075,
+  depthScale: 1,
+};
+
+/**
+ * Generate depth zones and contours
+ *
+ * @param {Object} params - World parameters
+ * @param {{ width: number, height: number, data: Float32Array, bounds: Object }} elevation
+ * @param {Object} [config]
+ * @param {number} [config.shoreDepth=0.01] - Deepest water of the shore zone
+ * @param {number} [config.shelfDepth=0.04] - Deepest water of the shelf zone
+ * @param {number} [config.slopeDepth=0.075] - Deepest water of the slope zone
+ *   (anything deeper is abyss)
+ * @param {number[]} [config.contourDepths] - Depths to trace contours at
+ *   (default: the three zone boundaries)
+ * @param {number} [config.depthScale=1] - Game units per elevation unit, used by
+ *   IslandData.getWaterDepth() and friends
+ * @returns {{ zones: Uint8Array, width: number, height: number, zoneNames: string[],
+ *   contours: Array<{ depth: number, polylines: Array<Array<{x: number, z: number}>> }>,
+ *   maxDepth: number, depthScale: number }} zones holds indices into zoneNames;
+ *   contour and maximum depths are in elevation units
+ */
+export function generateBathymetry(params, elevation, config) {
+  const opts = { ...DEFAULTS, ...config };
+  const { shoreDepth, shelfDepth, slopeDepth, depthScale } = opts;
+  if (!(shoreDepth > 0 && shelfDepth > shoreDepth && slopeDepth > shelfDepth)) {
+    throw new Error(`Bathymetry depths must increase: shore ${shoreDepth}, shelf ${shelfDepth}, slope ${slopeDepth}`);
+  }
+  if (!(depthScale > 0)) {
+    throw new Error(`Invalid bathymetry depthScale: ${depthScale}`);
+  }
+  const contourDepths = opts.contourDepths ?? [shoreDepth, shelfDepth, slopeDepth];
+  for (const depth of contourDepths) {
+    if (!(depth > 0)) throw new Error(`Invalid contour depth: ${depth}`);
+  }
+
+  const { seaLevel } = params;
+  const { width, height, data, bounds } = elevation;
+  const count = width * height;
+
+  const zones = new Uint8Array(count);
+  const counts = [0, 0, 0, 0, 0];
+  let maxDepth = 0;
+  for (let i = 0; i < count; i++) {
+    const depth = seaLevel - data[i];
+    if (depth <= 0) continue;
+    zones[i] = depth < shoreDepth ? 1
+      : depth < shelfDepth ? 2
+      : depth < slopeDepth ? 3
+      : 4;
+    counts[zones[i]]++;
+    if (depth > maxDepth) maxDepth = depth;
+  }
+
+  // Isobaths: elevation contours below sea level
+  const cellW = (bounds.maxX - bounds.minX) / width;
+  const cellH = (bounds.maxZ - bounds.minZ) / height;
+  const sampleFn = (x, z) => {
+    const c = Math.floor((x - bounds.minX) / cellW);
+    const r = Math.floor((z - bounds.minZ) / cellH);
+    if (c < 0 || c >= width || r < 0 || r >= height) return 0;
+    return data[r * width + c];
+  };
+  const contourRes = cellW * 2;
+  const contours = contourDepths.map(depth => ({
+    depth,
+    polylines: extractContours(sampleFn, seaLevel - depth, bounds, contourRes)
+      .map(pl => simplifyPolyline(pl, contourRes * 0.5)),
+  }));
+
+  console.log(`[bathymetry] ${counts[1]} shore, ${counts[2]} shelf, ${counts[3]} slope, ${counts[4]} abyss cells; ${contours.reduce((n, c) => n + c.polylines.length, 0)} contour lines`);
+
+  return { zones, width, height, zoneNames: DEPTH_ZONES, contours, maxDepth, depthScale };
+}
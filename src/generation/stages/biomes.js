@@ -8,38 +8,99 @@
  *
  * Custom classifiers return string IDs. These are mapped to numeric indices
  * via a registry for efficient Uint8Array storage and FieldSampler compat.
+ *
+ * Optionally (biomesConfig.blend) also outputs top-K blend weights per cell
+ * for terrain splat shaders.
+ *
+ * On volcano islands, land within archetypeParams.volcanicRadius of the vent
+ * (relative to the cone radius) is 'volcanic' whatever the classifier says.
+ * Likewise, wetland patches at river mouths (hydrology.wetlandMap) are 'swamp'.
  */
 
-import { defaultClassify } from '../../config/defaultBiomes.js';
+import { defaultClassify, VOLCANIC_BIOME_ID, WETLAND_BIOME_ID } from '../../config/defaultBiomes.js';
+import { getVolcanoVent } from '../archetypes/volcano.js';
+
+/** Default blend settings: number of biomes kept per cell and kernel half-widths */
+const BLEND_DEFAULTS = {
+  topK: 4,
+  temperature: 0.05,
+  humidity: 0.05,
+  elevation: 0.01,
+};
+
+const MAX_BLEND_K = 8;
+
+/**
+ * Kernel samples in (temperature, humidity, elevation) space as
+ * [dt, dh, de, weight], offsets in units of the blend half-widths.
+ * Center plus half and full steps along each axis.
+ */
+const BLEND_KERNEL = [[0, 0, 0, 1]];
+for (const axis of [0, 1, 2]) {
+  for (const [step, weight] of [[0.5, 0.75], [1, 0.4]]) {
+    for (const sign of [-1, 1]) {
+      const offset = [0, 0, 0, weight];
+      offset[axis] = sign * step;
+      BLEND_KERNEL.push(offset);
+    }
+  }
+}
 
 /**
  * Generate biome classification grid
  *
+ * With biomesConfig.blend set, also returns the top-K biomes per cell with
+ * weights. The classifier is evaluated at kernel points around each cell's
+ * (temperature, humidity, elevation); a biome's weight is the share of the
+ * kernel it wins, so cells close to a classifier threshold split between
+ * the biomes on either side and cells far from any threshold stay pure.
+ *
  * @param {Object} params - World parameters
  * @param {{ width: number, height: number, data: Float32Array }} elevation
  * @param {{ temperature: Float32Array, humidity: Float32Array, width: number, height: number }} climate
  * @param {number} _seed - Reserved for future biome noise
  * @param {Object} [biomesConfig] - Caller biome configuration
- * @returns {{ data: Uint8Array, width: number, height: number, registry: Object|null }}
+ * @param {boolean|Object} [biomesConfig.blend] - true or { topK=4, temperature=0.05,
+ *   humidity=0.05, elevation=0.01 } (kernel half-widths per axis)
+ * @param {{ wetlandMap: Uint16Array }} [hydrology] - Hydrology output; wetland cells become swamp
+ * @returns {{ data: Uint8Array, width: number, height: number, registry: Object|null,
+ *   blend?: { topK: number, ids: Uint8Array, weights: Uint8Array } }}
+ *   blend.ids/weights hold topK entries per cell; weights are 0..255 summing to ~255
  */
-export function generateBiomes(params, elevation, climate, _seed, biomesConfig) {
+export function generateBiomes(params, elevation, climate, _seed, biomesConfig, hydrology) {
   const { seaLevel } = params;
   const { width, height } = elevation;
   const count = width * height;
+  const blend = resolveBlend(biomesConfig?.blend);
 
+  let classifier;
   if (biomesConfig?.classify) {
-    return classifyWithCustom(biomesConfig.classify, elevation, climate, seaLevel, width, height, count);
-  }
-
-  if (biomesConfig?.thresholds) {
+    classifier = createRegistryClassifier(biomesConfig.classify);
+  } else if (biomesConfig?.thresholds) {
     const classifyFn = buildThresholdClassifier(biomesConfig.thresholds, biomesConfig.default || 'grassland');
-    return classifyWithCustom(classifyFn, elevation, climate, seaLevel, width, height, count);
+    classifier = createRegistryClassifier(classifyFn);
+  } else {
+    // Default: Whittaker classifier (backward compatible, no registry)
+    classifier = { classify: defaultClassify, registry: null };
   }
 
-  // Default: Whittaker classifier (backward compatible, no registry)
+  const volcanic = params.archetype === 'volcano' ? volcanicMask(params, elevation) : null;
+  const volcanicId = volcanic
+    ? (classifier.registry ? classifier.intern('volcanic') : VOLCANIC_BIOME_ID)
+    : -1;
+
+  const wetland = wetlandMask(params, elevation, hydrology);
+  const wetlandId = wetland
+    ? (classifier.registry ? classifier.intern('swamp') : WETLAND_BIOME_ID)
+    : -1;
+
+  // Forced biome per cell, or -1 to classify (the volcano wins over wetlands)
+  const forced = (i) => volcanic?.[i] ? volcanicId : wetland?.[i] ? wetlandId : -1;
+
   const data = new Uint8Array(count);
   for (let i = 0; i < count; i++) {
-    data[i] = defaultClassify(
+    const id = forced(i);
+    data[i] = id >= 0 ? id : classifier.classify(
       climate.temperature[i],
       climate.humidity[i],
       elevation.data[i],
@@ -47,36 +108,153 @@ export function generateBiomes(params, elevation, climate, _seed, biomesConfig)
     );
   }
 
-  return { data, width, height, registry: null };
+  const result = { data, width, height, registry: classifier.registry };
+  if (blend) {
+    result.blend = computeBlendWeights(classifier.classify, blend, elevation, climate, seaLevel, count);
+    if (volcanic || wetland) {
+      const { topK, ids, weights } = result.blend;
+      for (let i = 0; i < count; i++) {
+        const id = forced(i);
+        if (id < 0) continue;
+        ids.fill(0, i * topK, (i + 1) * topK);
+        weights.fill(0, i * topK, (i + 1) * topK);
+        ids[i * topK] = id;
+        weights[i * topK] = 255;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Land cells close enough to a volcano's vent to be volcanic.
+ * @returns {Uint8Array} 1 = volcanic
+ */
+function volcanicMask(params, elevation) {
+  const { radius, seaLevel, archetypeParams } = params;
+  const { width, height, data, bounds } = elevation;
+  const vent = getVolcanoVent(params);
+  const reach = archetypeParams.volcanicRadius * archetypeParams.coneRadius * radius;
+  const cellW = (bounds.maxX - bounds.minX) / width;
+  const cellH = (bounds.maxZ - bounds.minZ) / height;
+
+  const mask = new Uint8Array(width * height);
+  for (let row = 0; row < height; row++) {
+    const dz = bounds.minZ + (row + 0.5) * cellH - vent.z;
+    for (let col = 0; col < width; col++) {
+      const idx = row * width + col;
+      if (data[idx] < seaLevel) continue;
+      const dx = bounds.minX + (col + 0.5) * cellW - vent.x;
+      if (dx * dx + dz * dz < reach * reach) mask[idx] = 1;
+    }
+  }
+  return mask;
+}
+
+/**
+ * Land cells on river-mouth wetland patches.
+ * @returns {Uint8Array|null} 1 = wetland; null without wetlands
+ */
+function wetlandMask(params, elevation, hydrology) {
+  const wetlandMap = hydrology?.wetlandMap;
+  if (!wetlandMap || !hydrology.wetlands?.length) return null;
+  const { seaLevel } = params;
+  const mask = new Uint8Array(wetlandMap.length);
+  for (let i = 0; i < mask.length; i++) {
+    if (wetlandMap[i] && elevation.data[i] >= seaLevel) mask[i] = 1;
+  }
+  return mask;
 }
 
 /**
- * Classify all cells using a custom function that returns string biome IDs.
- * Builds a registry mapping string IDs to numeric indices.
+ * Wrap a classifier that returns string biome IDs so it returns numeric
+ * indices, building the registry as new IDs appear.
  */
-function classifyWithCustom(classifyFn, elevation, climate, seaLevel, width, height, count) {
+function createRegistryClassifier(classifyFn) {
   const stringToId = new Map();
   const idToString = new Map();
-  let nextId = 0;
-  const data = new Uint8Array(count);
 
+  const intern = (biomeStr) => {
+    let id = stringToId.get(biomeStr);
+    if (id === undefined) {
+      id = stringToId.size;
+      stringToId.set(biomeStr, id);
+      idToString.set(id, biomeStr);
+    }
+    return id;
+  };
+
+  return {
+    classify(temp, humidity, elevation, seaLevel) {
+      return intern(classifyFn(temp, humidity, elevation, seaLevel));
+    },
+    intern,
+    registry: { stringToId, idToString },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Blending
+// ---------------------------------------------------------------------------
+
+function resolveBlend(blend) {
+  if (!blend) return null;
+  const resolved = { ...BLEND_DEFAULTS, ...(blend === true ? {} : blend) };
+  if (!Number.isInteger(resolved.topK) || resolved.topK < 1 || resolved.topK > MAX_BLEND_K) {
+    throw new Error(`Invalid blend topK: ${resolved.topK}. Valid: 1 to ${MAX_BLEND_K}`);
+  }
+  for (const axis of ['temperature', 'humidity', 'elevation']) {
+    if (!(resolved[axis] >= 0)) {
+      throw new Error(`Invalid blend ${axis} width: ${resolved[axis]}`);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Top-K biome weights per cell from classifier votes over BLEND_KERNEL.
+ * Weights are quantized to bytes (ready for an RGBA splat texture); unused
+ * slots have weight 0.
+ */
+function computeBlendWeights(classify, blend, elevation, climate, seaLevel, count) {
+  const { topK } = blend;
+  const ids = new Uint8Array(count * topK);
+  const weights = new Uint8Array(count * topK);
+  const scale = [blend.temperature, blend.humidity, blend.elevation];
+
+  const votes = new Map();
   for (let i = 0; i < count; i++) {
-    const biomeStr = classifyFn(
-      climate.temperature[i],
-      climate.humidity[i],
-      elevation.data[i],
-      seaLevel
-    );
+    const t = climate.temperature[i];
+    const h = climate.humidity[i];
+    const e = elevation.data[i];
 
-    if (!stringToId.has(biomeStr)) {
-      stringToId.set(biomeStr, nextId);
-      idToString.set(nextId, biomeStr);
-      nextId++;
+    votes.clear();
+    for (const [dt, dh, de, w] of BLEND_KERNEL) {
+      const id = classify(
+        Math.min(1, Math.max(0, t + dt * scale[0])),
+        Math.min(1, Math.max(0, h + dh * scale[1])),
+        e + de * scale[2],
+        seaLevel
+      );
+      votes.set(id, (votes.get(id) || 0) + w);
     }
-    data[i] = stringToId.get(biomeStr);
+
+    const ranked = [...votes].sort((a, b) => b[1] - a[1]).slice(0, topK);
+    let kept = 0;
+    for (const [, w] of ranked) kept += w;
+
+    const base = i * topK;
+    let remaining = 255;
+    ranked.forEach(([id, w], slot) => {
+      // Rounding up can overshoot 255; clamp so no slot goes negative and wraps
+      const q = slot === ranked.length - 1 ? remaining : Math.min(remaining, Math.round((w / kept) * 255));
+      ids[base + slot] = id;
+      weights[base + slot] = q;
+      remaining -= q;
+    });
   }
 
-  return { data, width, height, registry: { stringToId, idToString } };
+  return { topK, ids, weights };
 }
 
 /**
@@ -2,13 +2,22 @@
  * Stage 4: Climate generation
  *
  * Generates temperature and humidity fields from elevation data.
- * Temperature follows a latitude gradient with elevation cooling.
- * Humidity uses ocean proximity and noise variation.
+ * Temperature follows a latitude gradient with elevation cooling. By default
+ * the island spans a whole hemisphere (warm south edge, cold north edge);
+ * placing it at a latitude or in a climate band shifts and compresses the
+ * gradient to a few degrees so a tropical island stays tropical.
+ * Humidity comes from moisture carried by a prevailing wind: air picks up
+ * moisture over the ocean, rains it out on windward slopes and leaves a dry
+ * rain shadow in the lee of high ground. Wind strength blends this with the
+ * plain ocean-proximity model (strength 0 = no wind).
+ * Seasonal (monthly by default) variation is returned as per-step curves
+ * over the annual fields plus a per-cell seasonal temperature range.
  */
 
-import { deriveSeed } from '../../core/seeds.js';
+import { seededRandom, deriveSeed } from '../../core/seeds.js';
 import { createFBmNoise, unipolar } from '../../core/noise.js';
-import { clamp, smoothstep } from '../../core/math.js';
+import { clamp, smoothstep, lerp } from '../../core/math.js';
+import { buildSeasons, DEFAULT_SEASON_STEPS } from '../seasons.js';
 
 /** How much elevation reduces temperature (0 = none, 1 = full) */
 const ELEV_COOLING = 0.4;
@@ -28,19 +37,110 @@ const OCEAN_HUMIDITY_BONUS = 0.35;
 /** How far above sea level the ocean moisture bonus reaches */
 const OCEAN_MOISTURE_REACH = 0.15;
 
+// ---------------------------------------------------------------------------
+// Global placement
+// ---------------------------------------------------------------------------
+
+/** Temperature at the equator and at the poles (linear in latitude between) */
+const EQUATOR_TEMP = 1.0;
+const POLE_TEMP = 0.0;
+
+/** Unplaced islands: centred at 45 degrees, spanning equator to pole */
+const LEGACY_LATITUDE = 45;
+const LEGACY_LATITUDE_SPAN = 90;
+
+/** Degrees of latitude covered by the map once the island is placed */
+const DEFAULT_LATITUDE_SPAN = 10;
+
+/** Summer/winter temperature half-range at the poles (scales with sin(latitude)) */
+const DEFAULT_SEASONAL_AMPLITUDE = 0.25;
+
+/** Open water damps the seasonal swing */
+const OCEAN_SEASONAL_DAMPING = 0.5;
+
+/** Latitude range (degrees) per climate band; a band picks a latitude inside it */
+export const CLIMATE_BANDS = {
+  tropical: [0, 23.5],
+  temperate: [23.5, 66.5],
+  polar: [66.5, 90],
+};
+
+const HEMISPHERES = ['north', 'south'];
+
+/**
+ * Wind direction (radians toward) in the northern hemisphere per band:
+ * trade winds and polar easterlies blow toward the south-west, mid-latitude
+ * westerlies toward the north-east. Mirrored across the equator in the south.
+ */
+const PREVAILING_WIND = {
+  tropical: Math.PI * 1.25,
+  temperate: Math.PI * 0.25,
+  polar: Math.PI * 1.25,
+};
+
+/** Seed jitter applied to the prevailing wind direction */
+const WIND_JITTER = Math.PI / 8;
+
+// ---------------------------------------------------------------------------
+// Wind advection
+// ---------------------------------------------------------------------------
+
+/** Default share of the wind model in the final humidity */
+const DEFAULT_WIND_STRENGTH = 1.0;
+
+/** Moisture regained per unit distance of open water */
+const OCEAN_RECHARGE = 4.0;
+
+/** Background rain-out per unit distance over flat land */
+const BASE_RAIN_RATE = 0.6;
+
+/** Extra rain-out per unit distance per unit of upslope gradient */
+const OROGRAPHIC_RATE = 3.0;
+
+/** Rain intensity that maps to ~63% of the rainfall humidity bonus */
+const RAIN_SCALE = 1.5;
+
+/** Humidity = WIND_BASE + carried moisture and local rainfall terms */
+const WIND_BASE_HUMIDITY = 0.22;
+const MOISTURE_WEIGHT = 0.35;
+const RAINFALL_WEIGHT = 0.4;
+
 /**
  * Generate climate fields (temperature and humidity)
  *
  * @param {Object} params - World parameters (from Stage 1)
  * @param {{ width: number, height: number, data: Float32Array, bounds: Object }} elevation
  * @param {number} seed - World seed
- * @returns {{ temperature: Float32Array, humidity: Float32Array, width: number, height: number }}
+ * @param {Object} [climateConfig]
+ * @param {number} [climateConfig.latitude] - Absolute latitude of the island centre
+ *   in degrees (default: random within band, or 45 spanning a whole hemisphere)
+ * @param {string} [climateConfig.hemisphere='north'] - 'north' (+Z poleward) or 'south'
+ * @param {string} [climateConfig.band] - 'tropical', 'temperate' or 'polar'
+ * @param {number} [climateConfig.latitudeSpan] - Degrees of latitude across the map
+ *   (default 10 when placed, 90 otherwise)
+ * @param {number} [climateConfig.seasonalAmplitude=0.25] - Summer/winter temperature
+ *   half-range at the poles
+ * @param {number} [climateConfig.seasons=12] - Steps per year for the seasonal curves
+ * @param {Object} [climateConfig.wind]
+ * @param {number} [climateConfig.wind.direction] - Radians the wind blows toward,
+ *   from +X toward +Z (default: the band's prevailing wind when placed, otherwise
+ *   seed-randomized)
+ * @param {number} [climateConfig.wind.strength=1] - 0 = ocean proximity only,
+ *   1 = full wind/rain-shadow model
+ * @returns {{ temperature: Float32Array, humidity: Float32Array, precipitation: Float32Array,
+ *   seasonalRange: Float32Array, seasons: Object, wind: { direction: number, strength: number },
+ *   placement: Object, width: number, height: number }}
+ *   (seasons holds the per-step curves, see generation/seasons.js)
  */
-export function generateClimate(params, elevation, seed) {
+export function generateClimate(params, elevation, seed, climateConfig) {
   const { seaLevel } = params;
   const { width, height, data: elevData, bounds } = elevation;
 
   const climateSeed = deriveSeed(seed, 'climate');
+  const placement = resolvePlacement(climateConfig, climateSeed);
+  const wind = resolveWind(climateConfig?.wind, placement, climateSeed);
+  const seasons = buildSeasons(placement, climateConfig?.seasons ?? DEFAULT_SEASON_STEPS);
+  const { moisture, precipitation } = advectMoisture(elevation, seaLevel, wind.direction);
 
   // Temperature noise
   const tempNoise = unipolar(createFBmNoise(deriveSeed(climateSeed, 'temperature'), {
@@ -60,6 +160,10 @@ export function generateClimate(params, elevation, seed) {
 
   const temperature = new Float32Array(width * height);
   const humidity = new Float32Array(width * height);
+  const seasonalRange = new Float32Array(width * height);
+
+  // Poleward is +Z in the north, -Z in the south
+  const poleward = placement.hemisphere === 'north' ? 1 : -1;
 
   const rangeZ = bounds.maxZ - bounds.minZ;
   const rangeX = bounds.maxX - bounds.minX;
@@ -67,10 +171,14 @@ export function generateClimate(params, elevation, seed) {
   const cellW = rangeX / width;
 
   for (let row = 0; row < height; row++) {
-    // Latitude: row 0 = minZ (south, warm), last row = maxZ (north, cold)
+    // Latitude: row 0 = minZ (south), last row = maxZ (north)
     const worldZ = bounds.minZ + (row + 0.5) * cellH;
     const normalizedZ = (worldZ - bounds.minZ) / rangeZ; // 0 at south, 1 at north
-    const baseTemp = 1.0 - normalizedZ; // warm south, cold north
+    const latitude = Math.min(90, Math.abs(
+      placement.latitude + (normalizedZ - 0.5) * placement.latitudeSpan * poleward
+    ));
+    const baseTemp = lerp(EQUATOR_TEMP, POLE_TEMP, latitude / 90);
+    const rowSeasonal = placement.seasonalAmplitude * Math.sin(latitude * Math.PI / 180);
 
     for (let col = 0; col < width; col++) {
       const worldX = bounds.minX + (col + 0.5) * cellW;
@@ -87,6 +195,7 @@ export function generateClimate(params, elevation, seed) {
       const tn = tempNoise(worldX, worldZ) * TEMP_NOISE_AMP - TEMP_NOISE_AMP * 0.5;
 
       temperature[idx] = clamp(baseTemp - elevPenalty + tn, 0, 1);
+      seasonalRange[idx] = elev < seaLevel ? rowSeasonal * OCEAN_SEASONAL_DAMPING : rowSeasonal;
 
       // --- Humidity ---
       // Ocean proximity bonus: cells near or below sea level get moisture
@@ -100,9 +209,178 @@ export function generateClimate(params, elevation, seed) {
       // Noise variation (centered around zero)
       const hn = humidNoise(worldX, worldZ) * HUMID_NOISE_AMP - HUMID_NOISE_AMP * 0.5;
 
-      humidity[idx] = clamp(BASE_HUMIDITY + oceanBonus + hn, 0, 1);
+      const proximity = BASE_HUMIDITY + oceanBonus;
+      const windward = WIND_BASE_HUMIDITY
+        + moisture[idx] * MOISTURE_WEIGHT
+        + (1 - Math.exp(-precipitation[idx] / RAIN_SCALE)) * RAINFALL_WEIGHT;
+
+      humidity[idx] = clamp(lerp(proximity, windward, wind.strength) + hn, 0, 1);
+    }
+  }
+
+  return { temperature, humidity, precipitation, seasonalRange, seasons, wind, placement, width, height };
+}
+
+/**
+ * Fill in latitude placement defaults and validate.
+ *
+ * The island counts as placed when a latitude or band is given; otherwise it
+ * keeps the hemisphere-wide gradient.
+ *
+ * @returns {{ placed: boolean, latitude: number, hemisphere: string, band: string,
+ *   latitudeSpan: number, seasonalAmplitude: number }}
+ */
+function resolvePlacement(config, climateSeed) {
+  const { band, hemisphere = 'north', seasonalAmplitude = DEFAULT_SEASONAL_AMPLITUDE } = config || {};
+
+  if (band != null && !CLIMATE_BANDS[band]) {
+    throw new Error(`Unknown climate band: ${band}. Valid: ${Object.keys(CLIMATE_BANDS).join(', ')}`);
+  }
+  if (!HEMISPHERES.includes(hemisphere)) {
+    throw new Error(`Unknown hemisphere: ${hemisphere}. Valid: ${HEMISPHERES.join(', ')}`);
+  }
+  if (!(seasonalAmplitude >= 0 && seasonalAmplitude <= 1)) {
+    throw new Error(`Invalid seasonal amplitude: ${seasonalAmplitude}. Valid: 0 to 1`);
+  }
+
+  const placed = config?.latitude != null || band != null;
+  let latitude = config?.latitude;
+  if (latitude == null) {
+    if (band != null) {
+      const [min, max] = CLIMATE_BANDS[band];
+      latitude = lerp(min, max, seededRandom(deriveSeed(climateSeed, 'latitude'))());
+    } else {
+      latitude = LEGACY_LATITUDE;
+    }
+  }
+  if (!(latitude >= 0 && latitude <= 90)) {
+    throw new Error(`Invalid latitude: ${latitude}. Valid: 0 to 90`);
+  }
+
+  const latitudeSpan = config?.latitudeSpan ?? (placed ? DEFAULT_LATITUDE_SPAN : LEGACY_LATITUDE_SPAN);
+  if (!(latitudeSpan >= 0 && latitudeSpan <= 180)) {
+    throw new Error(`Invalid latitude span: ${latitudeSpan}. Valid: 0 to 180`);
+  }
+
+  return {
+    placed,
+    latitude,
+    hemisphere,
+    band: band ?? bandForLatitude(latitude),
+    latitudeSpan,
+    seasonalAmplitude,
+  };
+}
+
+/** Climate band containing an absolute latitude */
+function bandForLatitude(latitude) {
+  for (const [band, [, max]] of Object.entries(CLIMATE_BANDS)) {
+    if (latitude <= max) return band;
+  }
+  return 'polar';
+}
+
+/**
+ * Fill in wind defaults and validate.
+ *
+ * Placed islands default to their band's prevailing wind (with seed jitter);
+ * unplaced islands get a fully seed-randomized direction.
+ *
+ * @returns {{ direction: number, strength: number }}
+ */
+function resolveWind(wind, placement, climateSeed) {
+  let direction = wind?.direction;
+  if (direction == null) {
+    const rng = seededRandom(deriveSeed(climateSeed, 'wind'));
+    if (placement.placed) {
+      const north = PREVAILING_WIND[placement.band];
+      // Mirror across the equator: negate the Z component
+      const base = placement.hemisphere === 'north' ? north : -north;
+      direction = base + (rng() * 2 - 1) * WIND_JITTER;
+    } else {
+      direction = rng() * Math.PI * 2;
+    }
+  }
+  const strength = wind?.strength ?? DEFAULT_WIND_STRENGTH;
+
+  if (!Number.isFinite(direction)) {
+    throw new Error(`Invalid wind direction: ${direction}`);
+  }
+  if (!(strength >= 0 && strength <= 1)) {
+    throw new Error(`Invalid wind strength: ${strength}. Valid: 0 to 1`);
+  }
+  return { direction, strength };
+}
+
+/**
+ * Carry moisture across the grid along the wind (first-order upwind scheme).
+ *
+ * Cells are visited so that both upwind neighbours (one along X, one along
+ * Z) are already done; incoming moisture is their average weighted by the
+ * wind components. Air enters the map saturated, recharges over open water
+ * and rains out over land, much faster where it is forced uphill.
+ *
+ * @returns {{ moisture: Float32Array, precipitation: Float32Array }}
+ *   moisture: carried vapour in [0, 1]; precipitation: rain per unit distance
+ */
+function advectMoisture(elevation, seaLevel, direction) {
+  const { width, height, data, bounds } = elevation;
+  const moisture = new Float32Array(width * height);
+  const precipitation = new Float32Array(width * height);
+
+  const wx = Math.cos(direction);
+  const wz = Math.sin(direction);
+  const ax = Math.abs(wx);
+  const az = Math.abs(wz);
+  const stepX = wx >= 0 ? 1 : -1;
+  const stepZ = wz >= 0 ? 1 : -1;
+
+  // Distance travelled per cell along the wind
+  const cellW = (bounds.maxX - bounds.minX) / width;
+  const cellH = (bounds.maxZ - bounds.minZ) / height;
+  const stepLen = 1 / (ax / cellW + az / cellH);
+
+  const rowStart = stepZ > 0 ? 0 : height - 1;
+  const colStart = stepX > 0 ? 0 : width - 1;
+
+  for (let i = 0; i < height; i++) {
+    const row = rowStart + i * stepZ;
+    const upRow = row - stepZ;
+
+    for (let j = 0; j < width; j++) {
+      const col = colStart + j * stepX;
+      const upCol = col - stepX;
+      const idx = row * width + col;
+
+      // Upwind moisture and elevation (off-map air is saturated sea air)
+      let inMoisture = 0, inElev = 0;
+      if (ax > 0) {
+        const inside = upCol >= 0 && upCol < width;
+        inMoisture += ax * (inside ? moisture[row * width + upCol] : 1);
+        inElev += ax * (inside ? data[row * width + upCol] : data[idx]);
+      }
+      if (az > 0) {
+        const inside = upRow >= 0 && upRow < height;
+        inMoisture += az * (inside ? moisture[upRow * width + col] : 1);
+        inElev += az * (inside ? data[upRow * width + col] : data[idx]);
+      }
+      inMoisture /= ax + az;
+      inElev /= ax + az;
+
+      const elev = data[idx];
+      if (elev < seaLevel) {
+        moisture[idx] = Math.min(1, inMoisture + OCEAN_RECHARGE * stepLen);
+        continue;
+      }
+
+      const uplift = Math.max(0, elev - Math.max(inElev, seaLevel)) / stepLen;
+      const rate = BASE_RAIN_RATE + OROGRAPHIC_RATE * uplift;
+      const rain = inMoisture * (1 - Math.exp(-rate * stepLen));
+
+      moisture[idx] = inMoisture - rain;
+      precipitation[idx] = rain / stepLen;
     }
   }
 
-  return { temperature, humidity, width, height };
+  return { moisture, precipitation };
 }
@@ -1,7 +1,8 @@
 /**
  * Stage 3: Elevation grid generation
  *
- * Builds a Float32Array elevation grid from spines + noise + island falloff.
+ * Builds a Float32Array elevation grid from spines (and template blobs)
+ * + noise + island falloff, minus an optional volcanic crater bowl.
  * Elevation extends below sea level for underwater terrain.
  */
 
@@ -9,6 +10,11 @@ import { deriveSeed } from '../../core/seeds.js';
 import { createFBmNoise, unipolar } from '../../core/noise.js';
 import { createDomainWarp } from '../../core/warp.js';
 import { smoothstep, pointToSegmentDistance, lerp } from '../../core/math.js';
+import { evaluateBlobInfluence } from '../../terrain/blob.js';
+import { getArchetypeFalloff } from '../archetypes/index.js';
+
+/** Terrain noise kept over a volcanic crater and its rim */
+const CRATER_NOISE = 0.2;
 
 /**
  * Generate elevation grid
@@ -24,7 +30,8 @@ export function generateElevation(params, spines, seed, resolution = 512) {
   const foothillRadiusMul = elevationConfig?.foothillRadius ?? 3;
   const foothillHeightOffset = elevationConfig?.foothillHeight ?? 0.08;
   const terraceStrength = elevationConfig?.terraceStrength ?? 1.0;
-  const { vertices, segments, islands } = spines;
+  const { vertices, segments, islands, blobs, crater } = spines;
+  const customFalloff = getArchetypeFalloff(params.archetype);
 
   // Grid covers [-1, 1] in both axes
   const bounds = { minX: -1, maxX: 1, minZ: -1, maxZ: 1 };
@@ -69,7 +76,11 @@ export function generateElevation(params, spines, seed, resolution = 512) {
       // 1. Island falloff
       let falloff, deepOceanFalloff;
 
-      if (islands) {
+      if (customFalloff) {
+        // Registered archetype supplies its own island mask
+        falloff = customFalloff(worldX, worldZ, params);
+        deepOceanFalloff = 1;
+      } else if (islands) {
         // Scattered: compute falloff as max across all sub-islands
         falloff = 0;
         deepOceanFalloff = 0;
@@ -134,8 +145,27 @@ export function generateElevation(params, spines, seed, resolution = 512) {
         }
       }
 
+      // Template blobs use their own profile shapes, combined by the same max
+      if (blobs) {
+        for (const blob of blobs) {
+          const contrib = evaluateBlobInfluence(blob, wx, wz);
+          if (contrib && contrib.elevation > spineBias) spineBias = contrib.elevation;
+        }
+      }
+
+      // Crater: inverted cone, deepest at the vent and zero at the rim.
+      // Noise is damped over the crater so it can't breach the rim.
+      let noiseScale = 1;
+      if (crater) {
+        const dx = wx - crater.x;
+        const dz = wz - crater.z;
+        const t = Math.sqrt(dx * dx + dz * dz) / crater.radius;
+        if (t < 1) spineBias -= crater.depth * (1 - t);
+        noiseScale = lerp(CRATER_NOISE, 1, smoothstep(1, 1.5, t));
+      }
+
       // 3. Terrain noise (single-octave, no detail noise)
-      const noiseVal = terrainNoise(wx, wz) * noiseConfig.amplitude;
+      const noiseVal = terrainNoise(wx, wz) * noiseConfig.amplitude * noiseScale;
 
       // 4. Combine
       // Base elevation: spine bias provides the mountain structure
@@ -0,0 +1,306 @@
+/**
+ * Stage 3b: Erosion (optional)
+ *
+ * Weathers the raw elevation grid before hydrology traces rivers over it:
+ * - Hydraulic erosion: rain droplets run downhill, picking up sediment where
+ *   they speed up and dropping it where they slow down or reach the sea
+ *   (alluvial fans at slope breaks, fans of silt at river mouths)
+ * - Thermal erosion: ground steeper than the talus slope slumps onto its
+ *   lower neighbours (scree aprons below cliffs)
+ *
+ * Each iteration rains droplets over the land and then runs a few thermal
+ * sweeps. The stage returns a new elevation grid (the input is never
+ * modified) plus per-cell maps of the net change: eroded depth, and the
+ * deposited height split into hydraulic sediment and thermal scree.
+ */
+
+import { seededRandom, deriveSeed } from '../../core/seeds.js';
+
+/** Default erosion config */
+const DEFAULTS = {
+  iterations: 2,
+  rain: 0.5,
+  strength: 1,
+  talusSlope: 6,
+};
+
+// Droplet model (grid heights 0..1; values tuned at 256-512 resolution)
+const INERTIA = 0.05;
+const CAPACITY = 0.5;
+const MIN_CAPACITY = 0.001;
+const ERODE_SPEED = 0.3;
+const DEPOSIT_SPEED = 0.3;
+const EVAPORATE_SPEED = 0.01;
+const GRAVITY = 4;
+const MAX_LIFETIME = 30;
+
+/** Erosion brush radius in cells at 512 resolution (scaled with the grid) */
+const BRUSH_RADIUS = 3;
+
+/** Thermal sweeps per iteration, and the share of excess height moved per sweep */
+const THERMAL_SWEEPS = 4;
+const THERMAL_RATE = 0.5;
+
+const D8_DR = [-1, -1, -1, 0, 0, 1, 1, 1];
+const D8_DC = [-1, 0, 1, -1, 1, -1, 0, 1];
+
+/**
+ * Run hydraulic and thermal erosion over the elevation grid
+ *
+ * @param {Object} params - World parameters
+ * @param {{ width: number, height: number, data: Float32Array, bounds: Object }} elevation
+ * @param {number} seed - World seed
+ * @param {Object|boolean|null} [config] - Erosion config; null/false skips the stage,
+ *   true runs it with the defaults
+ * @param {number} [config.iterations=2] - Rain-and-slump passes
+ * @param {number} [config.rain=0.5] - Droplets per land cell per iteration
+ * @param {number} [config.strength=1] - Scales how much sediment water can carry and cut
+ * @param {number} [config.talusSlope=6] - Steepest stable slope (elevation per
+ *   normalized unit) before thermal slumping; 0 disables thermal erosion
+ * @returns {{ elevation: Object, enabled: boolean, width: number, height: number,
+ *   sediment: Float32Array|null, scree: Float32Array|null, eroded: Float32Array|null,
+ *   droplets: number }} elevation is the input grid when the stage is skipped
+ */
+export function generateErosion(params, elevation, seed, config) {
+  const { width, height, bounds } = elevation;
+
+  if (!config) {
+    return {
+      elevation, enabled: false, width, height,
+      sediment: null, scree: null, eroded: null, droplets: 0,
+    };
+  }
+
+  const opts = { ...DEFAULTS, ...(config === true ? {} : config) };
+  const { iterations, rain, strength, talusSlope } = opts;
+  if (!Number.isInteger(iterations) || iterations < 0) {
+    throw new Error(`Invalid erosion iterations: ${iterations}`);
+  }
+  if (!(rain >= 0) || !(strength >= 0) || !(talusSlope >= 0)) {
+    throw new Error('Erosion rain, strength and talusSlope must be >= 0');
+  }
+
+  const { seaLevel } = params;
+  const count = width * height;
+  const source = elevation.data;
+  const map = Float32Array.from(source);
+  const hydraulicDeposit = new Float32Array(count);
+  const thermalDeposit = new Float32Array(count);
+
+  const rng = seededRandom(deriveSeed(seed, 'erosion'));
+  const brush = buildBrush(Math.max(1, Math.round(BRUSH_RADIUS * width / 512)));
+  const cellW = (bounds.maxX - bounds.minX) / width;
+  const talus = talusSlope * cellW;
+
+  // Droplets spawn on land cells (leaving room for the bilinear lookup)
+  const landCells = [];
+  for (let r = 0; r < height - 1; r++) {
+    for (let c = 0; c < width - 1; c++) {
+      if (source[r * width + c] >= seaLevel) landCells.push(r * width + c);
+    }
+  }
+  const dropletsPerIteration = landCells.length > 0 ? Math.round(landCells.length * rain) : 0;
+
+  let droplets = 0;
+  for (let iter = 0; iter < iterations; iter++) {
+    for (let d = 0; d < dropletsPerIteration; d++) {
+      const cell = landCells[Math.floor(rng() * landCells.length)];
+      const x = cell % width + rng();
+      const y = Math.floor(cell / width) + rng();
+      simulateDroplet(map, width, height, seaLevel, strength, brush, hydraulicDeposit, x, y);
+    }
+    droplets += dropletsPerIteration;
+    if (talus > 0) {
+      for (let s = 0; s < THERMAL_SWEEPS; s++) {
+        thermalSweep(map, width, height, seaLevel, talus, thermalDeposit);
+      }
+    }
+  }
+
+  // Net change per cell; deposits split by which process laid them down
+  const sediment = new Float32Array(count);
+  const scree = new Float32Array(count);
+  const eroded = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    const delta = map[i] - source[i];
+    if (delta < 0) {
+      eroded[i] = -delta;
+    } else if (delta > 0) {
+      const total = hydraulicDeposit[i] + thermalDeposit[i];
+      const hydraulicShare = total > 0 ? hydraulicDeposit[i] / total : 1;
+      sediment[i] = delta * hydraulicShare;
+      scree[i] = delta - sediment[i];
+    }
+  }
+
+  console.log(`[erosion] ${droplets} droplets over ${iterations} iterations`);
+
+  return {
+    elevation: { ...elevation, data: map },
+    enabled: true, width, height, sediment, scree, eroded, droplets,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Hydraulic erosion
+// ---------------------------------------------------------------------------
+
+/**
+ * Erosion brush: cell offsets within radius, weights falling off linearly
+ * and summing to 1.
+ */
+function buildBrush(radius) {
+  const offsets = [];
+  const weights = [];
+  let total = 0;
+  for (let dr = -radius; dr <= radius; dr++) {
+    for (let dc = -radius; dc <= radius; dc++) {
+      const d = Math.sqrt(dr * dr + dc * dc);
+      if (d > radius) continue;
+      const w = 1 - d / (radius + 1);
+      offsets.push([dr, dc]);
+      weights.push(w);
+      total += w;
+    }
+  }
+  return { offsets, weights: weights.map(w => w / total) };
+}
+
+/** Bilinear height and gradient at a fractional grid position */
+function heightAndGradient(map, width, x, y) {
+  const c = Math.floor(x);
+  const r = Math.floor(y);
+  const u = x - c;
+  const v = y - r;
+  const i = r * width + c;
+  const nw = map[i], ne = map[i + 1], sw = map[i + width], se = map[i + width + 1];
+  return {
+    h: nw * (1 - u) * (1 - v) + ne * u * (1 - v) + sw * (1 - u) * v + se * u * v,
+    gx: (ne - nw) * (1 - v) + (se - sw) * v,
+    gy: (sw - nw) * (1 - u) + (se - ne) * u,
+  };
+}
+
+/** Spread a deposit over the four cells around a fractional position */
+function depositAt(map, deposits, width, x, y, amount) {
+  const c = Math.floor(x);
+  const r = Math.floor(y);
+  const u = x - c;
+  const v = y - r;
+  const i = r * width + c;
+  const parts = [[i, (1 - u) * (1 - v)], [i + 1, u * (1 - v)], [i + width, (1 - u) * v], [i + width + 1, u * v]];
+  for (const [idx, w] of parts) {
+    map[idx] += amount * w;
+    deposits[idx] += amount * w;
+  }
+}
+
+/**
+ * Run one droplet from (x, y) in grid cells until it evaporates, stalls,
+ * leaves the grid or reaches the sea.
+ */
+function simulateDroplet(map, width, height, seaLevel, strength, brush, deposits, x, y) {
+  let dirX = 0, dirY = 0;
+  let speed = 1, water = 1, sediment = 0;
+
+  for (let step = 0; step < MAX_LIFETIME; step++) {
+    const here = heightAndGradient(map, width, x, y);
+
+    dirX = dirX * INERTIA - here.gx * (1 - INERTIA);
+    dirY = dirY * INERTIA - here.gy * (1 - INERTIA);
+    const len = Math.sqrt(dirX * dirX + dirY * dirY);
+    if (len === 0) break;
+    dirX /= len;
+    dirY /= len;
+
+    const nx = x + dirX;
+    const ny = y + dirY;
+    if (nx < 0 || nx >= width - 1 || ny < 0 || ny >= height - 1) break;
+
+    const newHeight = heightAndGradient(map, width, nx, ny).h;
+    const deltaHeight = newHeight - here.h;
+
+    // Reaching the sea drops the whole load at the shore
+    if (newHeight < seaLevel) {
+      depositAt(map, deposits, width, x, y, sediment);
+      break;
+    }
+
+    const capacity = Math.max(-deltaHeight * speed * water * CAPACITY * strength, MIN_CAPACITY);
+
+    if (sediment > capacity || deltaHeight > 0) {
+      // Uphill: fill the pit up to the new height; otherwise drop the excess
+      const amount = deltaHeight > 0
+        ? Math.min(deltaHeight, sediment)
+        : (sediment - capacity) * DEPOSIT_SPEED;
+      sediment -= amount;
+      depositAt(map, deposits, width, x, y, amount);
+    } else {
+      // Never cut deeper than the drop ahead, or the droplet digs a pit
+      const amount = Math.min((capacity - sediment) * Math.min(1, ERODE_SPEED * strength), -deltaHeight);
+      const c = Math.floor(x);
+      const r = Math.floor(y);
+      for (let b = 0; b < brush.offsets.length; b++) {
+        const br = r + brush.offsets[b][0];
+        const bc = c + brush.offsets[b][1];
+        if (br < 0 || br >= height || bc < 0 || bc >= width) continue;
+        const idx = br * width + bc;
+        const cut = Math.min(map[idx], amount * brush.weights[b]);
+        map[idx] -= cut;
+        sediment += cut;
+      }
+    }
+
+    speed = Math.sqrt(Math.max(0, speed * speed - deltaHeight * GRAVITY));
+    water *= 1 - EVAPORATE_SPEED;
+    x = nx;
+    y = ny;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Thermal erosion
+// ---------------------------------------------------------------------------
+
+/**
+ * One thermal relaxation sweep: each land cell steeper than the talus slope
+ * towards any neighbour sheds part of the excess onto its lower neighbours,
+ * in proportion to how far each one lies below the limit. Moves are
+ * collected first so the sweep does not depend on cell order.
+ */
+function thermalSweep(map, width, height, seaLevel, talus, deposits) {
+  const delta = new Float32Array(width * height);
+  const excess = new Float32Array(8);
+
+  for (let r = 1; r < height - 1; r++) {
+    for (let c = 1; c < width - 1; c++) {
+      const idx = r * width + c;
+      const h = map[idx];
+      if (h < seaLevel) continue;
+
+      let total = 0;
+      let maxExcess = 0;
+      for (let d = 0; d < 8; d++) {
+        const limit = d === 0 || d === 2 || d === 5 || d === 7 ? talus * Math.SQRT2 : talus;
+        const e = h - map[(r + D8_DR[d]) * width + c + D8_DC[d]] - limit;
+        excess[d] = e > 0 ? e : 0;
+        total += excess[d];
+        if (excess[d] > maxExcess) maxExcess = excess[d];
+      }
+      if (total === 0) continue;
+
+      const moved = maxExcess * THERMAL_RATE * 0.5;
+      delta[idx] -= moved;
+      for (let d = 0; d < 8; d++) {
+        if (excess[d] === 0) continue;
+        delta[(r + D8_DR[d]) * width + c + D8_DC[d]] += moved * excess[d] / total;
+      }
+    }
+  }
+
+  for (let i = 0; i < delta.length; i++) {
+    if (delta[i] === 0) continue;
+    map[i] += delta[i];
+    if (delta[i] > 0) deposits[i] += delta[i];
+  }
+}
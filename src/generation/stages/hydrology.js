@@ -1,10 +1,23 @@
 /**
  * Stage 4: Hydrology
  *
- * Rivers start near spine vertices and trace downhill via gradient descent.
- * When a river hits a local minimum (bowl), we flood-fill to find the spill
- * point and continue from there.  Small depressions (noise) are hopped over
- * silently; large depressions become lakes.
+ * Rivers start near spine vertices and at springs where the groundwater
+ * table meets the surface (hydrology/groundwater.js), and trace downhill via
+ * gradient descent. When a river hits a local minimum (bowl), we flood-fill
+ * to find the spill point and continue from there.  Small depressions
+ * (noise) are hopped over silently; large depressions become lakes. A
+ * volcanic crater is filled as a crater lake.
+ *
+ * Rivers are traced one after another, and a river that touches one traced
+ * before it ends there at a confluence. The result is a set of tributary
+ * trees: flow and width accumulate downstream of each confluence, and every
+ * reach between confluences gets a Strahler stream order.
+ *
+ * Where main rivers reach the sea, the coast is reshaped into deltas,
+ * estuaries and wetlands (hydrology/mouths.js). Steep reaches become
+ * waterfalls and rapids, with plunge pools carved below the waterfalls
+ * (hydrology/waterfalls.js). The stage returns the adjusted elevation grid
+ * for every later stage.
  */
 
 import { deriveSeed, seededRandom } from '../../core/seeds.js';
@@ -12,6 +25,11 @@ import { createSimplexNoise } from '../../core/noise.js';
 import { clamp, pointToSegmentDistance } from '../../core/math.js';
 import { extractContours, simplifyPolyline } from '../../geometry/contour.js';
 import { bakeInfluenceField } from '../../geometry/influence.js';
+import { generateRiverMouths } from '../hydrology/mouths.js';
+import { resolveWaterfallConfig, detectWaterfalls, carvePlungePools } from '../hydrology/waterfalls.js';
+import {
+  resolveGroundwaterConfig, computeGroundwater, pickSpringSources, rechargeGroundwater,
+} from '../hydrology/groundwater.js';
 
 // ---------------------------------------------------------------------------
 // D8 neighbor offsets: N, NE, E, SE, S, SW, W, NW
@@ -25,6 +43,12 @@ const D8_DR = [-1, -1, 0, 1, 1, 1, 0, -1];
 // ---------------------------------------------------------------------------
 
 const BASE_RIVER_WIDTH = 0.006;
+
+/** Flow (cells of river upstream) at which a river reaches full width */
+const FULL_WIDTH_FLOW = 300;
+
+/** Cap on flow / FULL_WIDTH_FLOW, so merged trunks widen but stay bounded */
+const MAX_FLOW_RATIO = 3;
 const MEANDER_AMPLITUDE = 0.006;
 const MEANDER_FREQUENCY = 15;
 
@@ -83,8 +107,40 @@ class MinHeap {
  * @param {Object} elevation – { width, height, data: Float32Array, bounds }
  * @param {number} seed
  * @param {Object} [spines]  – { vertices, segments }
+ * @param {Object} [config]  – Waterfall detection
+ * @param {number} [config.waterfallGradient=8] – Gradient (elevation per normalized
+ *   unit) above which a reach is a waterfall
+ * @param {number} [config.rapidsGradient=4] – Gradient above which a reach is rapids
+ * @param {number} [config.minWaterfallDrop=0.02] – Smallest drop for a waterfall;
+ *   steeper but shorter falls count as rapids
+ * @param {number} [config.plungePoolDepth=0.008] – Depth of the pool carved below
+ *   each waterfall (0 = none)
+ * @param {number} [config.maxGroundwaterDepth=0.04] – Water table depth under dry ridges
+ * @param {number} [config.springRivers=3] – Most springs that start a river
+ * @param {Array} [config.sources] – Authored river sources { x, z, enabled? } in world
+ *   coordinates; each one on land starts a river ('enabled: false' skips it)
+ * @param {Array} [config.lakes] – Authored lakes { id, x, z, waterLevel?, area?, boundary? },
+ *   added to the result with origin 'manual'
+ * @param {Object} [climate] – { humidity } from the climate stage (feeds the water table)
+ * @returns {{ elevation: Object, rivers: Array, lakes: Array, mouths: Array, wetlands: Array,
+ *   waterfalls: Array, rapids: Array, springs: Array, groundwaterDepth: Float32Array,
+ *   mouthMap: Uint8Array, wetlandMap: Uint16Array, riverSDF: Float32Array,
+ *   lakeSDF: Float32Array, riverInfluence: Uint8Array|null, width: number, height: number }}
+ *   elevation is a new grid with the river mouths shaped in (the input is not
+ *   modified); mouths, wetlands and their maps are described in hydrology/mouths.js,
+ *   waterfalls and rapids in hydrology/waterfalls.js, springs and the water
+ *   table depth grid in hydrology/groundwater.js.
+ *   Each river is { id, vertices, termination, terminatingLakeId, parentId, springId,
+ *   childIds, confluence, order, segments }: termination is 'coast' | 'edge' | 'basin' |
+ *   'confluence'; springId names the spring a river rises from (null for spine
+ *   sources); parentId / childIds link the tributary tree; confluence is
+ *   { x, z, vertexIndex } on the parent (null for main rivers); order is the
+ *   Strahler order at the mouth; segments are [{ start, end, order }] vertex
+ *   ranges between confluences. Vertices are { x, z, elevation, flow, width, order }.
  */
-export function generateHydrology(params, elevation, seed, spines) {
+export function generateHydrology(params, elevation, seed, spines, config, climate) {
+  const waterfallConfig = resolveWaterfallConfig(config);
+  const groundwaterConfig = resolveGroundwaterConfig(config);
   const { width, height, data, bounds } = elevation;
   const { seaLevel } = params;
   const hydroSeed = deriveSeed(seed, 'hydrology');
@@ -93,24 +149,42 @@ export function generateHydrology(params, elevation, seed, spines) {
   const rng = seededRandom(deriveSeed(hydroSeed, 'sources'));
   const meanderNoise = createSimplexNoise(deriveSeed(hydroSeed, 'meander'));
 
-  // 1. Pick sources near spine vertices / segments
-  const sources = pickSpineSources(
-    spines, data, width, height, bounds, cellW, cellH, seaLevel, rng
+  // 1. Pick sources near spine vertices / segments, plus any authored ones
+  const sources = [
+    ...pickSpineSources(spines, data, width, height, bounds, cellW, cellH, seaLevel, rng),
+    ...pickAuthoredSources(config?.sources, data, width, height, bounds, cellW, cellH, seaLevel),
+  ];
+
+  // 1b. Water table from drainage and humidity; springs where it surfaces
+  const { depth: groundwaterDepth, springs } = computeGroundwater(
+    data, elevation, seaLevel, climate?.humidity ?? null, groundwaterConfig
   );
 
-  // 2. Trace each river downhill, hopping over depressions
-  const rivers = [];
+  // 2. Trace each river downhill, hopping over depressions. Cells on a traced
+  //    river are claimed so later rivers join it instead of running alongside.
+  const network = {
+    traced: [],
+    riverAt: new Int32Array(width * height).fill(-1),
+    vertexAt: new Int32Array(width * height),
+  };
   const lakes = [];
   const depressionStats = { count: 0, maxCells: 0, maxDepth: 0 };
 
-  for (let i = 0; i < sources.length; i++) {
+  const traceSource = (source, riverId) => {
     const { river, newLakes, stats } = traceRiver(
       data, width, height, bounds, cellW, cellH,
-      sources[i].col, sources[i].row,
-      seaLevel, meanderNoise, `river_${i}`
+      source.col, source.row,
+      seaLevel, meanderNoise, riverId, network
     );
-    if (river && river.vertices.length >= 2) {
-      rivers.push(river);
+    if (river) {
+      const index = network.traced.length;
+      river.cells.forEach((ci, k) => {
+        if (ci >= 0 && network.riverAt[ci] < 0) {
+          network.riverAt[ci] = index;
+          network.vertexAt[ci] = k;
+        }
+      });
+      network.traced.push(river);
     }
     for (const lk of newLakes) lakes.push(lk);
     if (stats) {
@@ -118,9 +192,30 @@ export function generateHydrology(params, elevation, seed, spines) {
       if (stats.maxCells > depressionStats.maxCells) depressionStats.maxCells = stats.maxCells;
       if (stats.maxDepth > depressionStats.maxDepth) depressionStats.maxDepth = stats.maxDepth;
     }
+    return river;
+  };
+
+  for (let i = 0; i < sources.length; i++) {
+    traceSource(sources[i], `river_${i}`);
   }
 
-  console.log(`[hydrology] ${sources.length} sources → ${rivers.length} rivers (${rivers.filter(r => r.termination === 'coast').length} reach coast), ${lakes.length} river lakes`);
+  // 2a. Springs clear of the spine rivers start rivers of their own
+  const springSources = pickSpringSources(
+    springs, network.riverAt, width, height, groundwaterConfig.springRivers
+  );
+  springSources.forEach((spring, i) => {
+    const river = traceSource(spring, `river_${sources.length + i}`);
+    if (river) {
+      river.springId = spring.id;
+      spring.riverId = river.id;
+    }
+  });
+
+  const rivers = buildRiverNetwork(network.traced, cellW);
+  const mainRivers = rivers.filter(r => !r.parentId);
+  const maxOrder = rivers.reduce((m, r) => Math.max(m, r.order), 0);
+
+  console.log(`[hydrology] ${sources.length} sources → ${rivers.length} rivers (${mainRivers.length} main, ${rivers.length - mainRivers.length} tributaries, max order ${maxOrder}; ${mainRivers.filter(r => r.termination === 'coast').length} reach coast), ${lakes.length} river lakes`);
 
   // 2b. Place lakes explicitly at suitable flat locations
   const lakeRng = seededRandom(deriveSeed(hydroSeed, 'lakes'));
@@ -129,18 +224,61 @@ export function generateHydrology(params, elevation, seed, spines) {
   );
   for (const lk of placedLakes) lakes.push(lk);
 
+  for (const lk of buildAuthoredLakes(config?.lakes, data, width, height, bounds, cellW, cellH)) {
+    lakes.push(lk);
+  }
+
   console.log(`[hydrology] ${placedLakes.length} placed lakes (total: ${lakes.length})`);
 
+  // 2c. Volcanic crater lake: a river may already have filled the crater
+  if (spines?.crater) {
+    const { crater } = spines;
+    let craterLake = lakes.find(lk => Math.hypot(lk.x - crater.x, lk.z - crater.z) < crater.radius);
+    if (!craterLake) {
+      craterLake = fillCraterLake(data, width, height, bounds, cellW, cellH, seaLevel, crater);
+      if (craterLake) lakes.push(craterLake);
+    }
+    if (craterLake) {
+      craterLake.crater = true;
+      console.log(`[hydrology] crater lake at ${craterLake.waterLevel.toFixed(3)}`);
+    }
+  }
+
+  // 2d. Deltas, estuaries and wetlands reshape the coast on a copy of the grid
+  const ground = Float32Array.from(data);
+  const { mouths, wetlands, mouthMap, wetlandMap } = generateRiverMouths(
+    rivers, ground, elevation, seaLevel, hydroSeed, riverWidth
+  );
+  if (mouths.length > 0) {
+    console.log(`[hydrology] ${mouths.filter(m => m.type === 'delta').length} deltas, ${mouths.filter(m => m.type === 'estuary').length} estuaries, ${wetlands.length} wetlands`);
+  }
+
+  // 2e. Waterfalls and rapids on steep reaches; plunge pools below the falls
+  const { waterfalls, rapids } = detectWaterfalls(network.traced, rivers, seaLevel, width, waterfallConfig);
+  if (waterfallConfig.plungePoolDepth > 0) {
+    carvePlungePools(waterfalls, ground, elevation, waterfallConfig.plungePoolDepth);
+  }
+  if (waterfalls.length + rapids.length > 0) {
+    console.log(`[hydrology] ${waterfalls.length} waterfalls, ${rapids.length} rapids`);
+  }
+
+  // Distributaries count as river channels for the water fields
+  const channels = [...rivers, ...mouths.flatMap(m => m.distributaries.map(vertices => ({ vertices })))];
+
   // 3. SDFs (kept for backward compatibility)
-  const riverSDF = computeRiverSDF(rivers, width, height, bounds, cellW);
-  const lakeSDF = computeLakeSDF(lakes, data, width, height, bounds, cellW, seaLevel);
+  const riverSDF = computeRiverSDF(channels, width, height, bounds, cellW);
+  const lakeSDF = computeLakeSDF(lakes, ground, width, height, bounds, cellW, seaLevel);
+
+  // 3b. Rivers, lakes and the sea hold the water table up to their surface
+  rechargeGroundwater(groundwaterDepth, ground, seaLevel, riverSDF, lakeSDF);
+  console.log(`[hydrology] ${springs.length} springs (${springs.filter(s => s.riverId).length} start rivers)`);
 
   // 4. Influence fields — smooth falloff replacements for SDFs
   let riverInfluence = null;
   if (rivers.length > 0) {
-    const riverPolylines = rivers.map(r => r.vertices);
+    const riverPolylines = channels.map(r => r.vertices);
     let maxWidth = 0;
-    for (const r of rivers) {
+    for (const r of channels) {
       for (const v of r.vertices) {
         if (v.width > maxWidth) maxWidth = v.width;
       }
@@ -154,7 +292,11 @@ export function generateHydrology(params, elevation, seed, spines) {
     });
   }
 
-  return { rivers, lakes, riverSDF, lakeSDF, riverInfluence, width, height };
+  return {
+    elevation: { ...elevation, data: ground },
+    rivers, lakes, mouths, wetlands, waterfalls, rapids, springs, groundwaterDepth,
+    mouthMap, wetlandMap, riverSDF, lakeSDF, riverInfluence, width, height,
+  };
 }
 
 // ---------------------------------------------------------------------------
@@ -162,7 +304,9 @@ export function generateHydrology(params, elevation, seed, spines) {
 // ---------------------------------------------------------------------------
 
 function pickSpineSources(spines, data, width, height, bounds, cellW, cellH, seaLevel, rng) {
-  if (!spines?.vertices?.length) return [];
+  // Template blobs act as extra peaks (they share the x/z/elevation fields)
+  const peaks = [...(spines?.vertices || []), ...(spines?.blobs || [])];
+  if (!peaks.length) return [];
 
   const sources = [];
   const MIN_SPACING_SQ = 25 * 25;
@@ -180,7 +324,7 @@ function pickSpineSources(spines, data, width, height, bounds, cellW, cellH, sea
   };
 
   // From each high-elevation vertex, place a source offset downhill
-  for (const v of spines.vertices) {
+  for (const v of peaks) {
     if (v.elevation < 0.18) continue;
 
     const vc = Math.floor((v.x - bounds.minX) / cellW);
@@ -239,19 +383,51 @@ function pickSpineSources(spines, data, width, height, bounds, cellW, cellH, sea
   return sources;
 }
 
+/**
+ * Grid sources for authored water sources (world coordinates). Sources off
+ * the grid interior, in the sea or disabled are skipped.
+ */
+function pickAuthoredSources(authored, data, width, height, bounds, cellW, cellH, seaLevel) {
+  if (authored == null) return [];
+  if (!Array.isArray(authored)) {
+    throw new Error('Hydrology sources must be an array of { x, z }');
+  }
+
+  const sources = [];
+  for (const source of authored) {
+    if (source.enabled === false) continue;
+    const col = Math.floor((source.x - bounds.minX) / cellW);
+    const row = Math.floor((source.z - bounds.minZ) / cellH);
+    if (col < 1 || col >= width - 1 || row < 1 || row >= height - 1) continue;
+    const elev = data[row * width + col];
+    if (elev <= seaLevel) continue;
+    sources.push({ col, row, elev });
+  }
+  return sources;
+}
+
 // ---------------------------------------------------------------------------
 // River tracing with depression hopping
 // ---------------------------------------------------------------------------
 
+/**
+ * Trace one river from its source. Stops at the coast, the grid edge, an
+ * inescapable basin, or on touching a river in `network` (a confluence).
+ * @returns {{ river: Object|null, newLakes: Array, stats: Object }} river holds the
+ *   unsimplified vertices, the grid cell of each (-1 for the confluence vertex,
+ *   which belongs to the parent) and the confluence { river, vertex } if any
+ */
 function traceRiver(
   data, width, height, bounds, cellW, cellH,
-  startCol, startRow, seaLevel, meanderNoise, riverId
+  startCol, startRow, seaLevel, meanderNoise, riverId, network
 ) {
   const rawVertices = [];
+  const cells = [];
   const newLakes = [];
   const depStats = { count: 0, maxCells: 0, maxDepth: 0 };
   let col = startCol, row = startRow;
   let termination = 'edge';
+  let confluence = null;
 
   const visited = new Set();
   const MAX_STEPS = 8000;
@@ -269,6 +445,19 @@ function traceRiver(
 
     const elev = data[idx];
 
+    // Touching an earlier river: flow into it at its nearest vertex
+    const join = findRiverContact(network, width, height, col, row);
+    if (join) {
+      if (rawVertices.length > 0) {
+        const target = network.traced[join.river].rawVertices[join.vertex];
+        rawVertices.push({ x: target.x, z: target.z, elevation: target.elevation, flow: step });
+        cells.push(-1);
+        termination = 'confluence';
+        confluence = join;
+      }
+      break;
+    }
+
     // World position + meander
     const wx = bounds.minX + (col + 0.5) * cellW;
     const wz = bounds.minZ + (row + 0.5) * cellH;
@@ -278,11 +467,9 @@ function traceRiver(
       mz += meanderNoise(wx * MEANDER_FREQUENCY + 97, wz * MEANDER_FREQUENCY + 97) * MEANDER_AMPLITUDE;
     }
 
-    // Width grows with distance from source
-    const t = Math.min(step / 300, 1);
-    const riverWidth = BASE_RIVER_WIDTH * (0.3 + Math.sqrt(t) * 1.7);
-
-    rawVertices.push({ x: mx, z: mz, elevation: elev, flow: step, width: riverWidth });
+    // Flow counts cells from the source; tributaries add theirs later
+    rawVertices.push({ x: mx, z: mz, elevation: elev, flow: step });
+    cells.push(idx);
 
     // Reached sea level → coast
     if (elev <= seaLevel) {
@@ -342,14 +529,134 @@ function traceRiver(
     return { river: null, newLakes, stats: depStats };
   }
 
-  // Enforce monotonically decreasing elevation before simplification
-  enforceMonotonicRaw(rawVertices, seaLevel);
+  // Enforce monotonically decreasing elevation before simplification; a
+  // tributary descends to its confluence rather than to the sea
+  const mouthElevation = confluence ? rawVertices[rawVertices.length - 1].elevation : seaLevel;
+  enforceMonotonicRaw(rawVertices, mouthElevation);
 
-  const vertices = simplifyRiverPath(rawVertices, cellW * 0.6);
-  const river = { id: riverId, vertices, termination, terminatingLakeId: null };
+  const river = { id: riverId, rawVertices, cells, termination, confluence };
   return { river, newLakes, stats: depStats };
 }
 
+/**
+ * River claiming (col, row) or one of its 8 neighbours, if any.
+ * @returns {{ river: number, vertex: number }|null} Index into network.traced
+ *   and raw vertex index on that river
+ */
+function findRiverContact(network, width, height, col, row) {
+  const { riverAt, vertexAt } = network;
+  const idx = row * width + col;
+  if (riverAt[idx] >= 0) return { river: riverAt[idx], vertex: vertexAt[idx] };
+  for (let d = 0; d < 8; d++) {
+    const nr = row + D8_DR[d], nc = col + D8_DC[d];
+    if (nr < 0 || nr >= height || nc < 0 || nc >= width) continue;
+    const ni = nr * width + nc;
+    if (riverAt[ni] >= 0) return { river: riverAt[ni], vertex: vertexAt[ni] };
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Tributary network
+// ---------------------------------------------------------------------------
+
+/**
+ * Link traced rivers into tributary trees: accumulate flow and width below
+ * each confluence, assign Strahler orders, and simplify each path while
+ * keeping its confluence vertices.
+ * @param {Array} traced - traceRiver results in trace order
+ * @param {number} cellW - Grid cell size (simplification tolerance)
+ * @returns {Array} Rivers in trace order
+ */
+function buildRiverNetwork(traced, cellW) {
+  const joins = traced.map(() => []);
+  traced.forEach((t, i) => {
+    if (t.confluence) joins[t.confluence.river].push({ child: i, rawIndex: t.confluence.vertex });
+  });
+  for (const list of joins) list.sort((a, b) => a.rawIndex - b.rawIndex);
+
+  // A tributary is always traced after the river it joins, so walking
+  // backwards finishes every tributary before its parent needs its mouth
+  const mouths = new Array(traced.length);
+  for (let i = traced.length - 1; i >= 0; i--) {
+    const raw = traced[i].rawVertices;
+    let inflow = 0;
+    let order = 1;
+    let j = 0;
+    for (let k = 0; k < raw.length; k++) {
+      const incoming = [order];
+      for (; j < joins[i].length && joins[i][j].rawIndex === k; j++) {
+        const mouth = mouths[joins[i][j].child];
+        inflow += mouth.flow;
+        incoming.push(mouth.order);
+      }
+      if (incoming.length > 1) order = strahlerOrder(incoming);
+      raw[k].flow += inflow;
+      raw[k].width = riverWidth(raw[k].flow);
+      raw[k].order = order;
+    }
+    mouths[i] = { flow: raw[raw.length - 1].flow, order };
+  }
+
+  const rivers = traced.map(t => ({
+    id: t.id,
+    vertices: null,
+    termination: t.termination,
+    terminatingLakeId: null,
+    parentId: t.confluence ? traced[t.confluence.river].id : null,
+    springId: t.springId ?? null,
+    childIds: [],
+    confluence: null,
+    order: 1,
+    segments: [],
+  }));
+
+  traced.forEach((t, i) => {
+    const river = rivers[i];
+    const raw = t.rawVertices;
+
+    // Simplify between confluences so every confluence keeps its vertex
+    const cuts = [...new Set(joins[i].map(jn => jn.rawIndex))];
+    const breaks = [0, ...cuts.filter(k => k > 0 && k < raw.length - 1), raw.length - 1];
+    const vertices = [];
+    const vertexIndex = new Map();  // raw index of a break → simplified index
+    for (let b = 0; b < breaks.length - 1; b++) {
+      const piece = simplifyRiverPath(raw.slice(breaks[b], breaks[b + 1] + 1), cellW * 0.6);
+      if (vertices.length > 0) piece.shift();  // first vertex ends the previous piece
+      vertexIndex.set(breaks[b], Math.max(vertices.length - 1, 0));
+      vertices.push(...piece);
+    }
+    vertexIndex.set(raw.length - 1, vertices.length - 1);
+
+    river.vertices = vertices;
+    river.order = raw[raw.length - 1].order;
+    for (let b = 0; b < breaks.length - 1; b++) {
+      const start = vertexIndex.get(breaks[b]);
+      river.segments.push({ start, end: vertexIndex.get(breaks[b + 1]), order: vertices[start].order });
+    }
+
+    for (const { child, rawIndex } of joins[i]) {
+      const v = vertices[vertexIndex.get(rawIndex)];
+      river.childIds.push(rivers[child].id);
+      rivers[child].confluence = { x: v.x, z: v.z, vertexIndex: vertexIndex.get(rawIndex) };
+    }
+  });
+
+  return rivers;
+}
+
+/** Strahler order below a confluence of streams with the given orders */
+function strahlerOrder(orders) {
+  const max = Math.max(...orders);
+  return orders.filter(o => o === max).length > 1 ? max + 1 : max;
+}
+
+/** River width for a given flow */
+function riverWidth(flow) {
+  const t = Math.min(flow / FULL_WIDTH_FLOW, MAX_FLOW_RATIO);
+  return BASE_RIVER_WIDTH * (0.3 + Math.sqrt(t) * 1.7);
+}
+
 // ---------------------------------------------------------------------------
 // Explicit lake placement
 //
@@ -485,6 +792,50 @@ function placeExplicitLakes(data, width, height, bounds, cellW, cellH, seaLevel,
   return lakes;
 }
 
+/**
+ * Lakes from authored lake records (legacy createManualLake shape). A
+ * missing water level sits at the terrain under the lake centre; a missing
+ * boundary is a circle of the lake's area.
+ */
+function buildAuthoredLakes(authored, data, width, height, bounds, cellW, cellH) {
+  if (authored == null) return [];
+  if (!Array.isArray(authored)) {
+    throw new Error('Hydrology lakes must be an array of { id, x, z }');
+  }
+
+  const BOUNDARY_POINTS = 36;
+  return authored.map(lake => {
+    const col = Math.min(width - 1, Math.max(0, Math.floor((lake.x - bounds.minX) / cellW)));
+    const row = Math.min(height - 1, Math.max(0, Math.floor((lake.z - bounds.minZ) / cellH)));
+    const waterLevel = lake.waterLevel ?? data[row * width + col];
+    const area = lake.area ?? 0.01;
+
+    let boundary = lake.boundary;
+    if (!boundary?.length) {
+      const radius = Math.sqrt(area / Math.PI);
+      boundary = [];
+      for (let j = 0; j < BOUNDARY_POINTS; j++) {
+        const theta = (j / BOUNDARY_POINTS) * Math.PI * 2;
+        boundary.push({ x: lake.x + Math.cos(theta) * radius, z: lake.z + Math.sin(theta) * radius });
+      }
+    }
+
+    return {
+      id: lake.id,
+      x: lake.x, z: lake.z,
+      waterLevel,
+      spillElevation: waterLevel,
+      spillPoint: null,
+      area,
+      boundary,
+      endorheic: true,
+      inflowRiverIds: [],
+      outflowRiverId: null,
+      origin: 'manual',
+    };
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Flood-fill a depression to find where water would spill out
 //
@@ -576,6 +927,41 @@ function findSpillPoint(data, width, height, bowlCol, bowlRow, seaLevel, visited
   };
 }
 
+// ---------------------------------------------------------------------------
+// Crater lake
+//
+// Flood-fills the crater from its lowest cell up to the rim spill point.
+// ---------------------------------------------------------------------------
+
+function fillCraterLake(data, width, height, bounds, cellW, cellH, seaLevel, crater) {
+  // Lowest land cell inside the crater
+  const c0 = Math.max(0, Math.floor((crater.x - crater.radius - bounds.minX) / cellW));
+  const c1 = Math.min(width - 1, Math.floor((crater.x + crater.radius - bounds.minX) / cellW));
+  const r0 = Math.max(0, Math.floor((crater.z - crater.radius - bounds.minZ) / cellH));
+  const r1 = Math.min(height - 1, Math.floor((crater.z + crater.radius - bounds.minZ) / cellH));
+  let bowlIdx = -1;
+  for (let row = r0; row <= r1; row++) {
+    for (let col = c0; col <= c1; col++) {
+      const x = bounds.minX + (col + 0.5) * cellW;
+      const z = bounds.minZ + (row + 0.5) * cellH;
+      if (Math.hypot(x - crater.x, z - crater.z) >= crater.radius) continue;
+      const idx = row * width + col;
+      if (data[idx] <= seaLevel) continue;
+      if (bowlIdx < 0 || data[idx] < data[bowlIdx]) bowlIdx = idx;
+    }
+  }
+  if (bowlIdx < 0) return null;
+
+  const fill = findSpillPoint(
+    data, width, height, bowlIdx % width, Math.floor(bowlIdx / width), seaLevel, new Set()
+  );
+  if (!fill || fill.filledCount < MIN_LAKE_CELLS || fill.waterLevel - fill.bowlElev < MIN_LAKE_DEPTH) {
+    return null;
+  }
+
+  return buildLake(data, width, height, bounds, cellW, cellH, fill, seaLevel);
+}
+
 // ---------------------------------------------------------------------------
 // Build a lake object from a significant depression
 // ---------------------------------------------------------------------------
@@ -651,9 +1037,11 @@ function buildLake(data, width, height, bounds, cellW, cellH, fill, seaLevel) {
 
 /**
  * Enforce monotonically decreasing elevation along raw river vertices.
- * Also applies a smooth ramp to sea level over the final 30% of the river.
+ * Also applies a smooth ramp to the mouth elevation over the final 30% of
+ * the river.
  * @param {Array} vertices - Raw river vertices with elevation
- * @param {number} seaLevel - Sea level threshold
+ * @param {number} seaLevel - Mouth elevation: sea level, or the parent river
+ *   at a confluence
  */
 function enforceMonotonicRaw(vertices, seaLevel) {
   if (vertices.length < 2) return;
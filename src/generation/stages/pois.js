@@ -1,7 +1,8 @@
 /**
  * Stage 9: Points of Interest (POI) placement
  *
- * Places POIs on the island based on caller-defined type rules.
+ * Places POIs on the island based on caller-defined type rules, plus an
+ * automatic 'waterfall' POI at every waterfall when `waterfalls: true`.
  * If no POI config is provided, generates no POIs.
  *
  * Follows the same coarse-grid + suitability-scoring pattern as settlements.
@@ -19,12 +20,14 @@ const COARSE_STEP = 4;
  *
  * @param {Object} result - Full pipeline result (elevation, hydrology, biomes, settlements, roads)
  * @param {Object} [poisConfig] - Caller POI configuration with types array
+ *   and/or waterfalls: true
  * @param {number} seed - World seed
  * @param {Object} [namingConfig] - Caller naming palettes
  * @returns {{ pois: Array }}
  */
 export function generatePOIs(result, poisConfig, seed, namingConfig) {
-  if (!poisConfig?.types || poisConfig.types.length === 0) {
+  const types = poisConfig?.types || [];
+  if (types.length === 0 && !poisConfig?.waterfalls) {
     return { pois: [] };
   }
 
@@ -51,7 +54,15 @@ export function generatePOIs(result, poisConfig, seed, namingConfig) {
   // Settlement positions for distance checks
   const settlementPositions = (settlements?.settlements || []).map(s => s.position);
 
-  for (const poiType of poisConfig.types) {
+  // Waterfalls go first so caller types keep their distance from them
+  if (poisConfig.waterfalls) {
+    allPOIs.push(...placeWaterfallPOIs(
+      hydrology, data, width, height, bounds, cellW, cellH,
+      biomes, biomeNameLookup, seed, namingConfig
+    ));
+  }
+
+  for (const poiType of types) {
     const count = resolveCount(poiType.count, rng);
     if (count <= 0) continue;
 
@@ -64,7 +75,7 @@ export function generatePOIs(result, poisConfig, seed, namingConfig) {
     allPOIs.push(...placed);
   }
 
-  console.log(`[pois] ${allPOIs.length} placed across ${poisConfig.types.length} types`);
+  console.log(`[pois] ${allPOIs.length} placed across ${types.length} types${poisConfig.waterfalls ? ' and waterfalls' : ''}`);
 
   return { pois: allPOIs };
 }
@@ -241,6 +252,13 @@ function placePOIType(
         if (waterDist > 0.05) continue;
       }
 
+      // Hard filter: river mouth feature (true = any, or a list of types)
+      const mouth = hydrology?.mouths?.[(hydrology.mouthMap?.[idx] ?? 0) - 1] ?? null;
+      if (rules.riverMouth) {
+        if (!mouth) continue;
+        if (Array.isArray(rules.riverMouth) && !rules.riverMouth.includes(mouth.type)) continue;
+      }
+
       // Hard filter: settlement distance
       if (rules.settlementDistance) {
         const [sMin, sMax] = rules.settlementDistance;
@@ -289,7 +307,7 @@ function placePOIType(
         score += 0.3 * (1 - slope / Math.max(rules.slopeMax, 0.01));
       }
 
-      scored.push({ wx, wz, elev, score, biomeId: biomes?.data?.[idx] ?? 0 });
+      scored.push({ wx, wz, elev, score, biomeId: biomes?.data?.[idx] ?? 0, mouthId: mouth?.id ?? null });
     }
   }
 
@@ -343,6 +361,8 @@ function placePOIType(
       position: [cand.wx, cand.wz],
       elevation: cand.elev,
       biome: biomeName,
+      mouthId: cand.mouthId,
+      waterfallId: null,
       name,
     });
     typeCounter++;
@@ -351,6 +371,38 @@ function placePOIType(
   return placed;
 }
 
+// ---------------------------------------------------------------------------
+// Waterfall POIs
+// ---------------------------------------------------------------------------
+
+/**
+ * One 'waterfall' POI at the lip of every waterfall found by hydrology.
+ * Ids are `waterfall:<n>`: caller types get `<type>_<n>`, so the two can't
+ * collide even when a caller type is also called 'waterfall'.
+ */
+function placeWaterfallPOIs(
+  hydrology, data, width, height, bounds, cellW, cellH,
+  biomes, biomeNameLookup, seed, namingConfig
+) {
+  const palette = namingConfig?.poi?.waterfall || null;
+
+  return (hydrology?.waterfalls || []).map((fall, i) => {
+    const c = Math.min(width - 1, Math.max(0, Math.floor((fall.x - bounds.minX) / cellW)));
+    const r = Math.min(height - 1, Math.max(0, Math.floor((fall.z - bounds.minZ) / cellH)));
+    const idx = r * width + c;
+    return {
+      id: `waterfall:${i}`,
+      typeId: 'waterfall',
+      position: [fall.x, fall.z],
+      elevation: data[idx],
+      biome: getBiomeName(biomeNameLookup, biomes?.data?.[idx] ?? 0),
+      mouthId: null,
+      waterfallId: fall.id,
+      name: palette ? generateName(fall.x, fall.z, seed, 'waterfall', palette) : null,
+    };
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Biome filter resolution
 // ---------------------------------------------------------------------------
@@ -374,7 +426,7 @@ function resolveBiomeFilter(rules, biomes) {
     const nameToId = new Map([
       ['ocean', 0], ['beach', 1], ['desert', 2], ['grassland', 3],
       ['forest', 4], ['jungle', 5], ['swamp', 6], ['tundra', 7],
-      ['snow', 8], ['mountain_rock', 9],
+      ['snow', 8], ['mountain_rock', 9], ['volcanic', 10],
     ]);
     for (const name of rules.biomes) {
       const id = nameToId.get(name);
@@ -0,0 +1,197 @@
+/**
+ * Stage 7b: Coral reefs
+ *
+ * Grows reefs on the shallow offshore shelf, measured with the coastline
+ * SDF from the settlements stage:
+ * - Fringing reefs: patchy, hugging the shore in shallow water
+ * - Barrier reefs: a broken line further out on a shallow shelf, with a
+ *   lagoon between the reef and the shore
+ * - Atoll reefs: the submerged rim of the atoll archetype, enclosing its
+ *   central lagoon
+ *
+ * Corals only grow in open, warm sea water: inland basins, cold water and
+ * river mouths (fresh water and silt) stay clear.
+ */
+
+import { deriveSeed } from '../../core/seeds.js';
+import { createFBmNoise, unipolar } from '../../core/noise.js';
+import { computeOceanMask } from '../roads/searoutes.js';
+import { atollPosition } from '../archetypes/atoll.js';
+
+/** Reef type names, indexed by the values in the reef grid (0 = no reef) */
+export const REEF_TYPES = ['none', 'fringing', 'barrier', 'atoll'];
+
+const FRINGING = 1;
+const BARRIER = 2;
+const ATOLL = 3;
+
+/** Default reef config (distances and depths in normalized units) */
+const DEFAULTS = {
+  minTemperature: 0.6,
+  fringing: { minDistance: 0.004, maxDistance: 0.02, maxDepth: 0.035, coverage: 0.6 },
+  barrier: { minDistance: 0.05, maxDistance: 0.062, maxDepth: 0.05, coverage: 0.75 },
+  atoll: { maxDepth: 0.05 },
+};
+
+/** Reefs stay this far from rivers, which freshen and silt the water */
+const RIVER_CLEARANCE = 0.03;
+
+/** Reef patch noise frequencies: fringing patches and barrier gaps */
+const FRINGING_FREQUENCY = 18;
+const BARRIER_FREQUENCY = 8;
+
+/**
+ * Generate the reef grid
+ *
+ * @param {Object} params - World parameters
+ * @param {{ width: number, height: number, data: Float32Array, bounds: Object }} elevation
+ * @param {{ temperature: Float32Array }} climate
+ * @param {{ riverSDF: Float32Array }} hydrology
+ * @param {{ coastSDF: Float32Array|null }} settlements
+ * @param {number} seed - World seed
+ * @param {Object} [config]
+ * @param {number} [config.minTemperature=0.6] - Coldest water (0-1) corals grow in;
+ *   atoll rims ignore it
+ * @param {Object} [config.fringing] - { minDistance, maxDistance, maxDepth, coverage }:
+ *   shore distance band, deepest water, and share of the band covered (0-1)
+ * @param {Object} [config.barrier] - Same keys as fringing, for the barrier line
+ * @param {Object} [config.atoll] - { maxDepth } for the atoll rim
+ * @returns {{ data: Uint8Array, lagoon: Uint8Array, width: number, height: number,
+ *   types: string[] }} data holds indices into types (0 = no reef); lagoon marks
+ *   sheltered water behind barrier reefs and inside an atoll
+ */
+export function generateReefs(params, elevation, climate, hydrology, settlements, seed, config) {
+  const opts = {
+    minTemperature: config?.minTemperature ?? DEFAULTS.minTemperature,
+    fringing: { ...DEFAULTS.fringing, ...config?.fringing },
+    barrier: { ...DEFAULTS.barrier, ...config?.barrier },
+    atoll: { ...DEFAULTS.atoll, ...config?.atoll },
+  };
+  for (const kind of ['fringing', 'barrier']) {
+    const { minDistance, maxDistance, coverage } = opts[kind];
+    if (!(minDistance >= 0 && maxDistance > minDistance)) {
+      throw new Error(`Invalid ${kind} reef distance band: [${minDistance}, ${maxDistance}]`);
+    }
+    if (!(coverage >= 0 && coverage <= 1)) {
+      throw new Error(`Invalid ${kind} reef coverage: ${coverage}`);
+    }
+  }
+
+  const { seaLevel } = params;
+  const { width, height, data: elev, bounds } = elevation;
+  const count = width * height;
+  const data = new Uint8Array(count);
+  const lagoon = new Uint8Array(count);
+  const coastSDF = settlements?.coastSDF;
+
+  if (!coastSDF || !climate) {
+    return { data, lagoon, width, height, types: REEF_TYPES };
+  }
+
+  const cellW = (bounds.maxX - bounds.minX) / width;
+  const cellH = (bounds.maxZ - bounds.minZ) / height;
+  const ocean = computeOceanMask(elevation, seaLevel);
+  const riverSDF = hydrology?.riverSDF;
+  const isAtoll = params.archetype === 'atoll';
+
+  const reefSeed = deriveSeed(seed, 'reefs');
+  const fringingNoise = unipolar(createFBmNoise(deriveSeed(reefSeed, 'fringing'), {
+    octaves: 3, persistence: 0.5, lacunarity: 2.0, frequency: FRINGING_FREQUENCY,
+  }));
+  const barrierNoise = unipolar(createFBmNoise(deriveSeed(reefSeed, 'barrier'), {
+    octaves: 2, persistence: 0.5, lacunarity: 2.0, frequency: BARRIER_FREQUENCY,
+  }));
+
+  const { fringing, barrier, atoll } = opts;
+  const counts = [0, 0, 0, 0];
+
+  for (let row = 0; row < height; row++) {
+    const z = bounds.minZ + (row + 0.5) * cellH;
+    for (let col = 0; col < width; col++) {
+      const idx = row * width + col;
+      if (!ocean[idx]) continue;
+
+      const x = bounds.minX + (col + 0.5) * cellW;
+      const depth = seaLevel - elev[idx];
+
+      // Atoll rim first: it is reef by construction, whatever the climate
+      if (isAtoll) {
+        const { r } = atollPosition(x, z, params);
+        const { ringRadius, ringWidth } = params.archetypeParams;
+        if (r < 1) lagoon[idx] = 1;
+        if (depth <= atoll.maxDepth && Math.abs(r - 1) * ringRadius < ringWidth) {
+          data[idx] = ATOLL;
+          counts[ATOLL]++;
+          continue;
+        }
+      }
+
+      if (climate.temperature[idx] < opts.minTemperature) continue;
+      if (riverSDF && riverSDF[idx] < RIVER_CLEARANCE) continue;
+
+      // An atoll lagoon is already sheltered: no barrier line inside it
+      const shore = coastSDF[idx];
+      if (shore >= fringing.minDistance && shore <= fringing.maxDistance &&
+          depth <= fringing.maxDepth && fringingNoise(x, z) < fringing.coverage) {
+        data[idx] = FRINGING;
+      } else if (!lagoon[idx] && shore >= barrier.minDistance && shore <= barrier.maxDistance &&
+          depth <= barrier.maxDepth && barrierNoise(x, z) < barrier.coverage) {
+        data[idx] = BARRIER;
+      }
+      counts[data[idx]]++;
+    }
+  }
+
+  // Barrier lagoons: water between the shore and a nearby barrier reef
+  if (counts[BARRIER] > 0) {
+    const barrierMask = new Uint8Array(count);
+    for (let i = 0; i < count; i++) barrierMask[i] = data[i] === BARRIER ? 1 : 0;
+    const barrierDist = chamfer(barrierMask, width, height, cellW);
+    for (let i = 0; i < count; i++) {
+      if (ocean[i] && data[i] === 0 && coastSDF[i] < barrier.minDistance &&
+          barrierDist[i] <= barrier.maxDistance) {
+        lagoon[i] = 1;
+      }
+    }
+  }
+
+  console.log(`[reefs] ${counts[FRINGING]} fringing, ${counts[BARRIER]} barrier, ${counts[ATOLL]} atoll reef cells`);
+
+  return { data, lagoon, width, height, types: REEF_TYPES };
+}
+
+// ---------------------------------------------------------------------------
+// Distance transform
+// ---------------------------------------------------------------------------
+
+function chamfer(mask, width, height, cs) {
+  const n = width * height;
+  const d = new Float32Array(n);
+  const I = 1e6;
+  const dg = cs * Math.SQRT2;
+  for (let i = 0; i < n; i++) d[i] = mask[i] ? 0 : I;
+
+  for (let r = 0; r < height; r++) {
+    for (let c = 0; c < width; c++) {
+      const i = r * width + c;
+      if (c > 0) d[i] = Math.min(d[i], d[i - 1] + cs);
+      if (r > 0) {
+        d[i] = Math.min(d[i], d[(r - 1) * width + c] + cs);
+        if (c > 0) d[i] = Math.min(d[i], d[(r - 1) * width + c - 1] + dg);
+        if (c < width - 1) d[i] = Math.min(d[i], d[(r - 1) * width + c + 1] + dg);
+      }
+    }
+  }
+  for (let r = height - 1; r >= 0; r--) {
+    for (let c = width - 1; c >= 0; c--) {
+      const i = r * width + c;
+      if (c < width - 1) d[i] = Math.min(d[i], d[i + 1] + cs);
+      if (r < height - 1) {
+        d[i] = Math.min(d[i], d[(r + 1) * width + c] + cs);
+        if (c < width - 1) d[i] = Math.min(d[i], d[(r + 1) * width + c + 1] + dg);
+        if (c > 0) d[i] = Math.min(d[i], d[(r + 1) * width + c - 1] + dg);
+      }
+    }
+  }
+  return d;
+}
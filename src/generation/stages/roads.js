@@ -3,13 +3,16 @@
  *
  * Connects settlements with terrain-aware roads. Produces road polylines
  * with classified segments (normal / bridge / tunnel), embankment heights,
- * and a distance field for downstream chunk queries.
+ * and a distance field for downstream chunk queries. Settlements the land
+ * network cannot reach are linked by ferry routes between harbors, which
+ * steer clear of reefs.
  */
 
 import { deriveSeed, seededRandom } from '../../core/seeds.js';
 import { distance, clamp } from '../../core/math.js';
 import { buildConnectivityGraph } from '../roads/connectivity.js';
 import { findPath } from '../roads/pathfinding.js';
+import { computeOceanMask, placeHarbors, planSeaRoutes } from '../roads/searoutes.js';
 import { bakeInfluenceField } from '../../geometry/influence.js';
 
 // ---------------------------------------------------------------------------
@@ -428,9 +431,11 @@ function computeRoadSDF(roads, width, height, bounds, cellW) {
  * @param {Object} hydrology   - { rivers, lakes, riverSDF, lakeSDF, width, height }
  * @param {Object} settlements - { settlements: Array, coastSDF: Float32Array }
  * @param {number} seed
- * @returns {{ roads: Array, roadSDF: Float32Array, sdfWidth: number, sdfHeight: number }}
+ * @param {Object} [reefs]     - { data: Uint8Array } reef grid; harbors and ferries avoid it
+ * @returns {{ roads: Array, roadSDF: Float32Array, sdfWidth: number, sdfHeight: number,
+ *   harbors: Array, seaRoutes: Array }}
  */
-export function generateRoads(params, elevation, hydrology, settlements, seed) {
+export function generateRoads(params, elevation, hydrology, settlements, seed, reefs) {
   const { width, height, bounds } = elevation;
   const cellW = (bounds.maxX - bounds.minX) / width;
   const { seaLevel } = params;
@@ -443,6 +448,8 @@ export function generateRoads(params, elevation, hydrology, settlements, seed) {
       roadSDF: new Float32Array(width * height),
       sdfWidth: width,
       sdfHeight: height,
+      harbors: [],
+      seaRoutes: [],
     };
   }
 
@@ -540,5 +547,17 @@ export function generateRoads(params, elevation, hydrology, settlements, seed) {
     });
   }
 
-  return { roads, roadSDF, roadInfluence, sdfWidth: width, sdfHeight: height };
+  // 11. Ferry routes between harbors for settlements the roads can't reach
+  const oceanMask = computeOceanMask(elevation, seaLevel);
+  const reefMask = reefs?.data || null;
+  const harbors = placeHarbors(setts, elevation, settlements.coastSDF, oceanMask, seaLevel, reefMask);
+  const seaRoutes = planSeaRoutes(setts, roads, harbors, elevation, seaLevel, reefMask);
+  if (seaRoutes.length > 0) {
+    console.log(`[roads] ${harbors.length} harbors, ${seaRoutes.length} ferry routes`);
+  }
+
+  return {
+    roads, roadSDF, roadInfluence, sdfWidth: width, sdfHeight: height,
+    harbors, seaRoutes,
+  };
 }
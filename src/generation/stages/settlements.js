@@ -54,7 +54,7 @@ const VILLAGE_THRESHOLD = 2.0;
 const HAMLET_THRESHOLD = 1.0;
 
 /** Biome IDs to reject for settlement placement */
-const REJECTED_BIOMES = new Set([0, 1, 8, 9]); // ocean, beach, snow, mountain_rock
+const REJECTED_BIOMES = new Set([0, 1, 8, 9, 10]); // ocean, beach, snow, mountain_rock, volcanic
 
 /** Coarse grid step (sample every N cells of the elevation grid) */
 const COARSE_STEP = 4;
@@ -62,6 +62,12 @@ const COARSE_STEP = 4;
 /** Blend zone width around settlement footprint (world units) */
 const BLEND_ZONE = 0.008;
 
+/** Deepest water table (elevation units) a well can reach */
+const WELL_DEPTH = 0.02;
+
+/** Water access of a site with the table at the surface, relative to a river bank */
+const WELL_ACCESS = 0.75;
+
 // ---------------------------------------------------------------------------
 // Main entry point
 // ---------------------------------------------------------------------------
@@ -69,11 +75,12 @@ const BLEND_ZONE = 0.008;
 /**
  * @param {Object} params    - { seaLevel, … }
  * @param {Object} elevation - { width, height, data: Float32Array, bounds }
- * @param {Object} hydrology - { rivers, lakes, riverSDF, lakeSDF, width, height }
+ * @param {Object} hydrology - { rivers, lakes, riverSDF, lakeSDF, groundwaterDepth, width, height }
  * @param {Object} biomes    - { data: Uint8Array, width, height, registry: Object|null }
  * @param {number} seed
  * @param {Object} [namingConfig] - Caller naming palettes
- * @returns {{ settlements: Array, coastSDF: Float32Array }}
+ * @returns {{ settlements: Array, coastSDF: Float32Array }} Each settlement records
+ *   groundwaterDepth at its centre and well: true when a well can reach the table
  */
 export function generateSettlements(params, elevation, hydrology, biomes, seed, namingConfig) {
   if (!elevation || !hydrology) {
@@ -109,11 +116,15 @@ export function generateSettlements(params, elevation, hydrology, biomes, seed,
     seed, rng, namingConfig
   );
 
-  // 5. Generate terraces for each settlement
+  // 5. Generate terraces for each settlement; note where wells reach water
   for (const s of settlements) {
     s.terraces = generateTerraces(
       s, data, width, height, bounds, cellW, cellH, rng
     );
+    const col = Math.floor((s.position[0] - bounds.minX) / cellW);
+    const row = Math.floor((s.position[1] - bounds.minZ) / cellH);
+    s.groundwaterDepth = hydrology.groundwaterDepth?.[row * width + col] ?? null;
+    s.well = s.groundwaterDepth !== null && s.groundwaterDepth <= WELL_DEPTH;
   }
 
   console.log(`[settlements] ${settlements.length} placed: ${settlements.filter(s => s.type === 'city').length} cities, ${settlements.filter(s => s.type === 'village').length} villages, ${settlements.filter(s => s.type === 'hamlet').length} hamlets`);
@@ -250,7 +261,7 @@ function scoreSuitability(
   data, width, height, bounds, cellW, cellH, seaLevel,
   hydrology, biomes, coastSDF
 ) {
-  const { riverSDF } = hydrology;
+  const { riverSDF, groundwaterDepth } = hydrology;
   const coarseW = Math.floor(width / COARSE_STEP);
   const coarseH = Math.floor(height / COARSE_STEP);
   const scores = new Float32Array(coarseW * coarseH);
@@ -303,7 +314,8 @@ function scoreSuitability(
       const variance = sumE2 / cnt - mean * mean;
       const flatness = Math.max(0, 1 - variance / 0.002);
 
-      // Water access: gaussian falloff from river and coast SDFs
+      // Water access: gaussian falloff from river and coast SDFs, or a well
+      // where the water table is shallow
       let waterAccess = 0;
       if (riverSDF) {
         const riverDist = riverSDF[idx] || 0;
@@ -313,6 +325,9 @@ function scoreSuitability(
         const coastDist = coastSDF[idx] || 0;
         waterAccess = Math.max(waterAccess, Math.exp(-0.5 * (coastDist / SIGMA_COAST) ** 2));
       }
+      if (groundwaterDepth && groundwaterDepth[idx] < WELL_DEPTH) {
+        waterAccess = Math.max(waterAccess, WELL_ACCESS * (1 - groundwaterDepth[idx] / WELL_DEPTH));
+      }
 
       // Elevation band preference: plateau in habitable range, taper at high elevations
       let elevBand;
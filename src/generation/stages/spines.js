@@ -1,23 +1,33 @@
 /**
  * Stage 2: Spine generation
  *
- * Generates mountain spine polylines using the selected archetype.
+ * Generates mountain spine polylines using the selected archetype,
+ * or takes them from an authored template.
  */
 
 import { deriveSeed } from '../../core/seeds.js';
 import { getArchetype } from '../archetypes/index.js';
+import { buildTemplateSpines } from '../template.js';
 
 /**
  * Generate spines from world parameters
  *
  * @param {Object} params - World parameters (from Stage 1)
  * @param {number} seed - World seed
- * @returns {{ vertices: Array<{x,z,elevation,influence}>, segments: Array<{from,to}>, archetype: string, islands?: Array }}
+ * @returns {{ vertices: Array<{x,z,elevation,influence}>, segments: Array<{from,to}>, archetype: string,
+ *   islands?: Array, blobs?: Array, crater?: {x,z,radius,depth} }}
  */
 export function generateSpines(params, seed) {
+  if (params.template) {
+    return { ...buildTemplateSpines(params.template), archetype: params.archetype };
+  }
+
   const archetypeFn = getArchetype(params.archetype);
   const spineSeed = deriveSeed(seed, 'spines');
   const result = archetypeFn(params, spineSeed);
+  if (!Array.isArray(result?.vertices) || !Array.isArray(result?.segments)) {
+    throw new Error(`Archetype ${params.archetype} must return { vertices, segments }`);
+  }
 
   return {
     vertices: result.vertices,
@@ -25,5 +35,8 @@ export function generateSpines(params, seed) {
     archetype: params.archetype,
     // Scattered archetype returns per-island metadata for elevation falloff
     ...(result.islands ? { islands: result.islands } : {}),
+    // Volcano archetype returns its cone as a blob and an optional crater bowl
+    ...(result.blobs ? { blobs: result.blobs } : {}),
+    ...(result.crater ? { crater: result.crater } : {}),
   };
 }
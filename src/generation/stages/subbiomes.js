@@ -0,0 +1,299 @@
+/**
+ * Stage 6b: Sub-biome variation
+ *
+ * Splits each parent biome into small-scale ground variants (rocky outcrops
+ * in grassland, mud in forest hollows) from a declarative per-biome table
+ * (config/defaultSubBiomes.js). Per cell:
+ *
+ * 1. Steep ground picks among the parent's 'slope' override variants.
+ * 2. With the erosion stage on, scree aprons and alluvial sediment pick
+ *    among its 'scree' and 'alluvial' override variants.
+ * 3. Local hollows pick among its 'depression' override variants.
+ * 4. Otherwise a patch noise field picks by cumulative weight, among the
+ *    variants whose moisture range contains the cell's humidity (erosion
+ *    variants excluded).
+ *
+ * The noise is rank-equalized over land so variant weights match the share
+ * of ground each variant covers. Variant IDs are 'parent/name' strings
+ * mapped to numeric indices via a registry (0 = no sub-biome).
+ */
+
+import { deriveSeed } from '../../core/seeds.js';
+import { createFBmNoise, unipolar } from '../../core/noise.js';
+import { DEFAULT_SUB_BIOMES, GROUND_TEXTURES } from '../../config/defaultSubBiomes.js';
+import { getBiomeName } from '../whittaker.js';
+
+/** Patch noise: ~20-cell patches at 512 resolution */
+const DEFAULT_NOISE = { frequency: 25, octaves: 3 };
+
+/** Gradient magnitude (elevation per normalized unit) that triggers slope overrides */
+const DEFAULT_SLOPE_THRESHOLD = 4.5;
+
+/** Depth below the local mean elevation that triggers depression overrides */
+const DEFAULT_DEPRESSION_THRESHOLD = 0.02;
+
+/** Radius of the local mean for depression detection (normalized units) */
+const DEPRESSION_RADIUS = 0.04;
+
+/** Scree and sediment heights (elevation units) that trigger erosion overrides */
+const DEFAULT_SCREE_THRESHOLD = 0.002;
+const DEFAULT_ALLUVIAL_THRESHOLD = 0.015;
+
+const OVERRIDES = ['slope', 'depression', 'scree', 'alluvial'];
+
+/** Overrides that only apply where the erosion stage deposited material */
+const EROSION_OVERRIDES = ['scree', 'alluvial'];
+
+/** Bins for noise rank equalization */
+const EQUALIZE_BINS = 1024;
+
+/**
+ * Generate the sub-biome grid
+ *
+ * @param {Object} params - World parameters
+ * @param {{ width: number, height: number, data: Float32Array, bounds: Object }} elevation
+ * @param {{ humidity: Float32Array }} climate
+ * @param {{ data: Uint8Array, registry: Object|null }} biomes
+ * @param {number} seed - World seed
+ * @param {Object} [config]
+ * @param {Object} [config.table] - Variant lists keyed by parent biome name; merged
+ *   over the defaults per biome ([] disables a biome's variants)
+ * @param {{ frequency?: number, octaves?: number }} [config.noise]
+ * @param {number} [config.slopeThreshold]
+ * @param {number} [config.depressionThreshold]
+ * @param {number} [config.screeThreshold]
+ * @param {number} [config.alluvialThreshold]
+ * @param {{ enabled: boolean, scree: Float32Array, sediment: Float32Array }} [erosion] -
+ *   Erosion stage output; scree/alluvial overrides apply only when it ran
+ * @returns {{ data: Uint8Array, width: number, height: number,
+ *   registry: { stringToId: Map, idToString: Map }, variants: Array<Object|null> }}
+ *   variants[id] is the variant definition ({ id, parent, name, primary, secondary,
+ *   tint, vegetation, ... }); variants[0] is null
+ */
+export function generateSubBiomes(params, elevation, climate, biomes, seed, config, erosion) {
+  const { seaLevel } = params;
+  const { width, height, data: elev, bounds } = elevation;
+  const count = width * height;
+
+  const table = resolveTable(config?.table);
+  const noiseConfig = { ...DEFAULT_NOISE, ...config?.noise };
+  const slopeThreshold = config?.slopeThreshold ?? DEFAULT_SLOPE_THRESHOLD;
+  const depressionThreshold = config?.depressionThreshold ?? DEFAULT_DEPRESSION_THRESHOLD;
+  const screeThreshold = config?.screeThreshold ?? DEFAULT_SCREE_THRESHOLD;
+  const alluvialThreshold = config?.alluvialThreshold ?? DEFAULT_ALLUVIAL_THRESHOLD;
+  const deposits = erosion?.enabled ? erosion : null;
+
+  // Registry: index 0 = no sub-biome, then every variant in table order
+  const stringToId = new Map();
+  const idToString = new Map([[0, null]]);
+  const variants = [null];
+  const byParent = new Map();
+  for (const [parent, list] of Object.entries(table)) {
+    const entries = list.map(v => {
+      const id = `${parent}/${v.name}`;
+      const index = variants.length;
+      stringToId.set(id, index);
+      idToString.set(index, id);
+      variants.push({ ...v, id, parent });
+      return { ...v, index };
+    });
+    byParent.set(parent, entries);
+  }
+
+  const cellW = (bounds.maxX - bounds.minX) / width;
+  const cellH = (bounds.maxZ - bounds.minZ) / height;
+  const slope = computeSlope(elev, width, height, cellW, cellH);
+  const localMean = boxMean(elev, width, height, Math.max(1, Math.round(DEPRESSION_RADIUS / cellW)));
+
+  const noise = unipolar(createFBmNoise(deriveSeed(seed, 'subbiomes'), {
+    octaves: noiseConfig.octaves,
+    persistence: 0.5,
+    lacunarity: 2.0,
+    frequency: noiseConfig.frequency,
+  }));
+
+  const noiseValues = new Float32Array(count);
+  for (let row = 0; row < height; row++) {
+    const z = bounds.minZ + (row + 0.5) * cellH;
+    for (let col = 0; col < width; col++) {
+      const idx = row * width + col;
+      if (elev[idx] < seaLevel) continue;
+      noiseValues[idx] = noise(bounds.minX + (col + 0.5) * cellW, z);
+    }
+  }
+  const equalize = buildEqualizer(noiseValues, elev, seaLevel);
+
+  const parentNames = biomes.registry
+    ? (id) => biomes.registry.idToString.get(id)
+    : getBiomeName;
+
+  const data = new Uint8Array(count);
+  for (let i = 0; i < count; i++) {
+    if (elev[i] < seaLevel) continue;
+    const list = byParent.get(parentNames(biomes.data[i]));
+    if (!list || list.length === 0) continue;
+
+    const t = equalize(noiseValues[i]);
+    let pool = null;
+    if (slope[i] > slopeThreshold) {
+      pool = list.filter(v => v.override === 'slope');
+    }
+    if (!pool?.length && deposits?.scree[i] > screeThreshold) {
+      pool = list.filter(v => v.override === 'scree');
+    }
+    if (!pool?.length && deposits?.sediment[i] > alluvialThreshold) {
+      pool = list.filter(v => v.override === 'alluvial' && inMoisture(v, climate.humidity[i]));
+    }
+    if (!pool?.length && localMean[i] - elev[i] > depressionThreshold) {
+      pool = list.filter(v => v.override === 'depression' && inMoisture(v, climate.humidity[i]));
+    }
+    if (!pool?.length) {
+      const natural = list.filter(v => !EROSION_OVERRIDES.includes(v.override));
+      pool = natural.filter(v => inMoisture(v, climate.humidity[i]));
+      if (pool.length === 0) pool = natural;
+    }
+
+    data[i] = pickWeighted(pool, t).index;
+  }
+
+  console.log(`[subbiomes] ${variants.length - 1} variants across ${byParent.size} biomes`);
+
+  return { data, width, height, registry: { stringToId, idToString }, variants };
+}
+
+// ---------------------------------------------------------------------------
+// Table
+// ---------------------------------------------------------------------------
+
+/**
+ * Merge caller variant lists over the defaults and validate them.
+ * @returns {Object} Variant lists keyed by parent biome name
+ */
+function resolveTable(overrides) {
+  const table = { ...DEFAULT_SUB_BIOMES, ...overrides };
+
+  for (const [parent, list] of Object.entries(table)) {
+    if (!Array.isArray(list)) {
+      throw new Error(`Sub-biome table for ${parent} must be an array`);
+    }
+    const names = new Set();
+    for (const v of list) {
+      if (!v?.name) throw new Error(`Sub-biome in ${parent} needs a name`);
+      if (names.has(v.name)) throw new Error(`Duplicate sub-biome: ${parent}/${v.name}`);
+      names.add(v.name);
+      if (!(v.weight > 0)) {
+        throw new Error(`Sub-biome ${parent}/${v.name} needs a positive weight`);
+      }
+      for (const key of ['primary', 'secondary']) {
+        if (v[key] !== undefined && !GROUND_TEXTURES.includes(v[key])) {
+          throw new Error(`Unknown ground texture: ${v[key]}. Valid: ${GROUND_TEXTURES.join(', ')}`);
+        }
+      }
+      if (v.override !== undefined && !OVERRIDES.includes(v.override)) {
+        throw new Error(`Unknown sub-biome override: ${v.override}. Valid: ${OVERRIDES.join(', ')}`);
+      }
+      if (v.moisture !== undefined && !(Array.isArray(v.moisture) && v.moisture.length === 2)) {
+        throw new Error(`Sub-biome ${parent}/${v.name} moisture must be [min, max]`);
+      }
+    }
+  }
+
+  const variantCount = Object.values(table).reduce((n, list) => n + list.length, 0);
+  if (variantCount > 255) {
+    throw new Error(`Too many sub-biomes: ${variantCount} (max 255)`);
+  }
+
+  return table;
+}
+
+function inMoisture(variant, humidity) {
+  return !variant.moisture || (humidity >= variant.moisture[0] && humidity <= variant.moisture[1]);
+}
+
+/** Pick from a pool by cumulative weight with t in [0, 1) */
+function pickWeighted(pool, t) {
+  let total = 0;
+  for (const v of pool) total += v.weight;
+  let acc = 0;
+  for (const v of pool) {
+    acc += v.weight / total;
+    if (t < acc) return v;
+  }
+  return pool[pool.length - 1];
+}
+
+// ---------------------------------------------------------------------------
+// Terrain measures
+// ---------------------------------------------------------------------------
+
+/**
+ * Gradient magnitude by central differences (one-sided at edges), in
+ * elevation per normalized unit.
+ * @returns {Float32Array}
+ */
+export function computeSlope(elev, width, height, cellW, cellH) {
+  const slope = new Float32Array(width * height);
+  for (let row = 0; row < height; row++) {
+    const r0 = Math.max(0, row - 1), r1 = Math.min(height - 1, row + 1);
+    for (let col = 0; col < width; col++) {
+      const c0 = Math.max(0, col - 1), c1 = Math.min(width - 1, col + 1);
+      const gx = (elev[row * width + c1] - elev[row * width + c0]) / ((c1 - c0) * cellW);
+      const gz = (elev[r1 * width + col] - elev[r0 * width + col]) / ((r1 - r0) * cellH);
+      slope[row * width + col] = Math.sqrt(gx * gx + gz * gz);
+    }
+  }
+  return slope;
+}
+
+/** Mean over a (2r+1)^2 box, clipped at the edges, via a summed-area table */
+function boxMean(values, width, height, r) {
+  const sat = new Float64Array((width + 1) * (height + 1));
+  for (let row = 0; row < height; row++) {
+    let rowSum = 0;
+    for (let col = 0; col < width; col++) {
+      rowSum += values[row * width + col];
+      sat[(row + 1) * (width + 1) + col + 1] = sat[row * (width + 1) + col + 1] + rowSum;
+    }
+  }
+
+  const mean = new Float32Array(width * height);
+  for (let row = 0; row < height; row++) {
+    const r0 = Math.max(0, row - r), r1 = Math.min(height, row + r + 1);
+    for (let col = 0; col < width; col++) {
+      const c0 = Math.max(0, col - r), c1 = Math.min(width, col + r + 1);
+      const sum = sat[r1 * (width + 1) + c1] - sat[r0 * (width + 1) + c1]
+        - sat[r1 * (width + 1) + c0] + sat[r0 * (width + 1) + c0];
+      mean[row * width + col] = sum / ((r1 - r0) * (c1 - c0));
+    }
+  }
+  return mean;
+}
+
+/**
+ * Map raw noise values to their percentile among land cells, so weighted
+ * thresholds select the intended share of ground.
+ * @returns {(value: number) => number}
+ */
+function buildEqualizer(noiseValues, elev, seaLevel) {
+  const hist = new Float64Array(EQUALIZE_BINS);
+  let total = 0;
+  for (let i = 0; i < noiseValues.length; i++) {
+    if (elev[i] < seaLevel) continue;
+    hist[binOf(noiseValues[i])]++;
+    total++;
+  }
+
+  // cdf[b] = share of values below bin b (plus half of bin b itself)
+  const cdf = new Float32Array(EQUALIZE_BINS);
+  let acc = 0;
+  for (let b = 0; b < EQUALIZE_BINS; b++) {
+    cdf[b] = total > 0 ? (acc + hist[b] * 0.5) / total : b / EQUALIZE_BINS;
+    acc += hist[b];
+  }
+
+  return (value) => cdf[binOf(value)];
+}
+
+function binOf(value) {
+  return Math.max(0, Math.min(EQUALIZE_BINS - 1, Math.floor(value * EQUALIZE_BINS)));
+}
@@ -0,0 +1,305 @@
+/**
+ * Stage 8b: Vegetation scatter
+ *
+ * Places deterministic vegetation instances for renderers to stream:
+ * - Trees: Poisson-disk scatter (minimum spacing, density-weighted acceptance)
+ * - Shrubs: clusters of 3-8 around Poisson-disk cluster centres
+ * - Boulders: Poisson-disk scatter favouring steep and rocky ground
+ * - Grass: per-cell density field (Uint8, 0-255)
+ *
+ * Densities come from the parent biome (config/defaultVegetation.js) and the
+ * sub-biome's vegetation set, scaled by humidity, slope and closeness to
+ * rivers. Water, river banks, road corridors and settlement terraces are
+ * kept clear.
+ */
+
+import { seededRandom, deriveSeed } from '../../core/seeds.js';
+import { smoothstep, lerp, clamp } from '../../core/math.js';
+import { getBiomeName } from '../whittaker.js';
+import { computeSlope } from './subbiomes.js';
+import { DEFAULT_VEGETATION, VEGETATION_SET_DENSITY } from '../../config/defaultVegetation.js';
+
+/** Default scatter config (spacings in normalized units) */
+const DEFAULTS = {
+  density: 1,
+  treeSpacing: 0.012,
+  shrubClusterSpacing: 0.05,
+  boulderSpacing: 0.03,
+};
+
+/** Clear distance around road centrelines and river vertices */
+const ROAD_CLEARANCE = 0.01;
+const RIVER_CLEARANCE = 0.006;
+
+/** Rivers boost growth up to this distance, by at most RIVER_BONUS */
+const RIVER_BONUS_REACH = 0.06;
+const RIVER_BONUS = 0.5;
+
+/** Slope (elevation per unit) ranges over which trees and shrubs/grass thin out */
+const TREE_SLOPE = [3, 6];
+const UNDERGROWTH_SLOPE = [4, 8];
+
+/** Slope range over which boulders become common, and the extra density there */
+const BOULDER_SLOPE = [3, 7];
+const BOULDER_SLOPE_BONUS = 0.4;
+
+/** Extra boulder density on slope-override (rocky) sub-biomes */
+const ROCKY_SUB_BIOME_BONUS = 0.3;
+
+/** Candidate points per Poisson grid cell */
+const SCATTER_ATTEMPTS = 2;
+
+/** Shrub cluster shape */
+const SHRUBS_PER_CLUSTER = [3, 8];
+const SHRUB_CLUSTER_RADIUS = 0.012;
+const SHRUB_SPACING = 0.003;
+
+/** Instance scale jitter */
+const SCALE_RANGE = [0.8, 1.2];
+
+/**
+ * Generate vegetation instances and the grass density field
+ *
+ * @param {Object} r - Pipeline result with params through roads filled in
+ * @param {Object} [config]
+ * @param {number} [config.density=1] - Global density multiplier
+ * @param {number} [config.treeSpacing=0.012] - Minimum distance between trees
+ * @param {number} [config.shrubClusterSpacing=0.05] - Minimum distance between shrub clusters
+ * @param {number} [config.boulderSpacing=0.03] - Minimum distance between boulders
+ * @param {Object} [config.table] - Per-biome entries merged over DEFAULT_VEGETATION
+ * @param {number} seed - World seed
+ * @returns {{ trees: Array, shrubs: Array, boulders: Array, grass: Uint8Array,
+ *   width: number, height: number }}
+ *   Instances are { x, z, type, species, scale, rotation }
+ */
+export function generateVegetation(r, config, seed) {
+  const opts = { ...DEFAULTS, ...config };
+  const table = { ...DEFAULT_VEGETATION, ...config?.table };
+  if (!(opts.density >= 0)) {
+    throw new Error(`Invalid vegetation density: ${opts.density}`);
+  }
+  for (const key of ['treeSpacing', 'shrubClusterSpacing', 'boulderSpacing']) {
+    if (!(opts[key] > 0)) throw new Error(`Invalid vegetation ${key}: ${opts[key]}`);
+  }
+
+  const { seaLevel } = r.params;
+  const { width, height, data: elev, bounds } = r.elevation;
+  const count = width * height;
+  const cellW = (bounds.maxX - bounds.minX) / width;
+  const cellH = (bounds.maxZ - bounds.minZ) / height;
+
+  const blocked = buildBlockedMask(r, width, height, cellW, cellH);
+  const slope = computeSlope(elev, width, height, cellW, cellH);
+
+  const parentName = r.biomes.registry
+    ? (id) => r.biomes.registry.idToString.get(id)
+    : getBiomeName;
+
+  // Per-cell densities
+  const treeDensity = new Float32Array(count);
+  const shrubDensity = new Float32Array(count);
+  const boulderDensity = new Float32Array(count);
+  const grass = new Uint8Array(count);
+  const riverSDF = r.hydrology?.riverSDF;
+
+  for (let i = 0; i < count; i++) {
+    if (blocked[i] || elev[i] < seaLevel) continue;
+    const base = table[parentName(r.biomes.data[i])];
+    if (!base) continue;
+
+    const humidity = r.climate.humidity[i];
+    const river = riverSDF ? 1 + RIVER_BONUS * (1 - smoothstep(0, RIVER_BONUS_REACH, riverSDF[i])) : 1;
+    const undergrowthSlope = 1 - smoothstep(UNDERGROWTH_SLOPE[0], UNDERGROWTH_SLOPE[1], slope[i]);
+    const variant = r.subbiomes?.variants[r.subbiomes.data[i]] || null;
+
+    treeDensity[i] = clamp(base.trees * lerp(0.5, 1.3, humidity) * river
+      * (1 - smoothstep(TREE_SLOPE[0], TREE_SLOPE[1], slope[i])) * opts.density, 0, 1);
+    shrubDensity[i] = clamp(base.shrubs * lerp(0.6, 1.2, humidity) * river
+      * undergrowthSlope * opts.density, 0, 1);
+
+    const rocky = variant?.override === 'slope' ? ROCKY_SUB_BIOME_BONUS : 0;
+    boulderDensity[i] = clamp((base.boulders + rocky
+      + BOULDER_SLOPE_BONUS * smoothstep(BOULDER_SLOPE[0], BOULDER_SLOPE[1], slope[i])) * opts.density, 0, 1);
+
+    const setDensity = variant ? (VEGETATION_SET_DENSITY[variant.vegetation] ?? base.shrubs) : base.shrubs;
+    grass[i] = Math.round(255 * clamp(setDensity * lerp(0.6, 1.2, humidity) * river
+      * undergrowthSlope * opts.density, 0, 1));
+  }
+
+  const densityAt = (field) => (x, z) => {
+    const col = clamp(Math.floor((x - bounds.minX) / cellW), 0, width - 1);
+    const row = clamp(Math.floor((z - bounds.minZ) / cellH), 0, height - 1);
+    return field[row * width + col];
+  };
+  const vegSeed = deriveSeed(seed, 'vegetation');
+  const speciesAt = (x, z, key) => {
+    const col = clamp(Math.floor((x - bounds.minX) / cellW), 0, width - 1);
+    const row = clamp(Math.floor((z - bounds.minZ) / cellH), 0, height - 1);
+    return table[parentName(r.biomes.data[row * width + col])]?.[key] || [];
+  };
+
+  // Trees
+  const treeRng = seededRandom(deriveSeed(vegSeed, 'trees'));
+  const trees = scatterPoisson(treeRng, bounds, opts.treeSpacing, densityAt(treeDensity))
+    .map(p => makeInstance(treeRng, p, 'tree', speciesAt(p.x, p.z, 'treeSpecies')))
+    .filter(t => t.species);
+
+  // Shrubs: clusters around Poisson-disk centres
+  const shrubRng = seededRandom(deriveSeed(vegSeed, 'shrubs'));
+  const shrubAt = densityAt(shrubDensity);
+  const centres = scatterPoisson(shrubRng, bounds, opts.shrubClusterSpacing, shrubAt);
+  const shrubs = [];
+  for (const c of centres) {
+    const n = SHRUBS_PER_CLUSTER[0]
+      + Math.floor(shrubRng() * (SHRUBS_PER_CLUSTER[1] - SHRUBS_PER_CLUSTER[0] + 1));
+    const cluster = [];
+    for (let k = 0; k < n; k++) {
+      const angle = shrubRng() * Math.PI * 2;
+      const dist = SHRUB_CLUSTER_RADIUS * Math.sqrt(shrubRng());
+      const p = { x: c.x + Math.cos(angle) * dist, z: c.z + Math.sin(angle) * dist };
+      if (p.x < bounds.minX || p.x >= bounds.maxX || p.z < bounds.minZ || p.z >= bounds.maxZ) continue;
+      if (shrubAt(p.x, p.z) === 0) continue;
+      if (cluster.some(q => Math.hypot(q.x - p.x, q.z - p.z) < SHRUB_SPACING)) continue;
+      cluster.push(p);
+    }
+    for (const p of cluster) {
+      const shrub = makeInstance(shrubRng, p, 'shrub', speciesAt(p.x, p.z, 'shrubSpecies'));
+      if (shrub.species) shrubs.push(shrub);
+    }
+  }
+
+  // Boulders
+  const boulderRng = seededRandom(deriveSeed(vegSeed, 'boulders'));
+  const boulders = scatterPoisson(boulderRng, bounds, opts.boulderSpacing, densityAt(boulderDensity))
+    .map(p => makeInstance(boulderRng, p, 'boulder', ['boulder']));
+
+  console.log(`[vegetation] ${trees.length} trees, ${shrubs.length} shrubs in ${centres.length} clusters, ${boulders.length} boulders`);
+
+  return { trees, shrubs, boulders, grass, width, height };
+}
+
+// ---------------------------------------------------------------------------
+// Exclusion
+// ---------------------------------------------------------------------------
+
+/**
+ * Cells where nothing may grow: lakes, river banks, road corridors and
+ * settlement terraces.
+ * @returns {Uint8Array} 1 = blocked
+ */
+function buildBlockedMask(r, width, height, cellW, cellH) {
+  const { bounds } = r.elevation;
+  const blocked = new Uint8Array(width * height);
+  const { riverSDF, lakeSDF } = r.hydrology || {};
+  const roadSDF = r.roads?.roads.length ? r.roads.roadSDF : null;
+
+  for (let i = 0; i < width * height; i++) {
+    if ((lakeSDF && lakeSDF[i] < 0)
+      || (riverSDF && riverSDF[i] < RIVER_CLEARANCE)
+      || (roadSDF && roadSDF[i] < ROAD_CLEARANCE)) {
+      blocked[i] = 1;
+    }
+  }
+
+  for (const settlement of r.settlements?.settlements || []) {
+    for (const terrace of settlement.terraces || []) {
+      const poly = terrace.polygon;
+      let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+      for (const [x, z] of poly) {
+        minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+        minZ = Math.min(minZ, z); maxZ = Math.max(maxZ, z);
+      }
+      const c0 = Math.max(0, Math.floor((minX - bounds.minX) / cellW));
+      const c1 = Math.min(width - 1, Math.floor((maxX - bounds.minX) / cellW));
+      const r0 = Math.max(0, Math.floor((minZ - bounds.minZ) / cellH));
+      const r1 = Math.min(height - 1, Math.floor((maxZ - bounds.minZ) / cellH));
+      for (let row = r0; row <= r1; row++) {
+        const z = bounds.minZ + (row + 0.5) * cellH;
+        for (let col = c0; col <= c1; col++) {
+          if (pointInPolygon(bounds.minX + (col + 0.5) * cellW, z, poly)) {
+            blocked[row * width + col] = 1;
+          }
+        }
+      }
+    }
+  }
+
+  return blocked;
+}
+
+/** Ray-casting point-in-polygon test on [x, z] vertex pairs */
+function pointInPolygon(x, z, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, zi] = polygon[i];
+    const [xj, zj] = polygon[j];
+    if ((zi > z) !== (zj > z) && x < ((xj - xi) * (z - zi)) / (zj - zi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// ---------------------------------------------------------------------------
+// Scatter
+// ---------------------------------------------------------------------------
+
+/**
+ * Density-weighted Poisson-disk scatter by dart throwing on a grid.
+ *
+ * Each grid cell (side = spacing) throws SCATTER_ATTEMPTS candidates; a
+ * candidate is kept with probability density(x, z) if no kept point lies
+ * within spacing. Visiting cells in a fixed order keeps it deterministic.
+ *
+ * @returns {Array<{x: number, z: number}>}
+ */
+function scatterPoisson(rng, bounds, spacing, density) {
+  const nx = Math.ceil((bounds.maxX - bounds.minX) / spacing);
+  const nz = Math.ceil((bounds.maxZ - bounds.minZ) / spacing);
+  const buckets = new Array(nx * nz);
+  const points = [];
+  const spacingSq = spacing * spacing;
+
+  for (let gz = 0; gz < nz; gz++) {
+    for (let gx = 0; gx < nx; gx++) {
+      for (let a = 0; a < SCATTER_ATTEMPTS; a++) {
+        const x = bounds.minX + (gx + rng()) * spacing;
+        const z = bounds.minZ + (gz + rng()) * spacing;
+        if (x >= bounds.maxX || z >= bounds.maxZ) continue;
+        if (rng() >= density(x, z)) continue;
+
+        let clear = true;
+        for (let dz = -1; dz <= 1 && clear; dz++) {
+          for (let dx = -1; dx <= 1 && clear; dx++) {
+            const bx = gx + dx, bz = gz + dz;
+            if (bx < 0 || bx >= nx || bz < 0 || bz >= nz) continue;
+            for (const q of buckets[bz * nx + bx] || []) {
+              const ddx = q.x - x, ddz = q.z - z;
+              if (ddx * ddx + ddz * ddz < spacingSq) { clear = false; break; }
+            }
+          }
+        }
+        if (!clear) continue;
+
+        const p = { x, z };
+        const key = gz * nx + gx;
+        if (!buckets[key]) buckets[key] = [];
+        buckets[key].push(p);
+        points.push(p);
+      }
+    }
+  }
+
+  return points;
+}
+
+function makeInstance(rng, p, type, species) {
+  return {
+    x: p.x,
+    z: p.z,
+    type,
+    species: species.length ? species[Math.floor(rng() * species.length)] : null,
+    scale: lerp(SCALE_RANGE[0], SCALE_RANGE[1], rng()),
+    rotation: rng() * Math.PI * 2,
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * Authored island templates
+ *
+ * A template locks in an island's macro shape instead of picking a random
+ * archetype. It holds explicit spine polylines and/or blobs (see
+ * terrain/blob.js createBlob) in normalized [-1, 1] space:
+ *
+ *   {
+ *     spines: [{ id?, vertices: [{ x, z, elevation?, influence? }] }],
+ *     blobs:  [createBlob('peak', 0.2, -0.1, 0.7, 0.3, 'shield')],
+ *     center?: { x, z },   // with radius: single-island falloff
+ *     radius?: number,     // otherwise each feature gets its own falloff disk
+ *   }
+ *
+ * A spine may also be given as a bare vertex array. Vertex influence is the
+ * ridge half-width in normalized units, as produced by the archetypes.
+ */
+
+import { PROFILES } from '../terrain/blob.js';
+
+/** Archetype name reported for template-driven islands */
+export const TEMPLATE_ARCHETYPE = 'template';
+
+const DEFAULT_VERTEX_ELEVATION = 0.6;
+const DEFAULT_VERTEX_INFLUENCE = 0.1;
+
+/** Falloff disk size relative to a feature's reach (room for foothills and coast) */
+const FALLOFF_MARGIN = 1.6;
+
+/**
+ * Validate a template and fill in vertex defaults.
+ *
+ * @param {Object} template
+ * @returns {{ spines: Array, blobs: Array, center: Object|null, radius: number|null }}
+ */
+export function normalizeTemplate(template) {
+  if (!template || typeof template !== 'object') {
+    throw new Error('Template must be an object with spines and/or blobs');
+  }
+
+  const spines = (template.spines || []).map((spine, i) => {
+    const vertices = Array.isArray(spine) ? spine : spine?.vertices;
+    if (!Array.isArray(vertices) || vertices.length === 0) {
+      throw new Error(`Template spine ${i} has no vertices`);
+    }
+    return {
+      id: spine.id ?? `spine_${i}`,
+      vertices: vertices.map((v, j) => {
+        if (!Number.isFinite(v?.x) || !Number.isFinite(v?.z)) {
+          throw new Error(`Template spine ${i} vertex ${j} needs numeric x and z`);
+        }
+        return {
+          x: v.x,
+          z: v.z,
+          elevation: v.elevation ?? DEFAULT_VERTEX_ELEVATION,
+          influence: v.influence ?? DEFAULT_VERTEX_INFLUENCE,
+        };
+      }),
+    };
+  });
+
+  const blobs = (template.blobs || []).map((blob, i) => {
+    if (!Number.isFinite(blob?.x) || !Number.isFinite(blob?.z) || !(blob.radius > 0)) {
+      throw new Error(`Template blob ${i} needs numeric x, z and a positive radius`);
+    }
+    if (blob.profile && !PROFILES[blob.profile]) {
+      throw new Error(`Unknown blob profile: ${blob.profile}. Valid: ${Object.keys(PROFILES).join(', ')}`);
+    }
+    return { ...blob };
+  });
+
+  if (spines.length === 0 && blobs.length === 0) {
+    throw new Error('Template must contain at least one spine or blob');
+  }
+
+  const hasExtent = template.center && template.radius > 0;
+  return {
+    spines,
+    blobs,
+    center: hasExtent ? { x: template.center.x, z: template.center.z } : null,
+    radius: hasExtent ? template.radius : null,
+  };
+}
+
+/**
+ * Bounding circle of all template features (spine reach and blob radius).
+ *
+ * @param {Object} template - Normalized template
+ * @returns {{ center: { x: number, z: number }, radius: number }}
+ */
+export function getTemplateExtent(template) {
+  if (template.center) {
+    return { center: { ...template.center }, radius: template.radius };
+  }
+
+  const points = [];
+  for (const spine of template.spines) {
+    for (const v of spine.vertices) points.push({ x: v.x, z: v.z, reach: v.influence });
+  }
+  for (const blob of template.blobs) points.push({ x: blob.x, z: blob.z, reach: blob.radius });
+
+  let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+  for (const p of points) {
+    minX = Math.min(minX, p.x - p.reach);
+    maxX = Math.max(maxX, p.x + p.reach);
+    minZ = Math.min(minZ, p.z - p.reach);
+    maxZ = Math.max(maxZ, p.z + p.reach);
+  }
+
+  const center = { x: (minX + maxX) / 2, z: (minZ + maxZ) / 2 };
+  let radius = 0;
+  for (const p of points) {
+    radius = Math.max(radius, Math.hypot(p.x - center.x, p.z - center.z) + p.reach);
+  }
+  return { center, radius };
+}
+
+/**
+ * Build spine stage output from a template.
+ *
+ * Each polyline becomes consecutive segments over a shared vertex list.
+ * Unless the template fixes a center/radius, every spine and blob also gets
+ * a falloff disk in `islands` so authored features away from the centre
+ * are not faded out by the single-island falloff.
+ *
+ * @param {Object} template - Normalized template
+ * @returns {{ vertices: Array, segments: Array, blobs: Array, islands?: Array }}
+ */
+export function buildTemplateSpines(template) {
+  const vertices = [];
+  const segments = [];
+  const islands = [];
+
+  for (const spine of template.spines) {
+    const start = vertices.length;
+    vertices.push(...spine.vertices);
+
+    if (spine.vertices.length === 1) {
+      // Single-vertex spine: degenerate segment acts as a round peak
+      segments.push({ from: start, to: start });
+    }
+    for (let i = 1; i < spine.vertices.length; i++) {
+      segments.push({ from: start + i - 1, to: start + i });
+    }
+
+    const extent = getTemplateExtent({ spines: [spine], blobs: [] });
+    islands.push({ center: extent.center, radius: extent.radius * FALLOFF_MARGIN });
+  }
+
+  for (const blob of template.blobs) {
+    islands.push({ center: { x: blob.x, z: blob.z }, radius: blob.radius * FALLOFF_MARGIN });
+  }
+
+  return {
+    vertices,
+    segments,
+    blobs: template.blobs,
+    ...(template.center ? {} : { islands }),
+  };
+}
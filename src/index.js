@@ -143,6 +143,16 @@ export { findPath } from './generation/roads/pathfinding.js';
 // POIs
 export { generatePOIs } from './generation/stages/pois.js';
 
+// Seasons
+export { getSeasonalClimate, DEFAULT_SEASON_STEPS } from './generation/seasons.js';
+
+// Pipeline
+export { generate, regenerate, STAGES, registerStage, unregisterStage, getStages } from './generation/pipeline.js';
+export { generateAsync, regenerateAsync } from './generation/pipeline-async.js';
+
+// Archetypes
+export { registerArchetype, unregisterArchetype, listArchetypes } from './generation/archetypes/index.js';
+
 // Configuration defaults
 export { DEFAULT_BIOMES, defaultClassify } from './config/defaultBiomes.js';
 export { DEFAULT_NAMING } from './config/defaultNaming.js';
@@ -175,4 +185,19 @@ export { generateTexture, generateAllTextures } from './textures/texturegen.js';
 export { pixelsToPngBlob, downloadTexturePng, downloadAllTextures } from './textures/exporter.js';
 
 // High-level API
-export { generateIsland, DEFAULTS, ARCHETYPES, BIOMES, IslandData, FieldSampler } from './api.js';
+export {
+  generateIsland,
+  DEFAULTS,
+  ARCHETYPES,
+  BIOMES,
+  IslandData,
+  FieldSampler,
+  BUNDLE_VERSION,
+  exportHeightmapTiles,
+  TILE_SURFACE_CODES,
+  DEPTH_ZONES,
+  REEF_TYPES,
+  MOUTH_TYPES,
+  generateArchipelago,
+  Archipelago
+} from './api.js';
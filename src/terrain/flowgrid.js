@@ -35,11 +35,16 @@ const SINK_DIRECTION = 255;
  * Create an empty flow grid
  * @param {Object} bounds - {minX, maxX, minZ, maxZ}
  * @param {number} resolution - Cell size in world units
+ * @param {number} [width] - Grid width in cells (default: derived from bounds and resolution)
+ * @param {number} [height] - Grid height in cells (default: derived from bounds and resolution)
  * @returns {Object} FlowGrid structure
  */
-export function createFlowGrid(bounds, resolution) {
-  const width = Math.ceil((bounds.maxX - bounds.minX) / resolution);
-  const height = Math.ceil((bounds.maxZ - bounds.minZ) / resolution);
+export function createFlowGrid(
+  bounds,
+  resolution,
+  width = Math.ceil((bounds.maxX - bounds.minX) / resolution),
+  height = Math.ceil((bounds.maxZ - bounds.minZ) / resolution)
+) {
   const cellCount = width * height;
 
   return {
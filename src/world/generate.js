@@ -1,131 +1,151 @@
 /**
  * World generation pipeline
+ *
+ * Legacy World entry point. The phases are implemented by the stage
+ * pipeline (generation/pipeline.js) running on the world template; this
+ * module maps the result back onto the World data structure.
  */
 
 import { World } from './world.js';
-import { computeVoronoi } from '../geometry/voronoi.js';
-import { deriveSeed } from '../core/seeds.js';
-import { generateHydrology } from '../terrain/hydrology.js';
+import { generate, getStages } from '../generation/pipeline.js';
+
+/**
+ * Pipeline stage that opens each legacy progress phase. Every stage
+ * (custom ones included) reports under the last phase opened at or before
+ * it in pipeline order, so the reported phase only moves forward.
+ */
+const PHASE_STARTS = {
+  params: 'elevation',
+  climate: 'climate',
+  hydrology: 'hydrology',
+  biomes: 'zones',
+  roads: 'infrastructure',
+};
+
+/** Radius of the zone around a POI site (matches IslandData.getPOIAt) */
+const POI_ZONE_RADIUS = 0.02;
 
 /**
  * Generate a world from template and seed
- * 
- * @param {Object} template - World template
+ *
+ * Authored water sources (template.waterSources) start rivers and manual
+ * lakes (template.lakes with origin 'manual') are added by the hydrology
+ * stage, so world.lakes and the island queries both include them.
+ *
+ * @param {Object} template - World template (blobs and/or spines)
  * @param {number} seed - Generation seed
  * @param {Object} options - Generation options
- * @param {Function} options.onProgress - Progress callback (stage, percent)
+ * @param {Function} options.onProgress - Progress callback (phase, percent)
+ * @param {number} [options.resolution=512] - Elevation grid size
+ * @param {Object} [options.biomes] - Biome classifier config
+ * @param {Object} [options.pois] - POI types and placement rules
+ * @param {Object} [options.naming] - Naming palettes
  * @returns {Promise<World>}
  */
 export async function generateWorld(template, seed, options = {}) {
-  const { onProgress = () => {} } = options;
-  
-  // Phase 1: Voronoi construction
-  onProgress('voronoi', 0);
-  const seeds = collectSeeds(template);
-  const voronoi = computeVoronoi(seeds);
-  onProgress('voronoi', 100);
-  
-  // Phase 2: Base elevation
-  onProgress('elevation', 0);
-  // TODO: Compute elevation field
-  onProgress('elevation', 100);
-  
-  // Phase 3: Coastline
-  onProgress('coastline', 0);
-  // TODO: Extract coastline contour
-  onProgress('coastline', 100);
-  
-  // Phase 4: Noise
-  onProgress('noise', 0);
-  // TODO: Apply noise to elevation
-  onProgress('noise', 100);
-  
-  // Phase 5: Hydrology
-  onProgress('hydrology', 0);
+  const { onProgress = () => {}, resolution = 512, biomes, pois, naming } = options;
 
-  // Create a temporary world object for hydrology generation
-  const tempWorld = {
-    seed,
-    template,
-    voronoi,
-    halfCells: template.halfCells || {},
-    defaults: template.defaults || {},
-    hydrologyConfig: template.hydrologyConfig || {},
-    waterSources: template.waterSources || [],
-    lakes: template.lakes?.filter(l => l.origin === 'manual') || [],
-    rivers: []
-  };
+  // Per-phase completion, reported as each of its stages finishes
+  const stagePhases = {};
+  let current = PHASE_STARTS.params;
+  for (const stage of getStages()) {
+    current = PHASE_STARTS[stage] ?? current;
+    stagePhases[stage] = current;
+  }
+  const phaseTotals = {};
+  for (const phase of Object.values(stagePhases)) {
+    phaseTotals[phase] = (phaseTotals[phase] || 0) + 1;
+  }
+  const phaseDone = {};
 
-  // Generate hydrology (rivers, lakes, water sources)
-  const hydrologyResult = generateHydrology(tempWorld, {
-    bounds: { minX: -1, maxX: 1, minZ: -1, maxZ: 1 }
+  const result = generate(seed, {
+    resolution,
+    template: toPipelineTemplate(template),
+    hydrology: {
+      sources: template.waterSources || [],
+      lakes: (template.lakes || []).filter(lake => lake.origin === 'manual'),
+    },
+    biomes,
+    pois,
+    naming,
+    onProgress: ({ stage }) => {
+      const phase = stagePhases[stage];
+      phaseDone[phase] = (phaseDone[phase] || 0) + 1;
+      onProgress(phase, Math.round(100 * phaseDone[phase] / phaseTotals[phase]));
+    },
   });
 
-  const rivers = hydrologyResult.rivers;
-  const lakes = hydrologyResult.lakes;
-  const waterSources = hydrologyResult.waterSources;
-  const flowGrid = hydrologyResult.flowGrid;
-
-  onProgress('hydrology', 100);
-  
-  // Phase 6: Climate
-  onProgress('climate', 0);
-  // TODO: Compute temperature, humidity, biomes
-  onProgress('climate', 100);
-  
-  // Phase 7: Zones
-  onProgress('zones', 0);
-  // TODO: Place zones
-  const zones = [];
-  onProgress('zones', 100);
-  
-  // Phase 8: Infrastructure
-  onProgress('infrastructure', 0);
-  // TODO: Roads, settlements
-  onProgress('infrastructure', 100);
-  
-  // Phase 9: Naming
-  onProgress('naming', 0);
-  // TODO: Generate names
-  onProgress('naming', 100);
-  
-  // Create world
-  const world = new World({
+  return new World({
     id: `world_${seed}`,
     seed,
     template,
-    voronoi,
-    halfCells: template.halfCells || {},
-    rivers,
-    lakes,
-    waterSources,
-    flowGrid,
+    rivers: result.hydrology.rivers,
+    lakes: result.hydrology.lakes,
+    waterSources: template.waterSources || [],
     hydrologyConfig: template.hydrologyConfig || {},
-    zones
+    zones: collectZones(result),
+    result,
+    config: { biomes, pois, naming },
   });
-  
-  return world;
 }
 
 /**
- * Collect all spine vertices as Voronoi seeds
- * @param {Object} template 
- * @returns {Array<{x: number, z: number, influence: number}>}
+ * Convert a World template into a pipeline template.
+ *
+ * Blobs pass through unchanged. Legacy (v1) spine vertices store influence
+ * in 1/100 units, so they are converted the same way migrateV1toV2 in
+ * storage.js turns them into blob radii.
+ *
+ * @param {Object} template
+ * @returns {{ spines: Array, blobs: Array }}
  */
-function collectSeeds(template) {
-  const seeds = [];
-  
-  for (const spine of (template.spines || [])) {
-    for (const v of spine.vertices) {
-      seeds.push({
+function toPipelineTemplate(template) {
+  const spines = (template.spines || [])
+    .filter(spine => spine.vertices?.length)
+    .map(spine => ({
+      id: spine.id,
+      vertices: spine.vertices.map(v => ({
         x: v.x,
         z: v.z,
-        influence: v.influence || 300,
-        elevation: v.elevation || 0.5,
-        spineId: spine.id
-      });
-    }
+        elevation: v.elevation ?? 0.5,
+        influence: (v.influence ?? 25) / 100,
+      })),
+    }));
+
+  return { spines, blobs: template.blobs || [] };
+}
+
+/**
+ * Build zones from placed settlements and POIs
+ * @param {Object} result - Pipeline result
+ * @returns {Array<{id: string, type: string, kind: string, name: string, x: number, z: number, radius: number}>}
+ */
+function collectZones(result) {
+  const zones = [];
+
+  for (const s of result.settlements?.settlements || []) {
+    zones.push({
+      id: s.id,
+      type: 'settlement',
+      kind: s.type,
+      name: s.name,
+      x: s.position[0],
+      z: s.position[1],
+      radius: s.radius,
+    });
   }
-  
-  return seeds;
+
+  for (const poi of result.pois?.pois || []) {
+    zones.push({
+      id: poi.id,
+      type: 'poi',
+      kind: poi.typeId,
+      name: poi.name,
+      x: poi.position[0],
+      z: poi.position[1],
+      radius: POI_ZONE_RADIUS,
+    });
+  }
+
+  return zones;
 }
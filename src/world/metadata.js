@@ -20,13 +20,16 @@ import { createPolylineIndex } from '../geometry/polyline-index.js';
  * Convert a generation-stage river to a RiverPolyline.
  *
  * @param {Object} river - River from hydrology stage
- *   { id, vertices: [{x, z, elevation, flow, width}], termination, terminatingLakeId }
- * @returns {{ id: string, name: string, points: Array<{x: number, z: number, width: number, flow: number, elevation: number}> }}
+ *   { id, vertices: [{x, z, elevation, flow, width}], termination, terminatingLakeId, parentId, order }
+ * @returns {{ id: string, name: string, parentId: string|null, order: number,
+ *   points: Array<{x: number, z: number, width: number, flow: number, elevation: number}> }}
  */
 export function convertRiverToPolyline(river) {
   return {
     id: river.id,
     name: river.name || river.id,
+    parentId: river.parentId ?? null,
+    order: river.order ?? 1,
     points: river.vertices.map(v => ({
       x: v.x,
       z: v.z,
@@ -2,7 +2,8 @@
  * World persistence via IndexedDB
  */
 
-import { World } from './world.js';
+import { World, WORLD_FORMAT_VERSION } from './world.js';
+import { generateWorld } from './generate.js';
 import { generateBlobId } from '../terrain/blob.js';
 
 const DB_NAME = 'kosmos-gen';
@@ -53,6 +54,32 @@ function migrateV1toV2(data) {
   };
 }
 
+/**
+ * Migrate v2 data (no pipeline result) to a v3 World
+ * The pipeline result is regenerated from template and seed. The saved water
+ * sources and manual lakes go into generation as authored features (so the
+ * regenerated hydrology includes them) and the saved hydrology config is kept. A
+ * template without spines or blobs cannot be generated, so such worlds load
+ * as they are.
+ * @param {Object} data - v2 world data from storage
+ * @returns {Promise<World>}
+ */
+async function migrateV2toV3(data) {
+  const template = data.template;
+  const hasShape = template?.blobs?.length > 0 ||
+    (template?.spines || []).some(spine => spine.vertices?.length);
+  if (!hasShape) return World.fromJSON(data);
+
+  const world = await generateWorld({
+    ...template,
+    waterSources: data.waterSources ?? template.waterSources,
+    lakes: data.lakes ?? template.lakes,
+  }, data.seed);
+  world.id = data.id;
+  world.hydrologyConfig = { ...world.hydrologyConfig, ...data.hydrologyConfig };
+  return world;
+}
+
 /**
  * Initialize the database
  * @returns {Promise<IDBDatabase>}
@@ -102,28 +129,31 @@ export async function saveWorld(world) {
 
 /**
  * Load a world from storage
+ *
+ * Worlds saved before the pipeline result was persisted (format < 3) are
+ * regenerated from their template and seed, keeping their authored water
+ * features (see migrateV2toV3).
  * @param {string} id - World ID
  * @returns {Promise<World|null>}
  */
 export async function loadWorld(id) {
   const database = await initDB();
 
-  return new Promise((resolve, reject) => {
+  const data = await new Promise((resolve, reject) => {
     const tx = database.transaction(STORE_WORLDS, 'readonly');
     const store = tx.objectStore(STORE_WORLDS);
 
     const request = store.get(id);
     request.onerror = () => reject(request.error);
     request.onsuccess = () => {
-      if (request.result) {
-        // Apply migrations if needed
-        const data = migrateV1toV2(request.result);
-        resolve(World.fromJSON(data));
-      } else {
-        resolve(null);
-      }
+      // Apply migrations if needed
+      resolve(request.result ? migrateV1toV2(request.result) : null);
     };
   });
+
+  if (!data) return null;
+  if (data.version >= WORLD_FORMAT_VERSION) return World.fromJSON(data);
+  return migrateV2toV3(data);
 }
 
 /**
@@ -5,9 +5,18 @@
  * - Generated from a template + seed
  * - Loaded from storage
  * - Queried for terrain data
+ *
+ * Generated worlds carry the full stage pipeline result (wrapped in an
+ * IslandData) and answer queries from it. Template-only worlds, e.g. while
+ * editing, fall back to sampling the template blobs directly.
  */
 
 import { sampleElevation } from '../terrain/elevation.js';
+import { IslandData } from '../api/islanddata.js';
+import { decodeBundle } from '../api/bundle.js';
+
+/** Storage format version written by toJSON() (3 = pipeline result bundle) */
+export const WORLD_FORMAT_VERSION = 3;
 
 // Default hydrology configuration
 export const DEFAULT_HYDROLOGY_CONFIG = {
@@ -46,6 +55,8 @@ export class World {
    * @param {Object} data.hydrologyConfig - Hydrology configuration
    * @param {Array} data.zones - Zone placements
    * @param {Object} data.sdf - Distance field textures
+   * @param {Object} [data.result] - Stage pipeline result from generate()
+   * @param {Object} [data.config] - Config the pipeline result was generated with
    */
   constructor(data) {
     this.id = data.id;
@@ -61,6 +72,11 @@ export class World {
 
     // Propagate defaults from template if present
     this.defaults = data.template?.defaults || data.defaults || {};
+
+    // Pipeline-backed data (absent for template-only worlds)
+    this.island = data.result
+      ? new IslandData(data.result, { seed: data.seed, ...data.config })
+      : null;
   }
   
   /**
@@ -70,6 +86,7 @@ export class World {
    * @returns {number} Elevation [0, 1]
    */
   getElevationAt(x, z) {
+    if (this.island) return this.island.getElevation(x, z);
     return sampleElevation(this, x, z);
   }
   
@@ -77,31 +94,43 @@ export class World {
    * Get biome at a point
    * @param {number} x 
    * @param {number} z 
-   * @returns {string} Biome name
+   * @returns {string|null} Biome name, or null if the world has not been generated
    */
   getBiomeAt(x, z) {
-    // TODO: Implement
-    return 'plains';
+    if (!this.island?.getBiomeSampler()) return null;
+    return this.island.getBiomeName(x, z);
   }
   
   /**
    * Get zone at a point
+   *
+   * Zones are settlement footprints and POI sites (see generateWorld);
+   * settlements take precedence where they overlap a POI.
    * @param {number} x 
    * @param {number} z 
    * @returns {Object|null} Zone or null
    */
   getZoneAt(x, z) {
-    // TODO: Implement
+    for (const zone of this.zones) {
+      const dx = x - zone.x;
+      const dz = z - zone.z;
+      if (dx * dx + dz * dz <= zone.radius * zone.radius) {
+        return zone;
+      }
+    }
     return null;
   }
   
   /**
    * Serialize for storage
+   *
+   * The pipeline result is stored as a binary island bundle (ArrayBuffer),
+   * which IndexedDB persists as-is.
    * @returns {Object}
    */
   toJSON() {
     return {
-      version: 2,  // Blob-based terrain format
+      version: WORLD_FORMAT_VERSION,
       id: this.id,
       seed: this.seed,
       template: this.template,
@@ -109,7 +138,8 @@ export class World {
       lakes: this.lakes,
       waterSources: this.waterSources,
       hydrologyConfig: this.hydrologyConfig,
-      zones: this.zones
+      zones: this.zones,
+      bundle: this.island ? this.island.serialize() : null
       // Note: SDF textures and flowGrid serialized separately as ArrayBuffers
     };
   }
@@ -120,6 +150,8 @@ export class World {
    * @returns {World}
    */
   static fromJSON(json) {
-    return new World(json);
+    if (!json.bundle) return new World(json);
+    const { result, config } = decodeBundle(json.bundle);
+    return new World({ ...json, result, config });
   }
 }
@@ -5,7 +5,7 @@
  * and orchestrates rendering.
  */
 
-import { generate } from '../src/generation/pipeline.js';
+import { generateAsync, regenerateAsync } from '../src/generation/pipeline-async.js';
 import { initCanvas, render } from './canvas.js';
 import { getLayerRenderers, getDefaultLayerVisibility, invalidateUnderwaterCache, invalidateClimateCache, invalidateBiomesCache, invalidateRiversCache, invalidateLakesCache, invalidateSettlementsCache, invalidateRoadsCache } from './layers/index.js';
 import { invalidateElevationCache } from './layers/elevation.js';
@@ -33,6 +33,29 @@ const state = {
   terrainOverrides: null,
 };
 
+// =============================================================================
+// Plugins
+// =============================================================================
+
+/**
+ * Plugin modules from ?plugin=<url> (repeatable), e.g. a module that calls
+ * registerArchetype() from '/src/api.js'. They are imported here for the UI
+ * and again inside each pipeline worker.
+ */
+const pluginModules = new URLSearchParams(window.location.search)
+  .getAll('plugin')
+  .map(url => new URL(url, window.location.href).href);
+
+async function loadPlugins() {
+  for (const url of pluginModules) {
+    try {
+      await import(/* @vite-ignore */ url);
+    } catch (err) {
+      console.error(`Failed to load plugin ${url}:`, err);
+    }
+  }
+}
+
 // =============================================================================
 // Canvas
 // =============================================================================
@@ -105,54 +128,77 @@ function updateInfoBar() {
 // =============================================================================
 
 let stagePanel = null;
+let generation = null;
+
+async function doGenerate(seed) {
+  // Supersede any in-flight run
+  if (generation) generation.abort();
+  const controller = new AbortController();
+  generation = controller;
 
-function doGenerate(seed) {
   state.seed = seed;
   state.generating = true;
   controls.setGenerating(true);
+  if (stagePanel) stagePanel.updateTiming(null);
+
+  try {
+    const options = {
+      resolution: 512,
+      upToStage: state.currentStage,
+      archetype: state.archetype || undefined,
+      terrainOverrides: state.terrainOverrides || undefined,
+    };
+    const control = {
+      signal: controller.signal,
+      modules: pluginModules,
+      onProgress: ({ timing }) => {
+        if (stagePanel) stagePanel.updateTiming(timing);
+      },
+    };
+
+    // Same seed: only rerun the stages affected by what changed
+    const previous = state.generatedData;
+    const result = previous && previous.seed === seed
+      ? await regenerateAsync(previous, options, control)
+      : await generateAsync(seed, options, control);
+
+    state.generatedData = result;
+
+    // Reset view when generating new terrain
+    resetView();
+
+    invalidateElevationCache();
+    invalidateCoastlineCache();
+    invalidateUnderwaterCache();
+    invalidateClimateCache();
+    invalidateBiomesCache();
+    invalidateRiversCache();
+    invalidateLakesCache();
+    invalidateRoadsCache();
+    invalidateSettlementsCache();
+    redraw();
+    updateInfoBar();
 
-  // Use requestAnimationFrame to let UI update before heavy work
-  requestAnimationFrame(() => {
-    try {
-      const result = generate(seed, {
-        resolution: 512,
-        upToStage: state.currentStage,
-        archetype: state.archetype || undefined,
-        terrainOverrides: state.terrainOverrides || undefined,
-      });
-
-      state.generatedData = result;
-
-      // Reset view when generating new terrain
-      resetView();
-
-      invalidateElevationCache();
-      invalidateCoastlineCache();
-      invalidateUnderwaterCache();
-      invalidateClimateCache();
-      invalidateBiomesCache();
-      invalidateRiversCache();
-      invalidateLakesCache();
-      invalidateRoadsCache();
-      invalidateSettlementsCache();
-      redraw();
-      updateInfoBar();
-
-      // Update 3D view
-      if (state.viewMode === '3d' && result.elevation) {
-        view3d.updateTerrain(result.elevation, result.biomes, result.params, result.hydrology, result.settlements, result.roads);
-      }
+    // Update 3D view
+    if (state.viewMode === '3d' && result.elevation) {
+      view3d.updateTerrain(result.elevation, result.biomes, result.params, result.hydrology, result.settlements, result.roads);
+    }
 
-      if (stagePanel) {
-        stagePanel.updateTiming(result.timing);
-      }
-    } catch (err) {
+    if (stagePanel) {
+      stagePanel.updateTiming(result.timing);
+    }
+  } catch (err) {
+    if (err.name !== 'AbortError') {
       console.error('Generation failed:', err);
-    } finally {
+    }
+  } finally {
+    // A newer run owns the generating flag once this one is superseded
+    if (generation === controller) {
+      generation = null;
       state.generating = false;
       controls.setGenerating(false);
     }
-  });
+  }
 }
 
 // =============================================================================
@@ -241,4 +287,7 @@ initViewToggle(document.getElementById('controls'), {
 // Initial generation
 // =============================================================================
 
-doGenerate(state.seed);
+loadPlugins().then(() => {
+  controls.refreshArchetypes();
+  doGenerate(state.seed);
+});
@@ -2,7 +2,8 @@
  * Road layer renderer
  *
  * Draws road polylines with type-differentiated styling.
- * Bridges shown with lighter blue-gray, tunnels with dashed lines.
+ * Bridges shown with lighter blue-gray, tunnels with dashed lines,
+ * ferry routes as dashed white lines between harbor docks.
  */
 
 /** Style configuration per road type */
@@ -14,6 +15,8 @@ const ROAD_STYLES = {
 
 const BRIDGE_STROKE = 'rgba(100, 140, 180, 0.9)';
 const TUNNEL_STROKE = 'rgba(80, 80, 80, 0.7)';
+const FERRY_STROKE = 'rgba(240, 240, 255, 0.85)';
+const HARBOR_FILL = 'rgba(60, 60, 90, 0.9)';
 
 let cachedKey = null;
 
@@ -88,6 +91,30 @@ export function renderRoads(ctx, generatedData, canvasWidth, canvasHeight, zoom)
     // Reset dash
     ctx.setLineDash([]);
   }
+
+  // Ferry routes
+  ctx.strokeStyle = FERRY_STROKE;
+  ctx.lineWidth = Math.max(0.8 / zoom, 2.0 / zoom);
+  ctx.setLineDash([6 / zoom, 4 / zoom]);
+  for (const route of roadsData.seaRoutes || []) {
+    const waypoints = route.waypoints;
+    if (!waypoints || waypoints.length < 2) continue;
+    ctx.beginPath();
+    ctx.moveTo(toCanvasX(waypoints[0].x), toCanvasZ(waypoints[0].z));
+    for (let i = 1; i < waypoints.length; i++) {
+      ctx.lineTo(toCanvasX(waypoints[i].x), toCanvasZ(waypoints[i].z));
+    }
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+
+  // Harbor docks
+  ctx.fillStyle = HARBOR_FILL;
+  for (const harbor of roadsData.harbors || []) {
+    ctx.beginPath();
+    ctx.arc(toCanvasX(harbor.position[0]), toCanvasZ(harbor.position[1]), 3 / zoom, 0, Math.PI * 2);
+    ctx.fill();
+  }
 }
 
 /**
@@ -16,7 +16,7 @@ import { listArchetypes } from '../../src/generation/archetypes/index.js';
  * @param {Function} callbacks.setSeed - Sets seed value
  * @param {Function} callbacks.getArchetype - Returns current archetype override (or null)
  * @param {Function} callbacks.setArchetype - Sets archetype override (null for random)
- * @returns {Object} Control interface { setGenerating, getSeedInput }
+ * @returns {Object} Control interface { setGenerating, getSeedInput, refreshArchetypes }
  */
 export function initControls(container, callbacks) {
   // Seed row
@@ -44,21 +44,26 @@ export function initControls(container, callbacks) {
   archLabel.textContent = 'Archetype';
 
   const archSelect = document.createElement('select');
-  // "Random" option (no override)
-  const randomOpt = document.createElement('option');
-  randomOpt.value = '';
-  randomOpt.textContent = 'Random';
-  archSelect.appendChild(randomOpt);
-
-  // One option per archetype
-  for (const name of listArchetypes()) {
-    const opt = document.createElement('option');
-    opt.value = name;
-    opt.textContent = name.charAt(0).toUpperCase() + name.slice(1);
-    archSelect.appendChild(opt);
-  }
-
-  archSelect.value = callbacks.getArchetype() || '';
+
+  // "Random" option (no override), then one option per archetype.
+  // Rebuilt when plugins register more archetypes.
+  const fillArchetypes = () => {
+    archSelect.replaceChildren();
+    const randomOpt = document.createElement('option');
+    randomOpt.value = '';
+    randomOpt.textContent = 'Random';
+    archSelect.appendChild(randomOpt);
+
+    for (const name of listArchetypes()) {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+      archSelect.appendChild(opt);
+    }
+
+    archSelect.value = callbacks.getArchetype() || '';
+  };
+  fillArchetypes();
 
   archRow.appendChild(archLabel);
   archRow.appendChild(archSelect);
@@ -115,5 +120,6 @@ export function initControls(container, callbacks) {
     getSeedInput() {
       return parseInt(seedInput.value, 10) || 0;
     },
+    refreshArchetypes: fillArchetypes,
   };
 }